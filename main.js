@@ -1,5 +1,27 @@
 import config from './src/config.js';
-import binaryWebSocket from './src/services/websocket.js';
+import marketProvider from './src/services/providers/index.js';
+import marketDataService from './src/services/marketData.js';
+import candleCache from './src/services/candleCache.js';
+import dataQualityValidator from './src/services/dataQuality.js';
+import connectionStatus from './src/services/connectionStatus.js';
+import settingsManager from './src/services/settings.js';
+import themeManager from './src/services/theme.js';
+import symbolCatalog from './src/services/symbolCatalog.js';
+import SymbolPicker from './src/components/SymbolPicker/symbolPicker.js';
+import watchlistService from './src/services/watchlist.js';
+import WatchlistPanel from './src/components/Watchlist/watchlistPanel.js';
+import chartTransforms from './src/services/chartTransforms.js';
+import dataImporter from './src/services/importer.js';
+import importDialog from './src/components/Import/importDialog.js';
+import dataExporter from './src/services/exporter.js';
+import exportDialog from './src/components/Export/exportDialog.js';
+import technicalIndicators from './src/components/Indicators/technical.js';
+import { formatTime, timeframes } from './src/utils/helpers.js';
+import ChartIndicators from './src/components/Chart/indicators.js';
+import PriceSeries from './src/components/Chart/priceSeries.js';
+import IndicatorRenderer from './src/components/Chart/indicatorRenderer.js';
+import computeService from './src/services/compute/index.js';
+import alertService from './src/services/alerts.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
     try {
@@ -9,6 +31,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             throw new Error('Chart container not found');
         }
 
+        await settingsManager.initialize();
+
         // Set initial container size
         chartContainer.style.width = '100%';
         chartContainer.style.height = '500px';
@@ -41,98 +65,746 @@ document.addEventListener('DOMContentLoaded', async () => {
             },
         });
 
-        // Create candlestick series
-        const candleSeries = chart.addCandlestickSeries({
-            upColor: config.chart.candlestick.upColor,
-            downColor: config.chart.candlestick.downColor,
-            borderUpColor: config.chart.candlestick.upColor,
-            borderDownColor: config.chart.candlestick.downColor,
-            wickUpColor: config.chart.candlestick.wickUpColor,
-            wickDownColor: config.chart.candlestick.wickDownColor,
+        // Series colors follow the theme
+        function getSeriesColors() {
+            const { chart: chartColors, primary } = themeManager.getTheme().colors;
+            return { up: chartColors.upColor, down: chartColors.downColor, line: primary };
+        }
+
+        // Create the main price series (candles, bars, line, area or baseline)
+        const priceSeries = new PriceSeries(chart, { colors: getSeriesColors() });
+
+        // Create line series for the raw tick chart
+        const tickLineSeries = chart.addLineSeries({
+            color: config.chart.overlays.ma.color,
+            lineWidth: 1,
+            priceLineVisible: false,
+            visible: false
         });
 
-        // Initialize WebSocket connection
-        await binaryWebSocket.initialize();
-        console.log('WebSocket initialized');
+        // Create tick-count volume histogram for tick bars
+        const volumeSeries = chart.addHistogramSeries({
+            priceFormat: { type: 'volume' },
+            priceScaleId: 'volume',
+            visible: false
+        });
+        chart.priceScale('volume').applyOptions({
+            scaleMargins: {
+                top: 0.8,
+                bottom: 0,
+            },
+        });
 
-        // Get initial symbol from select element
-        const symbolSelect = document.getElementById('symbolSelect');
-        let currentSymbol = symbolSelect.value || config.defaultSymbol;
+        // Initialize market data provider; without a connection the chart
+        // starts offline on cached data and the provider keeps retrying
+        await candleCache.initialize();
+        const providerConnected = await marketProvider.initialize();
+        console.log(`Market data provider ${providerConnected ? 'initialized' : 'unavailable'} (${marketProvider.name})`);
+        connectionStatus.initialize();
+        await symbolCatalog.initialize();
+
+        // Start on the most recently used symbol
+        const [lastSymbol] = symbolCatalog.getRecents();
+        let currentSymbol = lastSymbol && symbolCatalog.has(lastSymbol) ? lastSymbol : config.defaultSymbol;
         let currentTimeframe = config.chart.defaultTimeframe;
         let lastCandleTime = null;
+        let activeStream = null; // { symbol, timeframe, streamTimeframe, storedTimeframes, offline } currently shown
+        let loadController = null; // Aborts the history requests of the load in flight
+        let chartType = 'candlestick'; // Series style or transformation, from the symbol's layout
+        let transformKey = null; // Transformed series shown instead of the raw one
+
+        // Only the base timeframe (or the raw tick stream for tick charts) is
+        // streamed live; every other timeframe is aggregated from it by the
+        // market data service
+        function getStreamTimeframe(timeframe) {
+            return timeframes.isTickBased(timeframe) ? timeframes.TICK : config.chart.baseTimeframe;
+        }
 
-        // Handle WebSocket updates
+        // Feed provider updates into the market data service
         function handleWebSocketUpdate(update) {
-            if (update.type === 'history') {
-                candleSeries.setData(update.data);
-                lastCandleTime = update.data[update.data.length - 1].time;
-                chart.timeScale().fitContent();
-            } 
-            else if (update.type === 'candle') {
-                // Always update candle data regardless of time
-                candleSeries.update(update.data);
-                lastCandleTime = update.data.time;
-                updatePriceInfo(update.data);
-                
-                // If it's a new minute, update the chart view
-                const now = Math.floor(Date.now() / 1000);
-                const currentMinute = Math.floor(now / 60) * 60;
-                if (update.data.time === currentMinute) {
-                    chart.timeScale().scrollToRealTime();
+            // Ignore late updates from a stream we already switched away from
+            if (update.symbol !== currentSymbol) {
+                return;
+            }
+
+            if (update.type === 'history' || update.type === 'backfill') {
+                marketDataService.mergeCandles(update.symbol, update.timeframe, update.data);
+            } else if (update.type === 'candle' || update.type === 'tick') {
+                marketDataService.upsertCandle(update.symbol, update.timeframe, update.data);
+            } else {
+                return;
+            }
+
+            if (activeStream) {
+                activeStream.storedTimeframes.forEach(timeframe => scheduleCacheWrite(update.symbol, timeframe));
+            }
+        }
+
+        function scheduleCacheWrite(symbol, timeframe) {
+            candleCache.scheduleWrite(symbol, timeframe, () => marketDataService.getData(symbol, timeframe));
+        }
+
+        // Render cached candles right away, then fetch only the candles newer
+        // than the cache. Returns the number of candles available, or null if
+        // the load was cancelled.
+        async function loadHistory(symbol, historyTimeframe, storeTimeframe, count, signal) {
+            const cached = await candleCache.get(symbol, storeTimeframe);
+            if (signal.aborted) return null;
+            if (cached.length > 0) {
+                marketDataService.setData(symbol, storeTimeframe, cached);
+                marketDataService.rebuildDerivedTimeframes(symbol, storeTimeframe);
+                hideLoadingIndicator();
+            }
+
+            if (connectionStatus.isOffline()) {
+                return cached.length;
+            }
+
+            const lastTime = cached.length > 0 ? cached[cached.length - 1].time : null;
+            const history = await marketProvider.requestHistory(
+                symbol,
+                historyTimeframe,
+                count,
+                lastTime === null ? { signal } : { start: lastTime, signal }
+            );
+            if (signal.aborted) return null;
+            console.log('Historical data received:', history.length, historyTimeframe, 'candles');
+
+            const candles = historyTimeframe === storeTimeframe ?
+                history :
+                marketDataService.aggregateCandles(history, storeTimeframe);
+
+            // A full page may not reach back to the cached candles; replace
+            // them rather than leave a gap in the series
+            if (lastTime === null || history.length >= count) {
+                marketDataService.setData(symbol, storeTimeframe, candles);
+                marketDataService.rebuildDerivedTimeframes(symbol, storeTimeframe);
+            } else {
+                marketDataService.mergeCandles(symbol, storeTimeframe, candles);
+            }
+
+            const data = marketDataService.getData(symbol, storeTimeframe);
+            candleCache.put(symbol, storeTimeframe, data);
+            return data.length;
+        }
+
+        // The raw tick chart is a line on close; tick bars also show tick-count volume.
+        // Transformed series are always drawn as candles.
+        function applySeriesVisibility(timeframe) {
+            const isTickLine = timeframe === timeframes.TICK && !transformKey;
+            const showVolume = timeframes.isTickBased(timeframe) && !isTickLine && !transformKey;
+
+            priceSeries.applyOptions({ visible: !isTickLine });
+            tickLineSeries.applyOptions({ visible: isTickLine });
+            volumeSeries.applyOptions({ visible: showVolume });
+
+            if (isTickLine) priceSeries.setData([]);
+            if (!isTickLine) tickLineSeries.setData([]);
+            if (!showVolume) volumeSeries.setData([]);
+
+            chart.applyOptions({
+                timeScale: { secondsVisible: timeframes.isTickBased(timeframe) }
+            });
+        }
+
+        // Show prices with the symbol's pip size
+        function applyPriceFormat(symbol) {
+            const entry = symbolCatalog.get(symbol);
+            const priceFormat = {
+                type: 'price',
+                precision: symbolCatalog.getPipSize(symbol),
+                minMove: entry ? entry.pip : 0.00001
+            };
+            priceSeries.applyOptions({ priceFormat });
+            tickLineSeries.applyOptions({ priceFormat });
+        }
+
+        function toLinePoint(candle) {
+            return { time: candle.time, value: candle.close };
+        }
+
+        function toVolumeBar(candle) {
+            return {
+                time: candle.time,
+                value: candle.volume || 0,
+                color: candle.close >= candle.open ?
+                    config.chart.overlays.volume.upColor :
+                    config.chart.overlays.volume.downColor
+            };
+        }
+
+        // Kagi lines are colored yang/yin rather than by direction
+        function toDisplayBar(bar) {
+            if (bar.yang === undefined) return bar;
+
+            const { up, down } = getSeriesColors();
+            const color = bar.yang ? up : down;
+            return { ...bar, color, borderColor: color, wickColor: color };
+        }
+
+        function renderSeries(data) {
+            if (transformKey) {
+                priceSeries.setData(data.map(toDisplayBar));
+                return;
+            }
+
+            if (currentTimeframe === timeframes.TICK) {
+                tickLineSeries.setData(data.map(toLinePoint));
+                return;
+            }
+
+            priceSeries.setData(data);
+            if (timeframes.isTickBased(currentTimeframe)) {
+                volumeSeries.setData(data.map(toVolumeBar));
+            }
+        }
+
+        function renderCandle(candle) {
+            if (transformKey) {
+                priceSeries.update(toDisplayBar(candle));
+                return;
+            }
+
+            if (currentTimeframe === timeframes.TICK) {
+                tickLineSeries.update(toLinePoint(candle));
+                return;
+            }
+
+            priceSeries.update(candle);
+            if (timeframes.isTickBased(currentTimeframe)) {
+                volumeSeries.update(toVolumeBar(candle));
+            }
+        }
+
+        // The series on the chart, which indicators and exports work on
+        function getDisplayedData() {
+            return transformKey ?
+                chartTransforms.getData(transformKey) :
+                marketDataService.getData(currentSymbol, currentTimeframe);
+        }
+
+        // Chart type and its parameters are saved per symbol; symbols without
+        // a layout open with the last chosen chart type
+        function getChartLayout(symbol) {
+            const layout = settingsManager.get('chartLayouts', {})[symbol] || {};
+            let type = layout.chartType || settingsManager.get('chartType', 'candlestick');
+            if (!PriceSeries.isStyle(type) && !chartTransforms.isTransform(type)) {
+                type = 'candlestick';
+            }
+            return { chartType: type, params: layout.params || {} };
+        }
+
+        function saveChartLayout(symbol, changes) {
+            const layouts = { ...settingsManager.get('chartLayouts', {}) };
+            layouts[symbol] = { ...getChartLayout(symbol), ...changes };
+            settingsManager.set('chartLayouts', layouts);
+        }
+
+        function getChartTypeParams(type) {
+            return getChartLayout(currentSymbol).params[type] || {};
+        }
+
+        // Transformed series are drawn as candles
+        function applySeriesStyle() {
+            const style = PriceSeries.isStyle(chartType) ? chartType : 'candlestick';
+            priceSeries.setStyle(style, { baselinePrice: getChartTypeParams('baseline').price ?? null });
+        }
+
+        // Follow the transformed series of the chart type, if it is one
+        function subscribeTransform(symbol, timeframe) {
+            if (transformKey) {
+                chartTransforms.unsubscribe(transformKey);
+                transformKey = null;
+            }
+            if (chartTransforms.isTransform(chartType)) {
+                transformKey = chartTransforms.subscribe(symbol, timeframe, chartType, getChartTypeParams(chartType));
+            }
+        }
+
+        function applyChartType() {
+            applySeriesStyle();
+            subscribeTransform(currentSymbol, currentTimeframe);
+            applySeriesVisibility(currentTimeframe);
+            renderSeries(getDisplayedData());
+            chartIndicators.updateAllIndicators();
+        }
+
+        chartTransforms.addListener(event => {
+            if (event.key !== transformKey) return;
+
+            if (event.type === 'data') {
+                renderSeries(event.data);
+            } else {
+                event.bars.forEach(renderCandle);
+            }
+            chartIndicators.updateAllIndicators();
+        });
+
+        // Data quality summary of the displayed series; issue details in the tooltip
+        const dataQualityElement = document.getElementById('dataQuality');
+
+        function renderDataQuality(report) {
+            if (!dataQualityElement) return;
+            dataQualityElement.textContent = dataQualityValidator.summarize(report);
+            dataQualityElement.title = report ?
+                report.issues.slice(0, 20).map(issue => `${formatTime.toUTC(issue.time)}: ${issue.message}`).join('\n') :
+                '';
+            dataQualityElement.style.color = !report || report.ok ?
+                '' :
+                config.chart.candlestick.downColor;
+        }
+
+        // Render the displayed series from the market data service
+        function handleMarketDataUpdate(event) {
+            if (event.symbol !== currentSymbol || event.timeframe !== currentTimeframe) {
+                return;
+            }
+
+            if (event.type === 'quality') {
+                renderDataQuality(event.report);
+                return;
+            }
+
+            // Transformed series are drawn from the transform events
+            if (event.type === 'data' && event.data.length > 0) {
+                if (!transformKey) {
+                    renderSeries(event.data);
+                    chartIndicators.updateAllIndicators();
+                }
+                lastCandleTime = event.data[event.data.length - 1].time;
+            } else if (event.type === 'update') {
+                const isNewCandle = event.candle.time !== lastCandleTime;
+                if (!transformKey) {
+                    renderCandle(event.candle);
+                    chartIndicators.updateAllIndicators();
+                }
+                lastCandleTime = event.candle.time;
+                updatePriceInfo(currentSymbol, event.candle);
+
+                // If a new period has started, update the chart view
+                if (isNewCandle && !timeframes.isTickBased(currentTimeframe)) {
+                    const now = Math.floor(Date.now() / 1000);
+                    if (event.candle.time === marketDataService.getPeriodStart(now, currentTimeframe)) {
+                        chart.timeScale().scrollToRealTime();
+                    }
+                }
+            }
+        }
+
+        marketDataService.addListener(handleMarketDataUpdate);
+
+        // Price and indicator alerts are checked on every live candle update
+        // of the timeframe they watch
+        await alertService.initialize();
+        marketDataService.addListener(event => {
+            if (event.type !== 'update') return;
+            const { symbol, timeframe, candle } = event;
+            alertService.checkAlertConditions({
+                symbol,
+                timeframe,
+                price: candle.close,
+                candles: marketDataService.getData(symbol, timeframe)
+            });
+        });
+
+        // Indicators are computed over the displayed series, off the main thread
+        const indicatorRenderer = new IndicatorRenderer(
+            chart,
+            getDisplayedData,
+            () => transformKey || `${currentSymbol}-${currentTimeframe}`
+        );
+        const chartIndicators = new ChartIndicators(indicatorRenderer, computeService);
+        const activeIndicatorInstances = new Map(); // indicator id -> instance id
+
+        document.querySelectorAll('.analysis-btn[data-indicator]').forEach(button => {
+            button.addEventListener('click', () => {
+                const indicatorId = button.dataset.indicator;
+                if (activeIndicatorInstances.has(indicatorId)) {
+                    chartIndicators.removeIndicator(activeIndicatorInstances.get(indicatorId));
+                    activeIndicatorInstances.delete(indicatorId);
+                    button.classList.remove('active');
+                } else {
+                    activeIndicatorInstances.set(indicatorId, chartIndicators.addIndicator(indicatorId));
+                    button.classList.add('active');
                 }
+            });
+        });
+
+        // Page older history in when the user pans past the oldest bar
+        let scrollBackController = null;
+        let historyExhausted = false;
+
+        chart.timeScale().subscribeVisibleLogicalRangeChange(range => {
+            if (!range || scrollBackController || historyExhausted) return;
+            if (range.from < config.chart.scrollBack.threshold) {
+                loadOlderHistory();
             }
-            else if (update.type === 'tick') {
-                // Always update the current candle
-                candleSeries.update(update.data);
-                updatePriceInfo(update.data);
+        });
+
+        async function loadOlderHistory() {
+            const symbol = currentSymbol;
+            const timeframe = currentTimeframe;
+            if (!activeStream || marketDataService.getData(symbol, timeframe).length === 0) return;
+
+            const controller = new AbortController();
+            scrollBackController = controller;
+
+            try {
+                // Older history is fetched at the timeframe the chart history
+                // came from: streamed series are prepended to the stream so the
+                // derived timeframe is rebuilt over the extended range
+                const { streamTimeframe } = activeStream;
+                const historyTimeframe = marketDataService.getHistoryTimeframe(timeframe);
+                const target = historyTimeframe === streamTimeframe ? streamTimeframe : timeframe;
+                const targetData = marketDataService.getData(symbol, target);
+
+                const older = await marketProvider.requestHistory(
+                    symbol,
+                    historyTimeframe,
+                    config.chart.scrollBack.count,
+                    { end: targetData[0].time - 1, signal: controller.signal }
+                );
+                if (controller.signal.aborted) return;
+
+                if (older.length === 0) {
+                    historyExhausted = true;
+                    return;
+                }
+
+                const candles = historyTimeframe === target ?
+                    older :
+                    marketDataService.aggregateCandles(older, target);
+
+                // Keep the same bars in view: prepending shifts every logical index
+                const timeScale = chart.timeScale();
+                const visibleRange = timeScale.getVisibleLogicalRange();
+                const previousLength = getDisplayedData().length;
+
+                marketDataService.mergeCandles(symbol, target, candles);
+                scheduleCacheWrite(symbol, target);
+
+                const added = getDisplayedData().length - previousLength;
+                if (visibleRange && added > 0) {
+                    timeScale.setVisibleLogicalRange({
+                        from: visibleRange.from + added,
+                        to: visibleRange.to + added
+                    });
+                }
+            } catch (error) {
+                if (error.code === 'REQUEST_CANCELLED') return;
+                console.error('Failed to load older history:', error);
+            } finally {
+                if (scrollBackController === controller) {
+                    scrollBackController = null;
+                }
             }
         }
 
         async function loadSymbolData(symbol, timeframe) {
+            // Cancel the history requests of a load still in flight so a slow
+            // response for the previous symbol can never land on the chart
+            if (loadController) {
+                loadController.abort();
+            }
+            const controller = new AbortController();
+            const { signal } = controller;
+            loadController = controller;
+
+            // Stop paging the history of the previous chart
+            if (scrollBackController) {
+                scrollBackController.abort();
+                scrollBackController = null;
+            }
+            historyExhausted = false;
+
+            showLoadingIndicator();
+
             try {
-                // Show loading indicator
-                const loadingIndicator = document.createElement('div');
-                loadingIndicator.className = 'loading-indicator';
-                loadingIndicator.textContent = 'Loading market data...';
-                chartContainer.appendChild(loadingIndicator);
+                const streamTimeframe = getStreamTimeframe(timeframe);
 
-                // Unsubscribe from previous symbol if exists
-                if (currentSymbol && currentSymbol !== symbol) {
-                    binaryWebSocket.unsubscribe(currentSymbol, handleWebSocketUpdate);
+                // Tear down the previous stream and aggregation
+                if (activeStream) {
+                    const streamChanged = activeStream.symbol !== symbol || activeStream.streamTimeframe !== streamTimeframe;
+                    if (!activeStream.offline && streamChanged) {
+                        marketProvider.unsubscribe(activeStream.symbol, handleWebSocketUpdate, activeStream.streamTimeframe);
+                    }
+                    if (activeStream.timeframe !== activeStream.streamTimeframe) {
+                        marketDataService.unregisterDerivedTimeframe(activeStream.symbol, activeStream.timeframe, activeStream.streamTimeframe);
+                    }
+                    activeStream = null;
                 }
+                loadChartLayout(symbol);
+                applySeriesStyle();
+                subscribeTransform(symbol, timeframe);
+                applySeriesVisibility(timeframe);
+                applyPriceFormat(symbol);
+                renderDataQuality(marketDataService.getQualityReport(symbol, timeframe));
 
-                // Get historical data
-                const historicalData = await binaryWebSocket.requestHistory(symbol, timeframe);
-                console.log('Historical data received:', historicalData.length, 'candles');
-                
-                // Set historical data to chart
-                candleSeries.setData(historicalData);
-                lastCandleTime = historicalData[historicalData.length - 1].time;
+                // Imported datasets are static: no history requests or live stream
+                if (dataImporter.isImportedSymbol(symbol)) {
+                    marketDataService.setData(symbol, timeframe, dataImporter.getCandles(symbol, timeframe));
+                    chart.timeScale().fitContent();
+                    return;
+                }
 
-                // Subscribe to real-time updates
-                binaryWebSocket.subscribe(symbol, handleWebSocketUpdate);
+                // Get historical data; custom timeframes and tick bars are
+                // aggregated locally from the history of a smaller timeframe
+                const historyTimeframe = marketDataService.getHistoryTimeframe(timeframe);
+                if (!historyTimeframe) {
+                    throw new Error(`Unsupported timeframe: ${timeframe}`);
+                }
+                const historyCount = timeframes.isTickBased(timeframe) ? config.ticks.historyCount : 1000;
+                const storedTimeframes = historyTimeframe === streamTimeframe ?
+                    [streamTimeframe] :
+                    [streamTimeframe, timeframe];
 
-                // Remove loading indicator
-                chartContainer.removeChild(loadingIndicator);
+                // Derive live candles for other timeframes from the stream;
+                // registered first so cached candles render right away
+                if (timeframe !== streamTimeframe) {
+                    marketDataService.registerDerivedTimeframe(symbol, timeframe, streamTimeframe);
+                }
+                // Not subscribed (`offline`) until the history is in
+                activeStream = { symbol, timeframe, streamTimeframe, storedTimeframes, offline: true };
+
+                // Store history; the chart renders it through the data listener
+                if (historyTimeframe === streamTimeframe) {
+                    const loaded = await loadHistory(symbol, streamTimeframe, streamTimeframe, historyCount, signal);
+                    if (loaded === null) return;
+                } else {
+                    const loaded = await loadHistory(symbol, historyTimeframe, timeframe, historyCount, signal);
+                    if (loaded === null) return;
+
+                    // Base history covers the forming higher-timeframe candle
+                    const baseLoaded = await loadHistory(symbol, streamTimeframe, streamTimeframe, 1000, signal);
+                    if (baseLoaded === null) return;
+                }
+
+                chart.timeScale().fitContent();
 
+                // Offline the chart stays on cached data until the connection
+                // returns and the load is repeated
+                if (connectionStatus.isOffline()) {
+                    if (marketDataService.getData(symbol, timeframe).length === 0) {
+                        showError('No cached data available while offline');
+                    }
+                } else {
+                    marketProvider.subscribe(symbol, handleWebSocketUpdate, streamTimeframe);
+                    activeStream.offline = false;
+                }
             } catch (error) {
+                if (error.code === 'REQUEST_CANCELLED') return;
                 console.error('Failed to load symbol data:', error);
-                showError('Failed to load market data');
+                showError(error.code === 'INVALID_TIMEFRAME' ? error.message : 'Failed to load market data');
+            } finally {
+                if (loadController === controller) {
+                    hideLoadingIndicator();
+                    loadController = null;
+                }
             }
         }
 
-        // Load initial data
-        await loadSymbolData(currentSymbol, currentTimeframe);
+        let loadingIndicator = null;
+
+        function showLoadingIndicator() {
+            if (loadingIndicator) return;
+            loadingIndicator = document.createElement('div');
+            loadingIndicator.className = 'loading-indicator';
+            loadingIndicator.textContent = 'Loading market data...';
+            chartContainer.appendChild(loadingIndicator);
+        }
+
+        function hideLoadingIndicator() {
+            if (loadingIndicator && loadingIndicator.parentNode) {
+                chartContainer.removeChild(loadingIndicator);
+            }
+            loadingIndicator = null;
+        }
+
+        // Connection status indicator; an offline chart resyncs once live data is back
+        const statusIndicator = document.getElementById('connectionStatus');
+        const statusLabels = {
+            online: 'Live',
+            reconnecting: 'Reconnecting - cached data',
+            offline: 'Offline - cached data'
+        };
 
-        // Handle symbol change
-        symbolSelect.addEventListener('change', async (event) => {
-            const newSymbol = event.target.value;
-            currentSymbol = newSymbol;
+        function renderConnectionStatus(state) {
+            if (!statusIndicator) return;
+            statusIndicator.textContent = statusLabels[state];
+            statusIndicator.className = `connection-status ${state}`;
+        }
+
+        connectionStatus.addListener(({ state }) => {
+            renderConnectionStatus(state);
+            if (state === 'online' && activeStream && activeStream.offline && !loadController) {
+                loadSymbolData(currentSymbol, currentTimeframe);
+            }
+        });
+        renderConnectionStatus(connectionStatus.getState());
+
+        // Don't lose batched cache writes on reload
+        window.addEventListener('beforeunload', () => candleCache.flush());
+
+        // Handle symbol change from the picker or the watchlist
+        async function selectSymbol(symbol) {
+            if (symbol === currentSymbol) return;
+
+            currentSymbol = symbol;
+            symbolPicker.setSymbol(symbol);
+            watchlistPanel.setActiveSymbol(symbol);
+            symbolCatalog.addRecent(symbol);
+            await loadSymbolData(currentSymbol, currentTimeframe);
+        }
+
+        const symbolPicker = new SymbolPicker(document.getElementById('symbolPicker'), { onSelect: selectSymbol });
+        symbolPicker.setSymbol(currentSymbol);
+
+        // Live quotes for several symbols at once
+        watchlistService.initialize();
+        const watchlistPanel = new WatchlistPanel(document.getElementById('watchlist'), {
+            onSelect: selectSymbol,
+            onError: showError,
+            getCurrentSymbol: () => currentSymbol
+        });
+        watchlistPanel.setActiveSymbol(currentSymbol);
+
+        // Import candle files via the file picker or by dropping them on the chart
+        const importBtn = document.getElementById('importBtn');
+        if (importBtn) {
+            importBtn.addEventListener('click', () => importDialog.openFilePicker());
+        }
+        importDialog.attachDropTarget(chartContainer, { onError: showError });
+
+        // Export the displayed series with its indicators, signals and patterns
+        const exportBtn = document.getElementById('exportBtn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', async () => {
+                const options = await exportDialog.open();
+                if (!options) return;
+
+                try {
+                    const candles = getDisplayedData();
+                    const visibleRange = options.range === 'visible' ? chart.timeScale().getVisibleRange() : null;
+                    const indicators = options.includeIndicators ?
+                        [...chartIndicators.getActiveResults(), ...technicalIndicators.getActiveResults(candles)] :
+                        [];
+
+                    const file = await dataExporter.exportSeries(candles, {
+                        ...options,
+                        symbol: currentSymbol,
+                        timeframe: currentTimeframe,
+                        range: visibleRange && { from: visibleRange.from, to: visibleRange.to },
+                        indicators
+                    });
+                    dataExporter.download(file);
+                } catch (error) {
+                    console.error('Export failed:', error);
+                    showError(error.message);
+                }
+            });
+        }
+
+        // Imported datasets show up as symbols and are opened right away
+        dataImporter.addListener(async ({ type, dataset }) => {
+            if (type !== 'register') return;
+
+            symbolCatalog.addSymbol({
+                symbol: dataset.symbol,
+                display_name: dataset.name,
+                market: 'imported',
+                market_display_name: 'Imported',
+                submarket: 'files',
+                submarket_display_name: 'Files',
+                pip: getImportedPip(dataset.candles)
+            });
+
+            const { report } = dataset;
+            if (report && report.invalidRows > 0) {
+                showError(`Imported ${report.imported} candles, skipped ${report.invalidRows} invalid rows`);
+            }
+
+            symbolPicker.setSymbol(dataset.symbol);
+            watchlistPanel.setActiveSymbol(dataset.symbol);
+            currentSymbol = dataset.symbol;
+            setActiveTimeframe(dataset.timeframe);
             await loadSymbolData(currentSymbol, currentTimeframe);
         });
 
+        // Chart type: a series style or one of the transformations
+        const chartTypeSelect = document.getElementById('chartTypeSelect');
+        const chartTypeParam = document.getElementById('chartTypeParam');
+        const CHART_TYPE_PARAMS = {
+            baseline: { name: 'price', label: 'Baseline price', fallback: 'first close' },
+            renko: { name: 'boxSize', label: 'Box size', fallback: 'ATR' },
+            range: { name: 'range', label: 'Range', fallback: 'ATR' },
+            kagi: { name: 'reversal', label: 'Reversal', fallback: 'ATR' },
+            'line-break': { name: 'lines', label: 'Lines' }
+        };
+
+        function appendChartTypeGroup(label, types) {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            types.forEach(({ type, name }) => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = name;
+                group.appendChild(option);
+            });
+            chartTypeSelect.appendChild(group);
+        }
+        appendChartTypeGroup('Style', PriceSeries.getStyles().map(({ style, name }) => ({ type: style, name })));
+        appendChartTypeGroup('Transform', chartTransforms.getTypes());
+
+        // Baseline price, box size, range, reversal or line count; an empty
+        // value uses the default
+        function renderChartTypeParam() {
+            const param = CHART_TYPE_PARAMS[chartType];
+            chartTypeParam.hidden = !param;
+            if (!param) return;
+
+            const defaultValue = (config.transforms[chartType] || {})[param.name] ?? null;
+            chartTypeParam.value = getChartTypeParams(chartType)[param.name] ?? '';
+            chartTypeParam.placeholder = defaultValue ?? param.fallback;
+            chartTypeParam.title = defaultValue === null ? `${param.label} (empty: ${param.fallback})` : param.label;
+        }
+
+        // Switch to the chart type saved for the symbol
+        function loadChartLayout(symbol) {
+            chartType = getChartLayout(symbol).chartType;
+            chartTypeSelect.value = chartType;
+            renderChartTypeParam();
+        }
+
+        chartTypeSelect.addEventListener('change', () => {
+            chartType = chartTypeSelect.value;
+            settingsManager.set('chartType', chartType);
+            saveChartLayout(currentSymbol, { chartType });
+            renderChartTypeParam();
+            applyChartType();
+        });
+
+        chartTypeParam.addEventListener('change', () => {
+            const { name } = CHART_TYPE_PARAMS[chartType];
+            const value = parseFloat(chartTypeParam.value);
+            const { params } = getChartLayout(currentSymbol);
+            const typeParams = { ...params[chartType] };
+            if (value > 0) {
+                typeParams[name] = value;
+            } else {
+                delete typeParams[name]; // Back to the default
+            }
+            saveChartLayout(currentSymbol, { params: { ...params, [chartType]: typeParams } });
+            applyChartType();
+        });
+
+        // Redraw the series in the colors of a new theme
+        themeManager.subscribe(() => {
+            priceSeries.setColors(getSeriesColors());
+            if (transformKey) renderSeries(getDisplayedData());
+        });
+
         // Handle timeframe buttons
-        const timeframeButtons = document.querySelectorAll('.timeframe-controls button');
+        const timeframeButtons = document.querySelectorAll('.timeframe-buttons button');
         timeframeButtons.forEach(button => {
             button.addEventListener('click', async (event) => {
                 // Remove active class from all buttons
@@ -148,6 +820,13 @@ document.addEventListener('DOMContentLoaded', async () => {
             });
         });
 
+        function setActiveTimeframe(timeframe) {
+            currentTimeframe = timeframe;
+            timeframeButtons.forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.timeframe === timeframe);
+            });
+        }
+
         // Handle window resize
         window.addEventListener('resize', () => {
             chart.applyOptions({
@@ -199,6 +878,9 @@ document.addEventListener('DOMContentLoaded', async () => {
             });
         }
 
+        // Load initial data
+        await loadSymbolData(currentSymbol, currentTimeframe);
+
         console.log('Chart initialized successfully');
     } catch (error) {
         console.error('Failed to initialize chart:', error);
@@ -206,20 +888,29 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 });
 
+// Smallest price step used by an imported series, from its decimal places
+function getImportedPip(candles) {
+    const decimals = candles.slice(-100).reduce((max, candle) => {
+        const [, fraction = ''] = String(candle.close).split('.');
+        return Math.max(max, fraction.length);
+    }, 0);
+    return Math.pow(10, -Math.min(decimals, 8));
+}
+
 // Helper function to update price information
-function updatePriceInfo(candle) {
+function updatePriceInfo(symbol, candle) {
     const currentPrice = document.getElementById('currentPrice');
     const priceChange = document.getElementById('priceChange');
     
     if (currentPrice) {
-        currentPrice.textContent = `Price: ${candle.close.toFixed(5)}`;
+        currentPrice.textContent = `Price: ${symbolCatalog.formatPrice(symbol, candle.close)}`;
     }
     
     if (priceChange && candle.open) {
         const change = candle.close - candle.open;
         const changePercent = (change / candle.open) * 100;
         const sign = change >= 0 ? '+' : '';
-        priceChange.textContent = `Change: ${sign}${change.toFixed(5)} (${sign}${changePercent.toFixed(2)}%)`;
+        priceChange.textContent = `Change: ${sign}${symbolCatalog.formatPrice(symbol, change)} (${sign}${changePercent.toFixed(2)}%)`;
         priceChange.style.color = change >= 0 ? config.chart.candlestick.upColor : config.chart.candlestick.downColor;
     }
 }
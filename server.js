@@ -2,13 +2,40 @@ import express from 'express';
 import path from 'path';
 import cors from 'cors';
 import { fileURLToPath } from 'url';
+import config from './src/config.js';
+import { Recorder } from './server/recorder.js';
+import { createReplayServer, parseTime } from './server/replay.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Command line options:
+//   --record R_10,R_100      record these symbols from the upstream API
+//   --granularities 60,300   candle streams recorded besides ticks (seconds)
+//   --upstream <url>         upstream WebSocket (default: config.wsEndpoint)
+//   --data-dir <dir>         recordings directory (default: ./recordings)
+//   --rotate <seconds>       start a new file per symbol this often
+//   --speed 1|10|100         default replay speed
+//   --from <epoch|ISO date>  default replay start
+// Recordings are replayed at ws://localhost:3001/websockets/v3; point
+// config.wsEndpoint there (with ?speed=10 or &from=... to override per client).
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z-]+)$/.exec(argv[i]);
+        if (!match) continue;
+        const next = argv[i + 1];
+        options[match[1]] = next === undefined || next.startsWith('--') ? true : argv[++i];
+    }
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const dataDir = path.resolve(__dirname, options['data-dir'] || 'recordings');
+
 const app = express();
-const port = 3001; // Changed port to 3001
+const port = Number(options.port) || 3001;
 
 // Enable CORS for all routes
 app.use(cors());
@@ -34,7 +61,34 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(port, () => {
+const server = app.listen(port, () => {
     console.log(`Server running at http://localhost:${port}`);
     console.log(`Serving files from: ${__dirname}`);
+    console.log(`Replaying recordings from ${dataDir} at ws://localhost:${port}/websockets/v3`);
+});
+
+createReplayServer(server, {
+    dataDir,
+    speed: Number(options.speed) || 1,
+    from: parseTime(options.from)
 });
+
+if (typeof options.record === 'string') {
+    const recorder = new Recorder({
+        endpoint: options.upstream || `${config.wsEndpoint}?app_id=${config.appId}`,
+        symbols: options.record.split(','),
+        granularities: typeof options.granularities === 'string' ?
+            options.granularities.split(',').map(Number) :
+            [config.timeframes[config.chart.baseTimeframe]],
+        dataDir,
+        rotateSeconds: Number(options.rotate) || 3600,
+        reconnectInterval: config.ws.reconnectInterval,
+        maxReconnectInterval: config.ws.maxReconnectInterval
+    });
+    recorder.start();
+
+    process.on('SIGINT', () => {
+        recorder.stop();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,200 @@
+import fs from 'fs';
+import path from 'path';
+import WebSocket from 'ws';
+
+// Records the upstream tick and candle streams of a set of symbols into
+// JSON Lines files, one directory per symbol:
+//   <dataDir>/<symbol>/<first epoch>.jsonl
+// with one record per line:
+//   { "type": "tick", "symbol", "epoch", "quote" }
+//   { "type": "ohlc", "symbol", "granularity", "epoch", "open_time", "open", "high", "low", "close" }
+// A file is closed and a new one started every `rotateSeconds` or
+// `maxFileBytes`, and only the newest `maxFiles` files per symbol are kept.
+export class Recorder {
+    constructor({
+        endpoint,
+        symbols,
+        granularities = [60],
+        dataDir,
+        rotateSeconds = 3600,
+        maxFileBytes = 50 * 1024 * 1024,
+        maxFiles = 168,
+        reconnectInterval = 1000,
+        maxReconnectInterval = 30000,
+        pingInterval = 30000
+    }) {
+        this.endpoint = endpoint;
+        this.symbols = symbols;
+        this.granularities = granularities;
+        this.dataDir = dataDir;
+        this.rotateSeconds = rotateSeconds;
+        this.maxFileBytes = maxFileBytes;
+        this.maxFiles = maxFiles;
+        this.reconnectInterval = reconnectInterval;
+        this.maxReconnectInterval = maxReconnectInterval;
+        this.pingInterval = pingInterval;
+
+        this.ws = null;
+        this.files = new Map(); // symbol -> { stream, path, opened, bytes }
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.pingTimer = null;
+        this.stopped = false;
+    }
+
+    start() {
+        this.stopped = false;
+        this.connect();
+    }
+
+    connect() {
+        const ws = new WebSocket(this.endpoint);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            console.log(`Recorder connected to ${this.endpoint}`);
+            this.reconnectAttempts = 0;
+            this.subscribe();
+            this.pingTimer = setInterval(() => this.send({ ping: 1 }), this.pingInterval);
+        });
+
+        ws.on('message', message => {
+            try {
+                this.handleMessage(JSON.parse(message));
+            } catch (error) {
+                console.error('Recorder failed to handle a message:', error);
+            }
+        });
+
+        ws.on('error', error => {
+            console.error('Recorder connection error:', error.message);
+        });
+
+        ws.on('close', () => {
+            clearInterval(this.pingTimer);
+            this.pingTimer = null;
+            if (ws !== this.ws || this.stopped) return;
+            this.scheduleReconnect();
+        });
+    }
+
+    // Back off exponentially, like the browser client
+    scheduleReconnect() {
+        const delay = Math.min(this.reconnectInterval * 2 ** this.reconnectAttempts, this.maxReconnectInterval);
+        this.reconnectAttempts++;
+        console.log(`Recorder reconnecting in ${delay} ms`);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    // Raw ticks plus a candle stream per granularity
+    subscribe() {
+        this.symbols.forEach(symbol => {
+            this.send({ ticks: symbol, subscribe: 1 });
+            this.granularities.forEach(granularity => {
+                this.send({
+                    ticks_history: symbol,
+                    style: 'candles',
+                    granularity,
+                    count: 1,
+                    end: 'latest',
+                    subscribe: 1
+                });
+            });
+        });
+    }
+
+    handleMessage(data) {
+        if (data.error) {
+            console.error('Recorder upstream error:', data.error.message);
+            return;
+        }
+
+        if (data.tick) {
+            const { symbol, epoch, quote } = data.tick;
+            this.write(symbol, { type: 'tick', symbol, epoch, quote: Number(quote) });
+        } else if (data.ohlc) {
+            const { symbol, granularity, epoch, open_time: openTime, open, high, low, close } = data.ohlc;
+            this.write(symbol, {
+                type: 'ohlc',
+                symbol,
+                granularity: Number(granularity),
+                epoch,
+                open_time: openTime,
+                open: Number(open),
+                high: Number(high),
+                low: Number(low),
+                close: Number(close)
+            });
+        }
+    }
+
+    write(symbol, record) {
+        const file = this.getFile(symbol, record.epoch);
+        const line = `${JSON.stringify(record)}\n`;
+        file.stream.write(line);
+        file.bytes += Buffer.byteLength(line);
+    }
+
+    // The open file of a symbol, rotated by age and size
+    getFile(symbol, epoch) {
+        const current = this.files.get(symbol);
+        if (current && epoch - current.opened < this.rotateSeconds && current.bytes < this.maxFileBytes) {
+            return current;
+        }
+        if (current) {
+            current.stream.end();
+        }
+
+        const directory = path.join(this.dataDir, symbol);
+        fs.mkdirSync(directory, { recursive: true });
+        const filePath = path.join(directory, `${epoch}.jsonl`);
+        const file = {
+            stream: fs.createWriteStream(filePath, { flags: 'a' }),
+            path: filePath,
+            opened: epoch,
+            bytes: 0
+        };
+        file.stream.on('error', error => {
+            console.error(`Recorder failed to write ${filePath}:`, error.message);
+            if (this.files.get(symbol) === file) this.files.delete(symbol);
+        });
+        this.files.set(symbol, file);
+        this.pruneFiles(directory);
+        return file;
+    }
+
+    pruneFiles(directory) {
+        const files = listRecordingFiles(directory);
+        files.slice(0, Math.max(0, files.length - this.maxFiles)).forEach(file => {
+            fs.unlink(path.join(directory, file), error => {
+                if (error) console.error(`Recorder failed to delete ${file}:`, error.message);
+            });
+        });
+    }
+
+    send(message) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.pingTimer);
+        if (this.ws) {
+            this.ws.close();
+            this.ws = null;
+        }
+        this.files.forEach(file => file.stream.end());
+        this.files.clear();
+    }
+}
+
+// Recording files of a symbol directory, oldest first
+export function listRecordingFiles(directory) {
+    if (!fs.existsSync(directory)) return [];
+    return fs.readdirSync(directory)
+        .filter(file => /^\d+\.jsonl$/.test(file))
+        .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+}
@@ -0,0 +1,445 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { WebSocketServer } from 'ws';
+import config from '../src/config.js';
+import { listRecordingFiles } from './recorder.js';
+
+const TICK_INTERVAL = 50; // ms between checks for records that became due
+
+// Recordings written by the Recorder, loaded per symbol on first use. The
+// directory is re-read by refresh() when a replay session starts; a symbol
+// whose files changed since it was loaded (e.g. while recording with
+// --record) is reloaded on its next use after that.
+export class RecordingStore {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.symbols = new Map(); // symbol -> { signature, recording }
+        this.index = null; // Symbols with recordings, as of the last refresh
+        this.unchecked = new Set(); // Loaded symbols not checked for changes since then
+    }
+
+    refresh() {
+        this.index = fs.existsSync(this.dataDir) ?
+            fs.readdirSync(this.dataDir)
+                .filter(symbol => listRecordingFiles(path.join(this.dataDir, symbol)).length > 0)
+                .sort() :
+            [];
+        this.unchecked = new Set(this.symbols.keys());
+    }
+
+    getSymbols() {
+        if (!this.index) this.refresh();
+        return this.index;
+    }
+
+    has(symbol) {
+        return this.getSymbols().includes(symbol);
+    }
+
+    // Names, sizes and modification times of a symbol's files
+    getSignature(symbol) {
+        const directory = path.join(this.dataDir, symbol);
+        return listRecordingFiles(directory).map(file => {
+            const { size, mtimeMs } = fs.statSync(path.join(directory, file));
+            return `${file}:${size}:${mtimeMs}`;
+        }).join();
+    }
+
+    // Ticks ({ epoch, quote }) and candle updates by granularity, sorted by epoch
+    load(symbol) {
+        const cached = this.symbols.get(symbol);
+        if (cached && !this.unchecked.has(symbol)) return cached.recording;
+
+        this.unchecked.delete(symbol);
+        const signature = this.getSignature(symbol);
+        if (cached && cached.signature === signature) return cached.recording;
+
+        const recording = this.read(symbol);
+        this.symbols.set(symbol, { signature, recording });
+        return recording;
+    }
+
+    read(symbol) {
+        const directory = path.join(this.dataDir, symbol);
+        const ticks = [];
+        const ohlc = new Map();
+
+        listRecordingFiles(directory).forEach(file => {
+            fs.readFileSync(path.join(directory, file), 'utf8').split('\n').forEach(line => {
+                if (!line) return;
+                try {
+                    const record = JSON.parse(line);
+                    if (record.type === 'tick') {
+                        ticks.push({ epoch: record.epoch, quote: record.quote });
+                    } else if (record.type === 'ohlc') {
+                        if (!ohlc.has(record.granularity)) ohlc.set(record.granularity, []);
+                        ohlc.get(record.granularity).push(record);
+                    }
+                } catch (error) {
+                    // A line cut short by a crash while recording
+                }
+            });
+        });
+
+        ticks.sort((a, b) => a.epoch - b.epoch);
+        ohlc.forEach(updates => updates.sort((a, b) => a.epoch - b.epoch));
+
+        // Every list is sorted: the range is spanned by their ends
+        const lists = [ticks, ...ohlc.values()].filter(list => list.length > 0);
+        const quotes = ticks.length > 0 ?
+            ticks.map(tick => tick.quote) :
+            Array.from(ohlc.values()).flatMap(updates => updates.map(update => update.close));
+        const recording = {
+            ticks,
+            ohlc,
+            decimals: getDecimals(quotes),
+            first: lists.length > 0 ? Math.min(...lists.map(list => list[0].epoch)) : null,
+            last: lists.length > 0 ? Math.max(...lists.map(list => list[list.length - 1].epoch)) : null
+        };
+        return recording;
+    }
+
+    // First and last recorded epoch over every symbol
+    getRange() {
+        let first = null;
+        let last = null;
+        this.getSymbols().forEach(symbol => {
+            const recording = this.load(symbol);
+            if (recording.first === null) return;
+            first = first === null ? recording.first : Math.min(first, recording.first);
+            last = last === null ? recording.last : Math.max(last, recording.last);
+        });
+        return { first, last };
+    }
+}
+
+// Pip decimals: the most decimals among the first quotes
+function getDecimals(quotes) {
+    return quotes.slice(0, 200).reduce((decimals, quote) => {
+        const [, fraction = ''] = String(quote).split('.');
+        return Math.max(decimals, fraction.length);
+    }, 0);
+}
+
+function toCandles(ticks, granularity) {
+    const candles = [];
+    ticks.forEach(({ epoch, quote }) => {
+        const time = Math.floor(epoch / granularity) * granularity;
+        const last = candles[candles.length - 1];
+        if (last && last.epoch === time) {
+            last.high = Math.max(last.high, quote);
+            last.low = Math.min(last.low, quote);
+            last.close = quote;
+        } else {
+            candles.push({ epoch: time, open: quote, high: quote, low: quote, close: quote });
+        }
+    });
+    return candles;
+}
+
+// Index of the first entry with an epoch after `epoch`
+function findAfter(list, epoch) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (list[middle].epoch <= epoch) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+// One client connection: a replay clock and the streams it subscribed to.
+// Answers the subset of the Binary.com API the BinaryWebSocket provider uses.
+class ReplaySession {
+    constructor(socket, store, { speed, from }) {
+        this.socket = socket;
+        this.store = store;
+        this.speed = speed;
+        this.from = from;
+        this.startedAt = Date.now();
+        this.streams = new Map(); // subscription id -> stream
+        this.timer = setInterval(() => this.emitDue(), TICK_INTERVAL);
+
+        socket.on('message', message => this.handleMessage(message));
+        socket.on('close', () => clearInterval(this.timer));
+    }
+
+    // Replayed time in epoch seconds
+    now() {
+        return Math.floor(this.from + (Date.now() - this.startedAt) / 1000 * this.speed);
+    }
+
+    handleMessage(message) {
+        let request;
+        try {
+            request = JSON.parse(message);
+        } catch (error) {
+            this.sendError({}, 'InputValidationFailed', 'Invalid JSON');
+            return;
+        }
+        if (!request || typeof request !== 'object' || Array.isArray(request)) {
+            this.sendError({}, 'InputValidationFailed', 'Request must be a JSON object');
+            return;
+        }
+
+        try {
+            this.dispatch(request);
+        } catch (error) {
+            console.error('Replay request failed:', error);
+            this.sendError(request, 'InternalServerError', 'Request failed');
+        }
+    }
+
+    dispatch(request) {
+        if (request.ping) {
+            this.reply(request, 'ping', { ping: 'pong' });
+        } else if (request.time) {
+            this.reply(request, 'time', { time: this.now() });
+        } else if (request.active_symbols) {
+            this.reply(request, 'active_symbols', { active_symbols: this.getActiveSymbols() });
+        } else if (request.ticks_history) {
+            this.handleHistory(request);
+        } else if (request.ticks) {
+            this.handleTicks(request);
+        } else if (request.forget) {
+            const removed = this.streams.delete(request.forget);
+            this.reply(request, 'forget', { forget: removed ? 1 : 0 });
+        } else if (request.forget_all) {
+            const ids = Array.from(this.streams.keys());
+            this.streams.clear();
+            this.reply(request, 'forget_all', { forget_all: ids });
+        } else {
+            this.sendError(request, 'UnrecognisedRequest', 'Unrecognised request');
+        }
+    }
+
+    getActiveSymbols() {
+        const known = new Map(config.symbols.fallback.map(entry => [entry.symbol, entry]));
+        return this.store.getSymbols().map(symbol => {
+            const { decimals } = this.store.load(symbol);
+            return {
+                market: 'recorded',
+                market_display_name: 'Recorded',
+                submarket: 'replay',
+                submarket_display_name: 'Replay',
+                display_name: symbol,
+                exchange_is_open: 1,
+                is_trading_suspended: 0,
+                ...known.get(symbol),
+                symbol,
+                pip: Number((10 ** -decimals).toFixed(decimals))
+            };
+        });
+    }
+
+    handleHistory(request) {
+        const symbol = request.ticks_history;
+        if (!this.store.has(symbol)) {
+            this.sendError(request, 'InvalidSymbol', `Symbol ${symbol} is invalid.`);
+            return;
+        }
+
+        const recording = this.store.load(symbol);
+        const now = this.now();
+        const end = request.end && request.end !== 'latest' ? Math.min(Number(request.end), now) : now;
+        const start = Number(request.start) || 0;
+        const count = Number(request.count) || 5000;
+        const inRange = ({ epoch }) => epoch >= start && epoch <= end;
+
+        if (request.style === 'candles') {
+            const granularity = Number(request.granularity) || 60;
+            const candles = this.getCandles(recording, granularity, end).filter(inRange).slice(-count);
+            const subscription = request.subscribe ? this.addStream(request, symbol, 'ohlc', granularity) : null;
+            this.reply(request, 'candles', { candles, pip_size: recording.decimals, ...subscription });
+            return;
+        }
+
+        const ticks = recording.ticks.filter(inRange).slice(-count);
+        const subscription = request.subscribe ? this.addStream(request, symbol, 'tick') : null;
+        this.reply(request, 'history', {
+            history: {
+                prices: ticks.map(tick => tick.quote),
+                times: ticks.map(tick => tick.epoch)
+            },
+            pip_size: recording.decimals,
+            ...subscription
+        });
+    }
+
+    handleTicks(request) {
+        const symbol = request.ticks;
+        if (!this.store.has(symbol)) {
+            this.sendError(request, 'InvalidSymbol', `Symbol ${symbol} is invalid.`);
+            return;
+        }
+        // Ticks are only ever streamed
+        this.addStream(request, symbol, 'tick');
+    }
+
+    // Candles up to `end`, from the recorded ticks or else the recorded
+    // candle updates of the granularity
+    getCandles(recording, granularity, end) {
+        if (recording.ticks.length > 0) {
+            return toCandles(recording.ticks.slice(0, findAfter(recording.ticks, end)), granularity);
+        }
+
+        const updates = recording.ohlc.get(granularity) || [];
+        const candles = new Map();
+        updates.slice(0, findAfter(updates, end)).forEach(update => {
+            candles.set(update.open_time, {
+                epoch: update.open_time,
+                open: update.open,
+                high: update.high,
+                low: update.low,
+                close: update.close
+            });
+        });
+        return Array.from(candles.values());
+    }
+
+    // Stream records after the current replay time
+    addStream(request, symbol, type, granularity = null) {
+        const recording = this.store.load(symbol);
+        const id = randomUUID().replace(/-/g, '');
+        const fromTicks = type === 'tick' || recording.ticks.length > 0;
+        const source = fromTicks ? recording.ticks : recording.ohlc.get(granularity) || [];
+        const now = this.now();
+
+        const stream = { id, request, symbol, type, granularity, recording, source, fromTicks, next: findAfter(source, now), candle: null };
+        if (type === 'ohlc' && fromTicks) {
+            // The candle forming at the current replay time
+            const [candle] = this.getCandles(recording, granularity, now).slice(-1);
+            const periodStart = Math.floor(now / granularity) * granularity;
+            stream.candle = candle && candle.epoch === periodStart ? { ...candle } : null;
+        }
+
+        this.streams.set(id, stream);
+        if (type === 'tick' && !request.ticks_history) {
+            // A plain `ticks` request gets its subscription id right away
+            this.reply(request, 'tick', { subscription: { id } });
+        }
+        return { subscription: { id } };
+    }
+
+    emitDue() {
+        if (this.streams.size === 0) return;
+
+        const now = this.now();
+        this.streams.forEach(stream => {
+            while (stream.next < stream.source.length && stream.source[stream.next].epoch <= now) {
+                this.emitRecord(stream, stream.source[stream.next]);
+                stream.next++;
+            }
+        });
+    }
+
+    emitRecord(stream, record) {
+        const { id, request, symbol, granularity } = stream;
+        const pipSize = stream.recording.decimals;
+
+        if (stream.type === 'tick') {
+            this.reply(request, 'tick', {
+                tick: { symbol, epoch: record.epoch, quote: record.quote, pip_size: pipSize, id },
+                subscription: { id }
+            });
+            return;
+        }
+
+        let candle = record;
+        if (stream.fromTicks) {
+            const openTime = Math.floor(record.epoch / granularity) * granularity;
+            if (!stream.candle || stream.candle.epoch !== openTime) {
+                stream.candle = { epoch: openTime, open: record.quote, high: record.quote, low: record.quote, close: record.quote };
+            } else {
+                stream.candle.high = Math.max(stream.candle.high, record.quote);
+                stream.candle.low = Math.min(stream.candle.low, record.quote);
+                stream.candle.close = record.quote;
+            }
+            candle = { ...stream.candle, open_time: openTime, epoch: record.epoch };
+        }
+
+        // Prices are strings in the live `ohlc` stream
+        const price = value => Number(value).toFixed(pipSize);
+        this.reply(request, 'ohlc', {
+            ohlc: {
+                symbol,
+                granularity,
+                epoch: candle.epoch,
+                open_time: candle.open_time,
+                open: price(candle.open),
+                high: price(candle.high),
+                low: price(candle.low),
+                close: price(candle.close),
+                pip_size: pipSize,
+                id
+            },
+            subscription: { id }
+        });
+    }
+
+    // Responses echo the request and its req_id, as the API does
+    reply(request, msgType, body) {
+        this.send({ echo_req: request, ...(request.req_id ? { req_id: request.req_id } : {}), msg_type: msgType, ...body });
+    }
+
+    sendError(request, code, message) {
+        this.send({
+            echo_req: request,
+            ...(request.req_id ? { req_id: request.req_id } : {}),
+            msg_type: Object.keys(request)[0] || 'error',
+            error: { code, message }
+        });
+    }
+
+    send(message) {
+        if (this.socket.readyState === this.socket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+}
+
+// Serve recordings over WebSocket at `path` on an existing HTTP server.
+// Clients choose the playback speed and start with query parameters:
+//   ws://localhost:3001/websockets/v3?speed=10&from=2024-01-01T12:00:00Z
+export function createReplayServer(server, { dataDir, path: endpointPath = '/websockets/v3', speed = 1, from = null }) {
+    const store = new RecordingStore(dataDir);
+    const wss = new WebSocketServer({ server, path: endpointPath });
+
+    wss.on('connection', (socket, request) => {
+        const query = new URL(request.url, 'http://localhost').searchParams;
+        store.refresh();
+        const range = store.getRange();
+        if (range.first === null) {
+            console.warn(`No recordings in ${dataDir}`);
+        }
+
+        const session = {
+            speed: Number(query.get('speed')) || speed,
+            from: parseTime(query.get('from')) ?? from ?? getDefaultStart(range)
+        };
+        console.log(`Replay client connected (${session.speed}x from ${new Date(session.from * 1000).toISOString()})`);
+        new ReplaySession(socket, store, session);
+    });
+
+    return wss;
+}
+
+// Leave up to an hour of the recording as history
+function getDefaultStart({ first, last }) {
+    if (first === null) return Math.floor(Date.now() / 1000);
+    return first + Math.min(3600, Math.floor((last - first) / 2));
+}
+
+// Epoch seconds or an ISO date
+export function parseTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (/^\d+$/.test(value)) return Number(value);
+
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
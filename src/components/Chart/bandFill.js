@@ -0,0 +1,97 @@
+import { colors } from '../../utils/helpers.js';
+
+// Shades the area between two indicator lines, e.g. the upper and lower
+// channel of Keltner or Donchian channels or the Ichimoku cloud. Attached to
+// a series as a Lightweight Charts series primitive and drawn below it; the
+// colour follows which line is on top.
+class BandFill {
+    constructor({ upColor, downColor = upColor, opacity = 0.15 }) {
+        this.upColor = colors.withAlpha(upColor, opacity);
+        this.downColor = colors.withAlpha(downColor, opacity);
+        this.from = new Map(); // time -> value of the line the fill starts from
+        this.to = new Map();
+        this.times = [];
+        this.chart = null;
+        this.series = null;
+        this.requestUpdate = null;
+        this.view = {
+            zOrder: () => 'bottom',
+            renderer: () => ({ draw: target => this.draw(target) })
+        };
+    }
+
+    // Series primitive interface
+
+    attached({ chart, series, requestUpdate }) {
+        this.chart = chart;
+        this.series = series;
+        this.requestUpdate = requestUpdate;
+    }
+
+    detached() {
+        this.chart = null;
+        this.series = null;
+        this.requestUpdate = null;
+    }
+
+    updateAllViews() {}
+
+    paneViews() {
+        return [this.view];
+    }
+
+    // Data
+
+    setData(fromPoints, toPoints) {
+        this.from = new Map(fromPoints.map(point => [point.time, point.value]));
+        this.to = new Map(toPoints.map(point => [point.time, point.value]));
+        this.updateTimes();
+    }
+
+    // Live update of the last point of either line
+    updatePoint(line, point) {
+        const values = line === 'from' ? this.from : this.to;
+        const isNew = !values.has(point.time);
+        values.set(point.time, point.value);
+        if (isNew) this.updateTimes();
+        if (this.requestUpdate) this.requestUpdate();
+    }
+
+    updateTimes() {
+        this.times = Array.from(this.from.keys())
+            .filter(time => this.to.has(time))
+            .sort((a, b) => a - b);
+        if (this.requestUpdate) this.requestUpdate();
+    }
+
+    draw(target) {
+        if (!this.chart || !this.series || this.times.length < 2) return;
+
+        const timeScale = this.chart.timeScale();
+        const points = this.times.map(time => ({
+            x: timeScale.timeToCoordinate(time),
+            from: this.series.priceToCoordinate(this.from.get(time)),
+            to: this.series.priceToCoordinate(this.to.get(time)),
+            up: this.from.get(time) >= this.to.get(time)
+        }));
+
+        target.useBitmapCoordinateSpace(({ context, horizontalPixelRatio, verticalPixelRatio }) => {
+            for (let i = 1; i < points.length; i++) {
+                const a = points[i - 1];
+                const b = points[i];
+                if ([a.x, a.from, a.to, b.x, b.from, b.to].some(value => value === null)) continue;
+
+                context.fillStyle = a.up ? this.upColor : this.downColor;
+                context.beginPath();
+                context.moveTo(a.x * horizontalPixelRatio, a.from * verticalPixelRatio);
+                context.lineTo(b.x * horizontalPixelRatio, b.from * verticalPixelRatio);
+                context.lineTo(b.x * horizontalPixelRatio, b.to * verticalPixelRatio);
+                context.lineTo(a.x * horizontalPixelRatio, a.to * verticalPixelRatio);
+                context.closePath();
+                context.fill();
+            }
+        });
+    }
+}
+
+export default BandFill;
@@ -0,0 +1,159 @@
+import BandFill from './bandFill.js';
+
+// Chart host for ChartIndicators: supplies the displayed series (and a name
+// for it that changes with symbol, timeframe or chart type) and draws
+// indicator results as Lightweight Charts series. Overlays share the main
+// price scale, other indicators get their own scale at the bottom of the chart,
+// with their overbought/oversold or zero lines drawn as dashed price lines.
+// Areas between two lines (channels, the Ichimoku cloud) are shaded by a
+// BandFill attached to the first of them.
+class IndicatorRenderer {
+    constructor(chart, getData, getSeriesId = () => null) {
+        this.chart = chart;
+        this.getData = getData;
+        this.getSeriesId = getSeriesId;
+        this.series = new Map(); // instanceId -> Map(output name -> series)
+        this.levels = new Map(); // instanceId -> { values, lines }
+        this.fills = new Map(); // instanceId -> [{ from, to, fill }]
+        this.levelColor = '#787B86';
+    }
+
+    updateIndicator(instanceId, result, options = {}) {
+        // Single-line indicators return an array, multi-line ones an object of arrays
+        const outputs = Array.isArray(result) ? { value: result } : result;
+
+        if (!this.series.has(instanceId)) {
+            this.series.set(instanceId, new Map());
+        }
+        const instanceSeries = this.series.get(instanceId);
+
+        Object.entries(outputs).forEach(([name, points]) => {
+            if (!Array.isArray(points)) return;
+
+            let series = instanceSeries.get(name);
+            if (!series) {
+                series = this.createSeries(instanceId, name, options);
+                instanceSeries.set(name, series);
+            }
+            series.setData(points.filter(point => point.value !== null && point.value !== undefined));
+        });
+
+        this.setLevels(instanceId, options.levels || []);
+        this.setFills(instanceId, outputs, options);
+    }
+
+    setFills(instanceId, outputs, options) {
+        if (!this.fills.has(instanceId)) {
+            const instanceSeries = this.series.get(instanceId);
+            this.fills.set(instanceId, (options.fills || [])
+                .filter(({ from, to }) => instanceSeries.has(from) && instanceSeries.has(to))
+                .map(({ from, to, upColor, downColor }) => {
+                    const fill = new BandFill({
+                        upColor: upColor || options.color,
+                        downColor: downColor || upColor || options.color
+                    });
+                    instanceSeries.get(from).attachPrimitive(fill);
+                    return { from, to, fill };
+                }));
+        }
+
+        this.fills.get(instanceId).forEach(({ from, to, fill }) => {
+            fill.setData(outputs[from], outputs[to]);
+        });
+    }
+
+    // Bands drawn on the first line of the indicator, redrawn when they change
+    setLevels(instanceId, values) {
+        const current = this.levels.get(instanceId);
+        if (current && current.values.join() === values.join()) return;
+
+        const series = this.series.get(instanceId).values().next().value;
+        if (current) {
+            current.lines.forEach(({ owner, line }) => owner.removePriceLine(line));
+        }
+        const lines = series ? values.map(price => ({
+            owner: series,
+            line: series.createPriceLine({
+                price,
+                color: this.levelColor,
+                lineWidth: 1,
+                lineStyle: LightweightCharts.LineStyle.Dashed,
+                axisLabelVisible: false
+            })
+        })) : [];
+        this.levels.set(instanceId, { values, lines });
+    }
+
+    // Redraw the last point of each line (`points`: output name -> point or
+    // null); false if a line isn't drawn yet
+    updateIndicatorPoint(instanceId, points) {
+        const instanceSeries = this.series.get(instanceId);
+        if (!instanceSeries) return false;
+
+        const updates = Object.entries(points).filter(([, point]) => point !== null);
+        if (updates.some(([name]) => !instanceSeries.has(name))) return false;
+
+        updates.forEach(([name, point]) => {
+            instanceSeries.get(name).update(point);
+        });
+        (this.fills.get(instanceId) || []).forEach(({ from, to, fill }) => {
+            if (points[from]) fill.updatePoint('from', points[from]);
+            if (points[to]) fill.updatePoint('to', points[to]);
+        });
+        return true;
+    }
+
+    createSeries(instanceId, name, options) {
+        const priceScaleId = options.overlaying ? 'right' : instanceId;
+        const style = (options.styles && options.styles[name]) || options.style;
+        const color = (options.colors && options.colors[name]) || options.color;
+        let series;
+        if (name === 'histogram' || style === 'histogram') {
+            series = this.chart.addHistogramSeries({
+                color,
+                priceScaleId,
+                priceLineVisible: false
+            });
+        } else {
+            series = this.chart.addLineSeries({
+                color,
+                lineWidth: name === 'value' ? 2 : 1,
+                priceScaleId,
+                priceLineVisible: false,
+                lastValueVisible: false,
+                // Dots: markers without the connecting line, as for Parabolic SAR
+                ...(style === 'dots' && {
+                    lineVisible: false,
+                    pointMarkersVisible: true,
+                    pointMarkersRadius: 2
+                })
+            });
+        }
+
+        if (!options.overlaying) {
+            this.chart.priceScale(priceScaleId).applyOptions({
+                scaleMargins: {
+                    top: 0.75,
+                    bottom: 0,
+                },
+            });
+        }
+
+        return series;
+    }
+
+    removeIndicator(instanceId) {
+        const instanceSeries = this.series.get(instanceId);
+        if (instanceSeries) {
+            (this.fills.get(instanceId) || []).forEach(({ from, fill }) => {
+                instanceSeries.get(from).detachPrimitive(fill);
+            });
+            instanceSeries.forEach(series => this.chart.removeSeries(series));
+            this.series.delete(instanceId);
+            this.levels.delete(instanceId);
+            this.fills.delete(instanceId);
+        }
+    }
+}
+
+export default IndicatorRenderer;
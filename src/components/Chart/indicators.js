@@ -1,6 +1,16 @@
+import indicatorRegistry from '../Indicators/registry.js';
+import { StreamingIndicator, calculateIndicator } from '../Indicators/streaming.js';
+
+// Indicator definitions and their instances on a chart. Each instance keeps
+// a streaming indicator: live updates advance it by one bar and redraw only
+// the last point; any other change of the series reseeds it. With a compute
+// service seeding runs off the main thread; without one (e.g. inside the
+// compute worker) it runs inline.
 class ChartIndicators {
-    constructor(chartInstance) {
+    constructor(chartInstance, compute = null) {
         this.chart = chartInstance;
+        this.compute = compute;
+        this.dataKey = `indicators_${Date.now()}`; // Dataset of this chart in the compute service
         this.indicators = new Map();
         this.activeIndicators = new Set();
         this.defaultColors = [
@@ -12,85 +22,22 @@ class ChartIndicators {
             '#00BCD4'  // Cyan
         ];
         this.colorIndex = 0;
+        this.nextInstanceId = 1;
         
         this.initializeIndicators();
     }
 
+    // Every indicator of the registry, drawn with its declared pane
     initializeIndicators() {
-        // Moving Averages
-        this.registerIndicator('sma', {
-            name: 'Simple Moving Average',
-            category: 'Trend',
-            overlaying: true,
-            defaultParams: {
-                period: 20,
-                source: 'close'
-            },
-            calculate: (data, params) => this.calculateSMA(data, params),
-            getNextColor: () => this.getNextColor()
-        });
-
-        this.registerIndicator('ema', {
-            name: 'Exponential Moving Average',
-            category: 'Trend',
-            overlaying: true,
-            defaultParams: {
-                period: 20,
-                source: 'close'
-            },
-            calculate: (data, params) => this.calculateEMA(data, params),
-            getNextColor: () => this.getNextColor()
-        });
-
-        // Oscillators
-        this.registerIndicator('rsi', {
-            name: 'Relative Strength Index',
-            category: 'Momentum',
-            overlaying: false,
-            defaultParams: {
-                period: 14,
-                overbought: 70,
-                oversold: 30
-            },
-            calculate: (data, params) => this.calculateRSI(data, params),
-            getNextColor: () => '#2196F3'
-        });
-
-        this.registerIndicator('macd', {
-            name: 'MACD',
-            category: 'Momentum',
-            overlaying: false,
-            defaultParams: {
-                fastPeriod: 12,
-                slowPeriod: 26,
-                signalPeriod: 9
-            },
-            calculate: (data, params) => this.calculateMACD(data, params),
-            getNextColor: () => '#4CAF50'
-        });
-
-        // Volatility
-        this.registerIndicator('bollinger', {
-            name: 'Bollinger Bands',
-            category: 'Volatility',
-            overlaying: true,
-            defaultParams: {
-                period: 20,
-                stdDev: 2,
-                source: 'close'
-            },
-            calculate: (data, params) => this.calculateBollingerBands(data, params),
-            getNextColor: () => '#9C27B0'
-        });
-
-        // Volume
-        this.registerIndicator('volume', {
-            name: 'Volume',
-            category: 'Volume',
-            overlaying: false,
-            defaultParams: {},
-            calculate: (data) => this.calculateVolume(data),
-            getNextColor: () => '#607D8B'
+        indicatorRegistry.getAll().forEach(definition => {
+            this.registerIndicator(definition.id, {
+                name: definition.name,
+                category: definition.category,
+                overlaying: definition.pane === 'overlay',
+                defaultParams: indicatorRegistry.getDefaults(definition.id),
+                calculate: (data, params) => calculateIndicator(definition.id, data, params),
+                getNextColor: () => definition.color || this.getNextColor()
+            });
         });
     }
 
@@ -106,8 +53,8 @@ class ChartIndicators {
         const indicator = this.indicators.get(id);
         if (!indicator) return null;
 
-        const instanceId = `${id}_${Date.now()}`;
-        const instanceParams = { ...indicator.defaultParams, ...params };
+        const instanceId = `${id}_${this.nextInstanceId++}`;
+        const instanceParams = indicatorRegistry.resolveParams(id, params);
         const color = indicator.getNextColor();
 
         const instance = {
@@ -141,187 +88,117 @@ class ChartIndicators {
             const instance = indicator.instances.get(instanceId);
             if (instance) {
                 const data = this.chart.getData();
-                const result = indicator.calculate(data, instance.params);
-                this.chart.updateIndicator(instanceId, result, {
-                    color: instance.color,
-                    overlaying: indicator.overlaying
-                });
-                return true;
-            }
-        }
-        return false;
-    }
+                const { stream } = instance;
 
-    updateAllIndicators() {
-        this.activeIndicators.forEach(instanceId => {
-            this.updateIndicator(instanceId);
-        });
-    }
+                // Live update: advance one bar and redraw its point. Older
+                // history paged in from the left needs a reseed.
+                const sameSeries = data.length > 0 && instance.seriesStart === data[0].time &&
+                    instance.seriesId === this.chart.getSeriesId();
 
-    // Calculation Methods
-    calculateSMA(data, params) {
-        const { period, source } = params;
-        const result = [];
-        let sum = 0;
+                // A seed of this series is running: catch up once it lands
+                if (instance.seeding && sameSeries) {
+                    instance.reseed = true;
+                    return true;
+                }
 
-        for (let i = 0; i < data.length; i++) {
-            const value = data[i][source];
-            sum += value;
+                if (stream && sameSeries && stream.canContinue(data)) {
+                    stream.advance(data);
+                    if (this.chart.updateIndicatorPoint(instanceId, stream.getPoints())) {
+                        return true;
+                    }
+                }
 
-            if (i >= period) {
-                sum -= data[i - period][source];
-                result.push({
-                    time: data[i].time,
-                    value: sum / period
-                });
-            } else if (i === period - 1) {
-                result.push({
-                    time: data[i].time,
-                    value: sum / period
-                });
+                this.seedIndicator(indicator, instance, data);
+                return true;
             }
         }
-
-        return result;
+        return false;
     }
 
-    calculateEMA(data, params) {
-        const { period, source } = params;
-        const result = [];
-        const multiplier = 2 / (period + 1);
-        let ema = null;
-
-        for (let i = 0; i < data.length; i++) {
-            const value = data[i][source];
-            
-            if (ema === null) {
-                ema = value;
-            } else {
-                ema = (value - ema) * multiplier + ema;
-            }
+    seedIndicator(indicator, instance, data) {
+        instance.seriesId = this.chart.getSeriesId();
+        instance.seriesStart = data.length > 0 ? data[0].time : null;
 
-            if (i >= period - 1) {
-                result.push({
-                    time: data[i].time,
-                    value: ema
-                });
-            }
+        if (!this.compute) {
+            instance.stream = new StreamingIndicator(indicator.id, instance.params);
+            this.renderIndicator(indicator, instance, instance.stream.calculate(data));
+            return;
         }
 
-        return result;
-    }
-
-    calculateRSI(data, params) {
-        const { period } = params;
-        const result = [];
-        let gains = 0;
-        let losses = 0;
-
-        for (let i = 1; i < data.length; i++) {
-            const change = data[i].close - data[i - 1].close;
-            
-            if (i <= period) {
-                gains += change > 0 ? change : 0;
-                losses += change < 0 ? -change : 0;
-                
-                if (i === period) {
-                    const avgGain = gains / period;
-                    const avgLoss = losses / period;
-                    const rs = avgGain / avgLoss;
-                    result.push({
-                        time: data[i].time,
-                        value: 100 - (100 / (1 + rs))
-                    });
+        // Updates of the same series wait for the seeded state; a seed of
+        // another series supersedes this one
+        const seeding = this.compute.seedIndicator(indicator.id, data, instance.params, {
+            key: this.dataKey,
+            series: instance.seriesId,
+            tag: `${this.dataKey}:${instance.id}`
+        });
+        instance.stream = null;
+        instance.seeding = seeding;
+        instance.reseed = false;
+
+        seeding.then(({ result, state }) => {
+            if (instance.seeding !== seeding) return;
+            instance.seeding = null;
+            if (indicator.instances.has(instance.id)) {
+                instance.stream = new StreamingIndicator(indicator.id, instance.params, state);
+                this.renderIndicator(indicator, instance, result);
+                if (instance.reseed) {
+                    instance.reseed = false;
+                    this.updateIndicator(instance.id);
                 }
-            } else {
-                const avgGain = ((gains * (period - 1)) + (change > 0 ? change : 0)) / period;
-                const avgLoss = ((losses * (period - 1)) + (change < 0 ? -change : 0)) / period;
-                gains = avgGain;
-                losses = avgLoss;
-                
-                const rs = avgGain / avgLoss;
-                result.push({
-                    time: data[i].time,
-                    value: 100 - (100 / (1 + rs))
-                });
             }
-        }
-
-        return result;
+        }).catch(error => {
+            if (instance.seeding === seeding) {
+                instance.seeding = null;
+            }
+            if (error.code !== 'REQUEST_CANCELLED') {
+                console.error(`Error calculating ${indicator.id}:`, error);
+            }
+        });
     }
 
-    calculateMACD(data, params) {
-        const { fastPeriod, slowPeriod, signalPeriod } = params;
-        const fastEMA = this.calculateEMA(data, { period: fastPeriod, source: 'close' });
-        const slowEMA = this.calculateEMA(data, { period: slowPeriod, source: 'close' });
-        const macdLine = [];
-        const signalLine = [];
-        const histogram = [];
-
-        // Calculate MACD Line
-        for (let i = 0; i < slowEMA.length; i++) {
-            const macd = fastEMA[i + (slowPeriod - fastPeriod)].value - slowEMA[i].value;
-            macdLine.push({
-                time: slowEMA[i].time,
-                value: macd
-            });
-        }
-
-        // Calculate Signal Line (EMA of MACD Line)
-        const signal = this.calculateEMA(macdLine, { period: signalPeriod, source: 'value' });
-
-        // Calculate Histogram
-        for (let i = 0; i < signal.length; i++) {
-            histogram.push({
-                time: signal[i].time,
-                value: macdLine[i + signalPeriod - 1].value - signal[i].value
-            });
-        }
-
-        return {
-            macdLine,
-            signalLine: signal,
-            histogram
-        };
+    renderIndicator(indicator, instance, result) {
+        const definition = indicatorRegistry.get(indicator.id);
+        const styles = {};
+        const colors = {};
+        definition.outputs.forEach(output => {
+            styles[output.name] = output.style || 'line';
+            colors[output.name] = output.color || instance.color;
+        });
+        this.chart.updateIndicator(instance.id, result, {
+            color: instance.color,
+            overlaying: indicator.overlaying,
+            styles,
+            colors,
+            levels: indicatorRegistry.getLevels(indicator.id, instance.params),
+            fills: definition.fills
+        });
     }
 
-    calculateBollingerBands(data, params) {
-        const { period, stdDev, source } = params;
-        const sma = this.calculateSMA(data, { period, source });
-        const bands = {
-            middle: sma,
-            upper: [],
-            lower: []
-        };
+    // Current values of every active indicator instance, e.g. for export
+    getActiveResults() {
+        const results = [];
+        const data = this.chart.getData();
 
-        for (let i = period - 1; i < data.length; i++) {
-            let sum = 0;
-            for (let j = 0; j < period; j++) {
-                const deviation = data[i - j][source] - sma[i - period + 1].value;
-                sum += deviation * deviation;
-            }
-            const standardDeviation = Math.sqrt(sum / period);
-            
-            bands.upper.push({
-                time: data[i].time,
-                value: sma[i - period + 1].value + (standardDeviation * stdDev)
-            });
-            
-            bands.lower.push({
-                time: data[i].time,
-                value: sma[i - period + 1].value - (standardDeviation * stdDev)
+        this.indicators.forEach((indicator, id) => {
+            indicator.instances.forEach(instance => {
+                results.push({
+                    instanceId: instance.id,
+                    id,
+                    name: indicator.name,
+                    params: instance.params,
+                    result: indicator.calculate(data, instance.params)
+                });
             });
-        }
+        });
 
-        return bands;
+        return results;
     }
 
-    calculateVolume(data) {
-        return data.map(candle => ({
-            time: candle.time,
-            value: candle.volume,
-            color: candle.close >= candle.open ? '#4CAF50' : '#F44336'
-        }));
+    updateAllIndicators() {
+        this.activeIndicators.forEach(instanceId => {
+            this.updateIndicator(instanceId);
+        });
     }
 
     getNextColor() {
@@ -0,0 +1,167 @@
+import { colors } from '../../utils/helpers.js';
+
+const TRANSPARENT = 'rgba(0, 0, 0, 0)';
+
+// Ways to draw the main series. OHLC styles take bars, the others a value
+// per bar (the close).
+const STYLES = {
+    candlestick: { name: 'Candles', ohlc: true },
+    hollow: { name: 'Hollow candles', ohlc: true },
+    bar: { name: 'OHLC bars', ohlc: true },
+    line: { name: 'Line', ohlc: false },
+    step: { name: 'Step line', ohlc: false },
+    area: { name: 'Area', ohlc: false },
+    baseline: { name: 'Baseline', ohlc: false }
+};
+
+// The chart's main price series. Switching the style replaces the
+// Lightweight Charts series and redraws the last data on it; options set
+// through `applyOptions` (price format, visibility) carry over.
+class PriceSeries {
+    constructor(chart, { style = 'candlestick', colors, baselinePrice = null } = {}) {
+        this.chart = chart;
+        this.style = null;
+        this.colors = colors; // { up, down, line }
+        this.baselinePrice = baselinePrice; // null: the first close
+        this.options = {};
+        this.data = [];
+        this.series = null;
+
+        this.setStyle(style);
+    }
+
+    static getStyles() {
+        return Object.entries(STYLES).map(([style, { name }]) => ({ style, name }));
+    }
+
+    static isStyle(style) {
+        return Object.prototype.hasOwnProperty.call(STYLES, style);
+    }
+
+    setStyle(style, { baselinePrice = this.baselinePrice } = {}) {
+        if (!PriceSeries.isStyle(style)) style = 'candlestick';
+        this.baselinePrice = baselinePrice;
+
+        if (style === this.style && this.series) {
+            this.series.applyOptions(this.getStyleOptions());
+            return;
+        }
+
+        if (this.series) {
+            this.chart.removeSeries(this.series);
+        }
+        this.style = style;
+        this.series = this.createSeries();
+        this.series.applyOptions(this.options);
+        this.setData(this.data);
+    }
+
+    setColors(colors) {
+        this.colors = colors;
+        this.series.applyOptions(this.getStyleOptions());
+    }
+
+    createSeries() {
+        const options = this.getStyleOptions();
+        switch (this.style) {
+            case 'bar':
+                return this.chart.addBarSeries(options);
+            case 'line':
+            case 'step':
+                return this.chart.addLineSeries(options);
+            case 'area':
+                return this.chart.addAreaSeries(options);
+            case 'baseline':
+                return this.chart.addBaselineSeries(options);
+            default:
+                return this.chart.addCandlestickSeries(options);
+        }
+    }
+
+    getStyleOptions() {
+        const { up, down, line } = this.colors;
+
+        switch (this.style) {
+            case 'hollow':
+                // Rising candles are drawn as outlines only
+                return {
+                    upColor: TRANSPARENT,
+                    downColor: down,
+                    borderUpColor: up,
+                    borderDownColor: down,
+                    wickUpColor: up,
+                    wickDownColor: down
+                };
+            case 'bar':
+                return { upColor: up, downColor: down, thinBars: false };
+            case 'line':
+                return { color: line, lineWidth: 2, lineType: LightweightCharts.LineType.Simple };
+            case 'step':
+                return { color: line, lineWidth: 2, lineType: LightweightCharts.LineType.WithSteps };
+            case 'area':
+                return {
+                    lineColor: line,
+                    topColor: colors.withAlpha(line, 0.4),
+                    bottomColor: colors.withAlpha(line, 0),
+                    lineWidth: 2
+                };
+            case 'baseline':
+                return {
+                    baseValue: { type: 'price', price: this.getBaselinePrice() },
+                    topLineColor: up,
+                    topFillColor1: colors.withAlpha(up, 0.28),
+                    topFillColor2: colors.withAlpha(up, 0.05),
+                    bottomLineColor: down,
+                    bottomFillColor1: colors.withAlpha(down, 0.05),
+                    bottomFillColor2: colors.withAlpha(down, 0.28),
+                    lineWidth: 2
+                };
+            default:
+                return {
+                    upColor: up,
+                    downColor: down,
+                    borderUpColor: up,
+                    borderDownColor: down,
+                    wickUpColor: up,
+                    wickDownColor: down
+                };
+        }
+    }
+
+    getBaselinePrice() {
+        if (this.baselinePrice !== null) return this.baselinePrice;
+        return this.data.length > 0 ? this.data[0].close : 0;
+    }
+
+    toPoint(bar) {
+        return STYLES[this.style].ohlc ? bar : { time: bar.time, value: bar.close };
+    }
+
+    setData(data) {
+        this.data = data;
+        this.series.setData(data.map(bar => this.toPoint(bar)));
+
+        // The default baseline follows the series
+        if (this.style === 'baseline' && this.baselinePrice === null) {
+            this.series.applyOptions(this.getStyleOptions());
+        }
+    }
+
+    update(bar) {
+        this.series.update(this.toPoint(bar));
+    }
+
+    applyOptions(options) {
+        this.options = { ...this.options, ...options };
+        this.series.applyOptions(options);
+    }
+
+    remove() {
+        if (this.series) {
+            this.chart.removeSeries(this.series);
+            this.series = null;
+        }
+    }
+}
+
+export default PriceSeries;
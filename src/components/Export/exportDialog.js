@@ -0,0 +1,111 @@
+import { dom } from '../../utils/helpers.js';
+
+// Export options dialog. `open` resolves with { format, range, timezone,
+// includeIndicators, includeSignals, includePatterns }, or null when cancelled;
+// `range` is 'visible' or 'full'.
+class ExportDialog {
+    constructor() {
+        this.element = null;
+    }
+
+    open() {
+        this.close();
+
+        return new Promise(resolve => {
+            this.element = this.render(resolve);
+            document.body.appendChild(this.element);
+        });
+    }
+
+    close() {
+        dom.removeElement(this.element);
+        this.element = null;
+    }
+
+    render(resolve) {
+        const formatSelect = this.createSelect({ csv: 'CSV', json: 'JSON' });
+        const rangeSelect = this.createSelect({ visible: 'Visible range', full: 'Full series' });
+        const timezoneInput = dom.createElement('input', {
+            type: 'text',
+            value: 'UTC',
+            list: 'exportTimezones',
+            title: 'UTC, local or a time zone name such as Europe/London'
+        });
+        const timezoneList = dom.createElement('datalist', { id: 'exportTimezones' },
+            ['UTC', 'local', ...(Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [])]
+                .map(zone => dom.createElement('option', { value: zone }))
+        );
+
+        const checkboxes = {
+            includeIndicators: this.createCheckbox(),
+            includeSignals: this.createCheckbox(),
+            includePatterns: this.createCheckbox()
+        };
+
+        const exportButton = dom.createElement('button', { className: 'primary' }, ['Export']);
+        const cancelButton = dom.createElement('button', {}, ['Cancel']);
+
+        cancelButton.addEventListener('click', () => {
+            this.close();
+            resolve(null);
+        });
+
+        exportButton.addEventListener('click', () => {
+            const options = {
+                format: formatSelect.value,
+                range: rangeSelect.value,
+                timezone: timezoneInput.value.trim() || 'UTC'
+            };
+            Object.entries(checkboxes).forEach(([key, checkbox]) => {
+                options[key] = checkbox.checked;
+            });
+
+            this.close();
+            resolve(options);
+        });
+
+        return dom.createElement('div', { className: 'dialog-overlay' }, [
+            dom.createElement('div', { className: 'dialog' }, [
+                dom.createElement('h3', {}, ['Export chart data']),
+                this.renderField('Format', formatSelect),
+                this.renderField('Range', rangeSelect),
+                this.renderField('Time zone', timezoneInput),
+                timezoneList,
+                this.renderCheckbox('Indicator values', checkboxes.includeIndicators),
+                this.renderCheckbox('Strategy signals', checkboxes.includeSignals),
+                this.renderCheckbox('Detected patterns', checkboxes.includePatterns),
+                dom.createElement('div', { className: 'dialog-actions' }, [cancelButton, exportButton])
+            ])
+        ]);
+    }
+
+    createSelect(options) {
+        return dom.createElement('select', {},
+            Object.entries(options).map(([value, label]) => dom.createElement('option', { value }, [label]))
+        );
+    }
+
+    createCheckbox() {
+        const checkbox = dom.createElement('input', { type: 'checkbox' });
+        checkbox.checked = true;
+        return checkbox;
+    }
+
+    renderField(label, input) {
+        return dom.createElement('label', { className: 'dialog-field' }, [
+            dom.createElement('span', {}, [label]),
+            input
+        ]);
+    }
+
+    renderCheckbox(label, checkbox) {
+        return dom.createElement('label', { className: 'dialog-field checkbox' }, [
+            checkbox,
+            dom.createElement('span', {}, [label])
+        ]);
+    }
+}
+
+// Create and export singleton instance
+const exportDialog = new ExportDialog();
+export default exportDialog;
@@ -0,0 +1,200 @@
+import { dom } from '../../utils/helpers.js';
+import dataImporter from '../../services/importer.js';
+
+const FIELD_LABELS = {
+    time: 'Time',
+    open: 'Open',
+    high: 'High',
+    low: 'Low',
+    close: 'Close',
+    volume: 'Volume'
+};
+
+const TIMESTAMP_FORMATS = {
+    auto: 'Detect automatically',
+    epoch_s: 'Epoch seconds',
+    epoch_ms: 'Epoch milliseconds',
+    iso: 'Date/time text (ISO)'
+};
+
+const PREVIEW_ROWS = 5;
+
+// File picker, drag-and-drop and the column mapping dialog for importing
+// candle files. `open` resolves with the registered dataset, or null when
+// the dialog is cancelled.
+class ImportDialog {
+    constructor() {
+        this.fileInput = null;
+        this.element = null;
+        this.onError = () => {};
+    }
+
+    openFilePicker() {
+        if (!this.fileInput) {
+            this.fileInput = dom.createElement('input', {
+                type: 'file',
+                accept: '.csv,.json,.txt',
+                style: { display: 'none' }
+            });
+            this.fileInput.addEventListener('change', () => {
+                const [file] = this.fileInput.files;
+                this.fileInput.value = '';
+                if (file) this.handleFile(file);
+            });
+            document.body.appendChild(this.fileInput);
+        }
+        this.fileInput.click();
+    }
+
+    // `onError` receives the message of a file that fails to import, from
+    // either the drop target or the file picker
+    attachDropTarget(element, { onError = () => {} } = {}) {
+        this.onError = onError;
+        element.addEventListener('dragover', (event) => {
+            if (!event.dataTransfer.types.includes('Files')) return;
+            event.preventDefault();
+            element.classList.add('drag-over');
+        });
+        element.addEventListener('dragleave', () => element.classList.remove('drag-over'));
+        element.addEventListener('drop', (event) => {
+            event.preventDefault();
+            element.classList.remove('drag-over');
+            const [file] = event.dataTransfer.files;
+            if (file) this.handleFile(file);
+        });
+    }
+
+    handleFile(file) {
+        this.open(file).catch(error => {
+            console.error('Import failed:', error);
+            this.onError(error.message);
+        });
+    }
+
+    async open(file) {
+        const parsed = await dataImporter.parseFile(file);
+        this.close();
+
+        return new Promise(resolve => {
+            this.element = this.render(parsed, resolve);
+            document.body.appendChild(this.element);
+        });
+    }
+
+    close() {
+        dom.removeElement(this.element);
+        this.element = null;
+    }
+
+    render(parsed, resolve) {
+        const timeValues = parsed.rows.map(row => row[parsed.mapping.time]);
+        const embeddedZone = dataImporter.detectTimeZone(timeValues) === 'embedded';
+
+        const nameInput = dom.createElement('input', { type: 'text', value: parsed.name });
+        const mappingSelects = {};
+        const mappingRows = Object.entries(FIELD_LABELS).map(([field, label]) => {
+            const select = dom.createElement('select', {}, [
+                dom.createElement('option', { value: '' }, ['-']),
+                ...parsed.columns.map((column, index) => dom.createElement('option', { value: String(index) }, [String(column)]))
+            ]);
+            select.value = parsed.mapping[field] === undefined ? '' : String(parsed.mapping[field]);
+            mappingSelects[field] = select;
+            return this.renderField(label, select);
+        });
+
+        const formatSelect = dom.createElement('select', {},
+            Object.entries(TIMESTAMP_FORMATS).map(([value, label]) => dom.createElement('option', { value }, [label]))
+        );
+        const timezoneInput = dom.createElement('input', {
+            type: 'text',
+            value: 'UTC',
+            list: 'importTimezones',
+            title: 'UTC, local or a time zone name such as Europe/London'
+        });
+        const timezoneList = dom.createElement('datalist', { id: 'importTimezones' },
+            ['UTC', 'local', ...(Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [])]
+                .map(zone => dom.createElement('option', { value: zone }))
+        );
+
+        const report = dom.createElement('div', { className: 'import-report' });
+        const importButton = dom.createElement('button', { className: 'primary' }, ['Import']);
+        const cancelButton = dom.createElement('button', {}, ['Cancel']);
+
+        cancelButton.addEventListener('click', () => {
+            this.close();
+            resolve(null);
+        });
+
+        importButton.addEventListener('click', () => {
+            const mapping = {};
+            Object.entries(mappingSelects).forEach(([field, select]) => {
+                if (select.value !== '') mapping[field] = Number(select.value);
+            });
+
+            try {
+                const { candles, report: result } = dataImporter.buildCandles(parsed, {
+                    mapping,
+                    timestampFormat: formatSelect.value === 'auto' ? null : formatSelect.value,
+                    timezone: timezoneInput.value.trim() || 'UTC'
+                });
+                const dataset = dataImporter.registerDataset(nameInput.value.trim() || parsed.name, candles, { report: result });
+                this.close();
+                resolve(dataset);
+            } catch (error) {
+                this.renderReport(report, error.details && error.details.report, error.message);
+            }
+        });
+
+        return dom.createElement('div', { className: 'dialog-overlay' }, [
+            dom.createElement('div', { className: 'dialog' }, [
+                dom.createElement('h3', {}, [`Import ${parsed.format.toUpperCase()} file`]),
+                this.renderField('Name', nameInput),
+                dom.createElement('div', { className: 'import-mapping' }, mappingRows),
+                this.renderField('Timestamps', formatSelect),
+                this.renderField('Time zone', timezoneInput),
+                timezoneList,
+                embeddedZone ?
+                    dom.createElement('p', { className: 'import-note' }, ['Timestamps carry their own UTC offset; the time zone only applies to times without one.']) :
+                    '',
+                this.renderPreview(parsed),
+                report,
+                dom.createElement('div', { className: 'dialog-actions' }, [cancelButton, importButton])
+            ])
+        ]);
+    }
+
+    renderField(label, input) {
+        return dom.createElement('label', { className: 'dialog-field' }, [
+            dom.createElement('span', {}, [label]),
+            input
+        ]);
+    }
+
+    renderPreview(parsed) {
+        const header = dom.createElement('tr', {},
+            parsed.columns.map(column => dom.createElement('th', {}, [String(column)]))
+        );
+        const rows = parsed.rows.slice(0, PREVIEW_ROWS).map(row =>
+            dom.createElement('tr', {}, parsed.columns.map((_, index) =>
+                dom.createElement('td', {}, [row[index] === undefined ? '' : String(row[index])])
+            ))
+        );
+
+        return dom.createElement('table', { className: 'import-preview' }, [header, ...rows]);
+    }
+
+    renderReport(container, report, message) {
+        container.innerHTML = '';
+        container.appendChild(dom.createElement('p', {}, [message]));
+
+        if (report) {
+            report.errors.forEach(({ line, message: error }) => {
+                container.appendChild(dom.createElement('div', {}, [`Line ${line}: ${error}`]));
+            });
+        }
+    }
+}
+
+// Create and export singleton instance
+const importDialog = new ImportDialog();
+export default importDialog;
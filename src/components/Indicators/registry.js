@@ -0,0 +1,572 @@
+import config from '../../config.js';
+import { MarketAnalysisError } from '../../utils/helpers.js';
+
+// The one list of indicators. Each definition declares:
+//   name, category
+//   pane     'overlay' (drawn on the price scale) or 'separate' (own pane)
+//   inputs   bar fields it reads; 'source' stands for the `source` parameter
+//   params   typed parameters: { type, default, min, max, options, label }
+//            with type 'integer', 'number', 'enum' or 'color'
+//   outputs  result lines: { name, label, style, color } (style 'line',
+//            'histogram' or 'dots'); a single output is always named 'value'
+//            plus `shift` (params => bars) to plot it that many bars ahead,
+//            or behind when negative
+//   levels   horizontal bands drawn in the pane: parameter names (e.g.
+//            overbought/oversold) or fixed values such as a zero line
+//   fills    areas shaded between two outputs: { from, to, upColor, downColor }
+//            (colors while `from` is above/below `to`, by default the
+//            indicator's color)
+// The calculation itself is the streaming indicator of the same id
+// (see streaming.js), so the chart, strategies, alerts, sentiment and the
+// backtester all get the same numbers for the same parameters.
+
+const SOURCES = ['open', 'high', 'low', 'close'];
+
+const period = (value, label = 'Period') => ({ type: 'integer', default: value, min: 1, max: 500, label });
+const source = { type: 'enum', default: 'close', options: SOURCES, label: 'Source' };
+// 'wilder' and 'rma' are the same running average (alpha 1 / period)
+const SMOOTHINGS = ['wilder', 'sma', 'ema', 'rma'];
+const smoothing = { type: 'enum', default: 'wilder', options: SMOOTHINGS, label: 'Smoothing' };
+// Moving average types (see AVERAGES in streaming.js)
+const MA_TYPES = ['sma', 'ema', 'wma', 'hma', 'dema', 'tema', 'kama', 'alma', 'vwma', 'rma'];
+const maType = (value = 'sma', label = 'MA type') => ({ type: 'enum', default: value, options: MA_TYPES, label });
+const averaging = { ...smoothing, default: 'sma', options: ['wilder', ...MA_TYPES] };
+// Extra parameters of the adaptive and Gaussian averages
+const kamaParams = {
+    fastPeriod: period(2, 'Fast period'),
+    slowPeriod: period(30, 'Slow period')
+};
+const almaParams = {
+    offset: { type: 'number', default: 0.85, min: 0, max: 1, label: 'Offset' },
+    sigma: { type: 'number', default: 6, min: 0.1, max: 50, label: 'Sigma' }
+};
+
+// A moving average overlay (colored from the chart's rotating palette)
+const average = (name, label, params = {}) => ({
+    name,
+    category: 'Trend',
+    pane: 'overlay',
+    inputs: ['source'],
+    params: { period: period(20), source, ...params },
+    outputs: [{ name: 'value', label }]
+});
+
+// Overbought/oversold parameters defaulting to config.analysis
+const bands = ({ overbought, oversold }, min = 0, max = 100) => ({
+    overbought: { type: 'number', default: overbought, min, max, label: 'Overbought' },
+    oversold: { type: 'number', default: oversold, min, max, label: 'Oversold' }
+});
+
+const channelOutputs = [
+    { name: 'middle', label: 'Middle' },
+    { name: 'upper', label: 'Upper' },
+    { name: 'lower', label: 'Lower' }
+];
+const channelFill = [{ from: 'upper', to: 'lower' }];
+
+const stochasticOutputs = [
+    { name: 'k', label: '%K' },
+    { name: 'd', label: '%D' }
+];
+
+const DEFINITIONS = {
+    sma: average('Simple Moving Average', 'SMA'),
+    ema: average('Exponential Moving Average', 'EMA'),
+    wma: average('Weighted Moving Average', 'WMA'),
+    hma: average('Hull Moving Average', 'HMA'),
+    dema: average('Double Exponential Moving Average', 'DEMA'),
+    tema: average('Triple Exponential Moving Average', 'TEMA'),
+    kama: average('Kaufman Adaptive Moving Average', 'KAMA', { ...kamaParams, period: period(10) }),
+    alma: average('Arnaud Legoux Moving Average', 'ALMA', { ...almaParams, period: period(9) }),
+    // Weighted by bar volume; without volume it equals the SMA
+    vwma: { ...average('Volume Weighted Moving Average', 'VWMA'), inputs: ['source', 'volume'] },
+    // Any of the above, chosen by `maType`
+    ma: average('Moving Average', 'MA', { maType: maType(), ...kamaParams, ...almaParams }),
+
+    rsi: {
+        name: 'Relative Strength Index',
+        category: 'Momentum',
+        pane: 'separate',
+        inputs: ['close'],
+        params: {
+            period: period(config.analysis.rsi.period),
+            smoothing,
+            ...bands(config.analysis.rsi)
+        },
+        outputs: [{ name: 'value', label: 'RSI' }],
+        levels: ['overbought', 'oversold'],
+        color: '#2196F3'
+    },
+
+    stochasticFast: {
+        name: 'Stochastic (Fast)',
+        category: 'Momentum',
+        pane: 'separate',
+        inputs: ['high', 'low', 'close'],
+        params: {
+            kPeriod: period(14, '%K period'),
+            dPeriod: period(3, '%D period'),
+            smoothing: averaging,
+            ...bands(config.analysis.stochastic)
+        },
+        outputs: stochasticOutputs,
+        levels: ['overbought', 'oversold'],
+        color: '#3F51B5'
+    },
+
+    stochasticSlow: {
+        name: 'Stochastic (Slow)',
+        category: 'Momentum',
+        pane: 'separate',
+        inputs: ['high', 'low', 'close'],
+        params: {
+            kPeriod: period(14, '%K period'),
+            dPeriod: period(3, '%D period'),
+            smoothing: averaging,
+            ...bands(config.analysis.stochastic)
+        },
+        outputs: stochasticOutputs,
+        levels: ['overbought', 'oversold'],
+        color: '#3F51B5'
+    },
+
+    stochastic: {
+        name: 'Stochastic (Full)',
+        category: 'Momentum',
+        pane: 'separate',
+        inputs: ['high', 'low', 'close'],
+        params: {
+            kPeriod: period(14, '%K period'),
+            kSmoothing: period(3, '%K smoothing'),
+            dPeriod: period(3, '%D period'),
+            smoothing: averaging,
+            ...bands(config.analysis.stochastic)
+        },
+        outputs: stochasticOutputs,
+        levels: ['overbought', 'oversold'],
+        color: '#3F51B5'
+    },
+
+    stochRsi: {
+        name: 'Stochastic RSI',
+        category: 'Momentum',
+        pane: 'separate',
+        inputs: ['close'],
+        params: {
+            rsiPeriod: period(14, 'RSI period'),
+            kPeriod: period(14, 'Stochastic period'),
+            kSmoothing: period(3, '%K smoothing'),
+            dPeriod: period(3, '%D period'),
+            smoothing: averaging,
+            ...bands(config.analysis.stochRsi)
+        },
+        outputs: stochasticOutputs,
+        levels: ['overbought', 'oversold'],
+        color: '#673AB7'
+    },
+
+    williamsR: {
+        name: 'Williams %R',
+        category: 'Momentum',
+        pane: 'separate',
+        inputs: ['high', 'low', 'close'],
+        params: {
+            period: period(14),
+            ...bands(config.analysis.williamsR, -100, 0)
+        },
+        outputs: [{ name: 'value', label: '%R' }],
+        levels: ['overbought', 'oversold'],
+        color: '#E91E63'
+    },
+
+    cci: {
+        name: 'Commodity Channel Index',
+        category: 'Momentum',
+        pane: 'separate',
+        inputs: ['high', 'low', 'close'],
+        params: {
+            period: period(20),
+            ...bands(config.analysis.cci, -1000, 1000)
+        },
+        outputs: [{ name: 'value', label: 'CCI' }],
+        levels: ['overbought', 'oversold'],
+        color: '#00BCD4'
+    },
+
+    roc: {
+        name: 'Rate of Change',
+        category: 'Momentum',
+        pane: 'separate',
+        inputs: ['source'],
+        params: { period: period(9), source },
+        outputs: [{ name: 'value', label: 'ROC' }],
+        levels: [0],
+        color: '#8BC34A'
+    },
+
+    momentum: {
+        name: 'Momentum',
+        category: 'Momentum',
+        pane: 'separate',
+        inputs: ['source'],
+        params: { period: period(10), source },
+        outputs: [{ name: 'value', label: 'Momentum' }],
+        levels: [0],
+        color: '#CDDC39'
+    },
+
+    ultimate: {
+        name: 'Ultimate Oscillator',
+        category: 'Momentum',
+        pane: 'separate',
+        inputs: ['high', 'low', 'close'],
+        params: {
+            fastPeriod: period(7, 'Fast period'),
+            middlePeriod: period(14, 'Middle period'),
+            slowPeriod: period(28, 'Slow period'),
+            ...bands(config.analysis.ultimate)
+        },
+        outputs: [{ name: 'value', label: 'UO' }],
+        levels: ['overbought', 'oversold'],
+        color: '#FFC107'
+    },
+
+    awesome: {
+        name: 'Awesome Oscillator',
+        category: 'Momentum',
+        pane: 'separate',
+        inputs: ['high', 'low'],
+        params: {
+            fastPeriod: period(5, 'Fast period'),
+            slowPeriod: period(34, 'Slow period')
+        },
+        outputs: [{ name: 'value', label: 'AO', style: 'histogram' }],
+        levels: [0],
+        color: '#4CAF50'
+    },
+
+    macd: {
+        name: 'MACD',
+        category: 'Momentum',
+        pane: 'separate',
+        inputs: ['close'],
+        params: {
+            fastPeriod: period(12, 'Fast period'),
+            slowPeriod: period(26, 'Slow period'),
+            signalPeriod: period(9, 'Signal period'),
+            maType: maType('ema', 'Fast/slow MA type'),
+            signalMaType: maType('ema', 'Signal MA type')
+        },
+        outputs: [
+            { name: 'macdLine', label: 'MACD' },
+            { name: 'signalLine', label: 'Signal' },
+            { name: 'histogram', label: 'Histogram', style: 'histogram' }
+        ],
+        levels: [0],
+        color: '#4CAF50'
+    },
+
+    bollinger: {
+        name: 'Bollinger Bands',
+        category: 'Volatility',
+        pane: 'overlay',
+        inputs: ['source'],
+        params: {
+            period: period(20),
+            stdDev: { type: 'number', default: 2, min: 0.1, max: 10, label: 'Standard deviations' },
+            maType: maType('sma', 'Middle band MA type'),
+            source
+        },
+        outputs: channelOutputs,
+        fills: channelFill,
+        color: '#9C27B0'
+    },
+
+    // Leading spans are plotted `displacement - 1` bars ahead and the lagging
+    // close as many bars back, as on most charting platforms
+    ichimoku: {
+        name: 'Ichimoku Kinko Hyo',
+        category: 'Trend',
+        pane: 'overlay',
+        inputs: ['high', 'low', 'close'],
+        params: {
+            conversionPeriod: period(9, 'Conversion line period'),
+            basePeriod: period(26, 'Base line period'),
+            spanBPeriod: period(52, 'Leading span B period'),
+            displacement: period(26, 'Displacement')
+        },
+        outputs: [
+            { name: 'conversion', label: 'Conversion', color: '#2196F3' },
+            { name: 'base', label: 'Base', color: '#B71C1C' },
+            { name: 'spanA', label: 'Leading span A', color: '#4CAF50', shift: params => params.displacement - 1 },
+            { name: 'spanB', label: 'Leading span B', color: '#F44336', shift: params => params.displacement - 1 },
+            { name: 'lagging', label: 'Lagging span', color: '#9C27B0', shift: params => 1 - params.displacement }
+        ],
+        fills: [{ from: 'spanA', to: 'spanB', upColor: '#4CAF50', downColor: '#F44336' }],
+        color: '#2196F3'
+    },
+
+    psar: {
+        name: 'Parabolic SAR',
+        category: 'Trend',
+        pane: 'overlay',
+        inputs: ['high', 'low', 'close'],
+        params: {
+            start: { type: 'number', default: 0.02, min: 0.001, max: 1, label: 'Start' },
+            increment: { type: 'number', default: 0.02, min: 0.001, max: 1, label: 'Increment' },
+            maximum: { type: 'number', default: 0.2, min: 0.001, max: 1, label: 'Maximum' }
+        },
+        outputs: [{ name: 'value', label: 'SAR', style: 'dots' }],
+        color: '#FF9800'
+    },
+
+    supertrend: {
+        name: 'Supertrend',
+        category: 'Trend',
+        pane: 'overlay',
+        inputs: ['high', 'low', 'close'],
+        params: {
+            atrPeriod: period(10, 'ATR period'),
+            multiplier: { type: 'number', default: 3, min: 0.1, max: 20, label: 'Multiplier' },
+            smoothing,
+            upColor: { type: 'color', default: '#4CAF50', label: 'Up color' },
+            downColor: { type: 'color', default: '#F44336', label: 'Down color' }
+        },
+        outputs: [{ name: 'value', label: 'Supertrend' }],
+        color: '#4CAF50'
+    },
+
+    keltner: {
+        name: 'Keltner Channels',
+        category: 'Volatility',
+        pane: 'overlay',
+        inputs: ['source', 'high', 'low', 'close'],
+        params: {
+            period: period(20, 'Middle line period'),
+            atrPeriod: period(10, 'ATR period'),
+            multiplier: { type: 'number', default: 2, min: 0.1, max: 20, label: 'Multiplier' },
+            maType: maType('ema', 'Middle line MA type'),
+            smoothing,
+            source
+        },
+        outputs: channelOutputs,
+        fills: channelFill,
+        color: '#00BCD4'
+    },
+
+    donchian: {
+        name: 'Donchian Channels',
+        category: 'Volatility',
+        pane: 'overlay',
+        inputs: ['high', 'low'],
+        params: { period: period(20) },
+        outputs: channelOutputs,
+        fills: channelFill,
+        color: '#3F51B5'
+    },
+
+    envelope: {
+        name: 'Moving Average Envelope',
+        category: 'Trend',
+        pane: 'overlay',
+        inputs: ['source'],
+        params: {
+            period: period(20),
+            percent: { type: 'number', default: 2.5, min: 0.01, max: 100, label: 'Percent' },
+            maType: maType(),
+            source
+        },
+        outputs: channelOutputs,
+        fills: channelFill,
+        color: '#795548'
+    },
+
+    linearRegression: {
+        name: 'Linear Regression Channel',
+        category: 'Trend',
+        pane: 'overlay',
+        inputs: ['source'],
+        params: {
+            period: { ...period(100), min: 2 },
+            deviations: { type: 'number', default: 2, min: 0.1, max: 10, label: 'Deviations' },
+            source
+        },
+        outputs: channelOutputs,
+        fills: channelFill,
+        color: '#607D8B'
+    },
+
+    tr: {
+        name: 'True Range',
+        category: 'Volatility',
+        pane: 'separate',
+        inputs: ['high', 'low', 'close'],
+        params: {},
+        outputs: [{ name: 'value', label: 'TR' }],
+        color: '#795548'
+    },
+
+    atr: {
+        name: 'Average True Range',
+        category: 'Volatility',
+        pane: 'separate',
+        inputs: ['high', 'low', 'close'],
+        params: { period: period(14), smoothing },
+        outputs: [{ name: 'value', label: 'ATR' }],
+        color: '#FF5722'
+    },
+
+    dmi: {
+        name: 'Directional Movement Index',
+        category: 'Trend',
+        pane: 'separate',
+        inputs: ['high', 'low', 'close'],
+        params: {
+            period: period(14, 'DI period'),
+            adxPeriod: period(14, 'ADX smoothing'),
+            smoothing
+        },
+        outputs: [
+            { name: 'plusDI', label: '+DI' },
+            { name: 'minusDI', label: '-DI' },
+            { name: 'adx', label: 'ADX' }
+        ],
+        color: '#009688'
+    },
+
+    adx: {
+        name: 'Average Directional Index',
+        category: 'Trend',
+        pane: 'separate',
+        inputs: ['high', 'low', 'close'],
+        params: {
+            period: period(14, 'DI period'),
+            adxPeriod: period(14, 'ADX smoothing'),
+            smoothing
+        },
+        outputs: [{ name: 'value', label: 'ADX' }],
+        color: '#FF9800'
+    },
+
+    volume: {
+        name: 'Volume',
+        category: 'Volume',
+        pane: 'separate',
+        inputs: ['open', 'close', 'volume'],
+        params: {
+            upColor: { type: 'color', default: '#4CAF50', label: 'Up color' },
+            downColor: { type: 'color', default: '#F44336', label: 'Down color' }
+        },
+        outputs: [{ name: 'value', label: 'Volume', style: 'histogram' }],
+        color: '#607D8B'
+    }
+};
+
+class IndicatorRegistry {
+    constructor() {
+        this.definitions = new Map();
+        Object.entries(DEFINITIONS).forEach(([id, definition]) => this.register(id, definition));
+    }
+
+    register(id, definition) {
+        this.definitions.set(id, { id, color: null, levels: [], fills: [], ...definition });
+    }
+
+    has(id) {
+        return this.definitions.has(id);
+    }
+
+    get(id) {
+        const definition = this.definitions.get(id);
+        if (!definition) {
+            throw new MarketAnalysisError(`Unknown indicator: ${id}`, 'UNKNOWN_INDICATOR', { id });
+        }
+        return definition;
+    }
+
+    getAll() {
+        return Array.from(this.definitions.values());
+    }
+
+    getDefaults(id) {
+        const defaults = {};
+        Object.entries(this.get(id).params).forEach(([name, schema]) => {
+            defaults[name] = schema.default;
+        });
+        return defaults;
+    }
+
+    getOutputNames(id) {
+        return this.get(id).outputs.map(output => output.name);
+    }
+
+    // Bars each output is plotted ahead (negative: behind) with these parameters
+    getShifts(id, params = {}) {
+        const resolved = this.resolveParams(id, params);
+        const shifts = {};
+        this.get(id).outputs.forEach(output => {
+            shifts[output.name] = output.shift ? output.shift(resolved) : 0;
+        });
+        return shifts;
+    }
+
+    // Values of the horizontal bands with these parameters
+    getLevels(id, params = {}) {
+        const resolved = this.resolveParams(id, params);
+        return this.get(id).levels.map(level => (typeof level === 'number' ? level : resolved[level]));
+    }
+
+    isOverlay(id) {
+        return this.get(id).pane === 'overlay';
+    }
+
+    // Bar fields read with these parameters
+    getInputs(id, params = {}) {
+        const resolved = this.resolveParams(id, params);
+        return this.get(id).inputs.map(input => (input === 'source' ? resolved.source : input));
+    }
+
+    // Defaults merged with `params`, every declared parameter checked against
+    // its schema. Parameters the indicator doesn't declare are dropped.
+    resolveParams(id, params = {}) {
+        const definition = this.get(id);
+        const resolved = {};
+
+        Object.entries(definition.params).forEach(([name, schema]) => {
+            const value = params[name] === undefined || params[name] === null ? schema.default : params[name];
+            const problem = this.checkParam(schema, value);
+            if (problem) {
+                throw new MarketAnalysisError(
+                    `Invalid ${name} for ${definition.name}: ${problem}`,
+                    'INVALID_INDICATOR_PARAMS',
+                    { id, param: name, value }
+                );
+            }
+            resolved[name] = value;
+        });
+
+        return resolved;
+    }
+
+    checkParam(schema, value) {
+        switch (schema.type) {
+            case 'integer':
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return 'not a number';
+                if (schema.type === 'integer' && !Number.isInteger(value)) return 'not a whole number';
+                if (schema.min !== undefined && value < schema.min) return `below ${schema.min}`;
+                if (schema.max !== undefined && value > schema.max) return `above ${schema.max}`;
+                return null;
+            case 'enum':
+                return schema.options.includes(value) ? null : `expected one of ${schema.options.join(', ')}`;
+            case 'color':
+                return typeof value === 'string' ? null : 'not a color';
+            default:
+                return null;
+        }
+    }
+}
+
+// Create and export singleton instance
+const indicatorRegistry = new IndicatorRegistry();
+export default indicatorRegistry;
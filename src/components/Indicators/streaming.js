@@ -0,0 +1,1225 @@
+import { MarketAnalysisError } from '../../utils/helpers.js';
+import indicatorRegistry from './registry.js';
+
+// Streaming indicators: seeded from history, then advanced one bar at a time
+// in O(1). The last bar fed is the forming bar: feeding a bar with the same
+// time again recomputes its value from the state of the closed bars, a bar
+// with a later time closes it. All state is plain data, so an indicator can
+// be seeded in the compute worker and continued on the main thread.
+
+// Numeric building blocks. `peek` is the output with a value appended,
+// `commit` appends it.
+
+// Simple moving average over a ring buffer
+const windowAverage = {
+    create(period) {
+        return { period, values: [], next: 0, sum: 0 };
+    },
+
+    peek(state, value) {
+        const { period, values } = state;
+        if (values.length + 1 < period) return null;
+
+        const dropped = values.length === period ? values[state.next] : 0;
+        return (state.sum + value - dropped) / period;
+    },
+
+    commit(state, value) {
+        const { period, values } = state;
+        if (values.length === period) {
+            state.sum -= values[state.next];
+            values[state.next] = value;
+            state.next = (state.next + 1) % period;
+        } else {
+            values.push(value);
+        }
+        state.sum += value;
+    }
+};
+
+// Mean and standard deviation over a ring buffer. Values are kept relative
+// to the first one, which keeps the sum of squares precise for large prices.
+const windowDeviation = {
+    create(period) {
+        return { period, origin: null, values: [], next: 0, sum: 0, sumSquares: 0 };
+    },
+
+    peek(state, value) {
+        const { period, values } = state;
+        if (values.length + 1 < period) return null;
+
+        const origin = state.origin === null ? value : state.origin;
+        const shifted = value - origin;
+        const dropped = values.length === period ? values[state.next] : 0;
+        const sum = state.sum + shifted - dropped;
+        const sumSquares = state.sumSquares + shifted * shifted - dropped * dropped;
+        const mean = sum / period;
+
+        return {
+            mean: origin + mean,
+            deviation: Math.sqrt(Math.max(0, sumSquares / period - mean * mean))
+        };
+    },
+
+    commit(state, value) {
+        if (state.origin === null) state.origin = value;
+
+        const { period, values } = state;
+        const shifted = value - state.origin;
+        if (values.length === period) {
+            const dropped = values[state.next];
+            state.sum -= dropped;
+            state.sumSquares -= dropped * dropped;
+            values[state.next] = shifted;
+            state.next = (state.next + 1) % period;
+        } else {
+            values.push(shifted);
+        }
+        state.sum += shifted;
+        state.sumSquares += shifted * shifted;
+    }
+};
+
+// Exponential average seeded with the simple average of its first `period`
+// values; `alpha` is 2 / (period + 1) for an EMA and 1 / period for Wilder's
+// smoothing
+const exponentialAverage = {
+    create(period, alpha = 2 / (period + 1)) {
+        return { alpha, value: null, seed: windowAverage.create(period) };
+    },
+
+    peek(state, value) {
+        if (state.value === null) return windowAverage.peek(state.seed, value);
+        return state.value + (value - state.value) * state.alpha;
+    },
+
+    commit(state, value) {
+        const next = exponentialAverage.peek(state, value);
+        if (state.value === null) {
+            windowAverage.commit(state.seed, value);
+            if (next === null) return;
+            state.seed = null;
+        }
+        state.value = next;
+    }
+};
+
+// Highest (`sign` 1) or lowest (`sign` -1) value over the last `period`
+// values, from a monotonic queue of the last `period - 1` committed ones
+const windowExtreme = {
+    create(period, sign) {
+        return { period, sign, items: [], count: 0 };
+    },
+
+    peek(state, value) {
+        if (state.count + 1 < state.period) return null;
+        const front = state.items[0];
+        return front && (front.value - value) * state.sign > 0 ? front.value : value;
+    },
+
+    commit(state, value) {
+        const { items, sign } = state;
+        while (items.length > 0 && (value - items[items.length - 1].value) * sign >= 0) {
+            items.pop();
+        }
+        items.push({ index: state.count, value });
+        state.count++;
+        while (items.length > 0 && items[0].index <= state.count - state.period) {
+            items.shift();
+        }
+    }
+};
+
+// The value `period` values back
+const lagged = {
+    create(period) {
+        return { period, values: [], next: 0 };
+    },
+
+    peek(state) {
+        return state.values.length === state.period ? state.values[state.next] : null;
+    },
+
+    commit(state, value) {
+        if (state.values.length === state.period) {
+            state.values[state.next] = value;
+            state.next = (state.next + 1) % state.period;
+        } else {
+            state.values.push(value);
+        }
+    }
+};
+
+// Least-squares line through the last `period` values (x = 0 for the
+// oldest), from running sums. Values are kept relative to the first one, as
+// in windowDeviation. Returns the line's value at the newest point and the
+// standard deviation of the residuals.
+const windowRegression = {
+    create(period) {
+        return { period, origin: null, values: [], next: 0, sum: 0, sumXY: 0, sumSquares: 0 };
+    },
+
+    // Sums of the window with `value` appended
+    sums(state, value, origin) {
+        const { period, values } = state;
+        const shifted = value - origin;
+        const full = values.length === period;
+        const dropped = full ? values[state.next] : 0;
+        // Appending shifts every older value one x to the left when one drops out
+        const sumXY = full ?
+            state.sumXY - (state.sum - dropped) + (period - 1) * shifted :
+            state.sumXY + values.length * shifted;
+        return {
+            shifted,
+            dropped,
+            sum: state.sum + shifted - dropped,
+            sumXY,
+            sumSquares: state.sumSquares + shifted * shifted - dropped * dropped
+        };
+    },
+
+    peek(state, value) {
+        const { period, values } = state;
+        if (values.length + 1 < period) return null;
+
+        const origin = state.origin === null ? value : state.origin;
+        const { sum, sumXY, sumSquares } = windowRegression.sums(state, value, origin);
+        const n = period;
+        const sumX = n * (n - 1) / 2;
+        const sumXX = (n - 1) * n * (2 * n - 1) / 6;
+        const denominator = n * sumXX - sumX * sumX;
+        const slope = denominator === 0 ? 0 : (n * sumXY - sumX * sum) / denominator;
+        const intercept = (sum - slope * sumX) / n;
+        const residuals = sumSquares - 2 * intercept * sum - 2 * slope * sumXY +
+            n * intercept * intercept + 2 * intercept * slope * sumX + slope * slope * sumXX;
+
+        return {
+            value: origin + intercept + slope * (n - 1),
+            deviation: Math.sqrt(Math.max(0, residuals / n))
+        };
+    },
+
+    commit(state, value) {
+        if (state.origin === null) state.origin = value;
+
+        const { shifted, sum, sumXY, sumSquares } = windowRegression.sums(state, value, state.origin);
+        const { period, values } = state;
+        if (values.length === period) {
+            values[state.next] = shifted;
+            state.next = (state.next + 1) % period;
+        } else {
+            values.push(shifted);
+        }
+        Object.assign(state, { sum, sumXY, sumSquares });
+    }
+};
+
+// Linearly weighted average, weights 1 (oldest) to `period` (newest), from
+// the running sums of windowRegression
+const weightedAverage = {
+    create: period => windowRegression.create(period),
+
+    peek(state, value) {
+        const { period, values } = state;
+        if (values.length + 1 < period) return null;
+
+        const origin = state.origin === null ? value : state.origin;
+        const { sum, sumXY } = windowRegression.sums(state, value, origin);
+        return origin + (sumXY + sum) / (period * (period + 1) / 2);
+    },
+
+    commit: (state, value) => windowRegression.commit(state, value)
+};
+
+// Averages of averages: `combine` mixes the outputs of the chained stages,
+// each stage averaging the output of the one before
+function chainedAverage(count, combine) {
+    return {
+        create: period => ({ stages: Array.from({ length: count }, () => exponentialAverage.create(period)) }),
+
+        // Output of every stage with `value` appended; null from the first
+        // stage still warming up
+        peekStages(state, value) {
+            const outputs = [];
+            let input = value;
+            for (const stage of state.stages) {
+                input = exponentialAverage.peek(stage, input);
+                if (input === null) return null;
+                outputs.push(input);
+            }
+            return outputs;
+        },
+
+        peek(state, value) {
+            const outputs = this.peekStages(state, value);
+            return outputs === null ? null : combine(outputs);
+        },
+
+        commit(state, value) {
+            let input = value;
+            for (const stage of state.stages) {
+                const output = exponentialAverage.peek(stage, input);
+                exponentialAverage.commit(stage, input);
+                if (output === null) return;
+                input = output;
+            }
+        }
+    };
+}
+
+// Moving averages selectable by an `maType` (or `smoothing`) parameter.
+// `peek`/`commit` take an optional weight per value, the bar volume for
+// 'vwma' (1 where there is none). 'wilder' and 'rma' are the same running
+// average, alpha 1 / period.
+const AVERAGES = {
+    sma: {
+        create: period => windowAverage.create(period),
+        peek: windowAverage.peek,
+        commit: windowAverage.commit
+    },
+
+    ema: {
+        create: period => exponentialAverage.create(period),
+        peek: exponentialAverage.peek,
+        commit: exponentialAverage.commit
+    },
+
+    rma: {
+        create: period => exponentialAverage.create(period, 1 / period),
+        peek: exponentialAverage.peek,
+        commit: exponentialAverage.commit
+    },
+
+    wma: weightedAverage,
+
+    // Hull: WMA over sqrt(period) of 2 * WMA(period / 2) - WMA(period)
+    hma: {
+        create: period => ({
+            half: weightedAverage.create(Math.max(1, Math.floor(period / 2))),
+            full: weightedAverage.create(period),
+            hull: weightedAverage.create(Math.max(1, Math.floor(Math.sqrt(period))))
+        }),
+        raw(state, value) {
+            const half = weightedAverage.peek(state.half, value);
+            const full = weightedAverage.peek(state.full, value);
+            return half === null || full === null ? null : 2 * half - full;
+        },
+        peek(state, value) {
+            const raw = AVERAGES.hma.raw(state, value);
+            return raw === null ? null : weightedAverage.peek(state.hull, raw);
+        },
+        commit(state, value) {
+            const raw = AVERAGES.hma.raw(state, value);
+            weightedAverage.commit(state.half, value);
+            weightedAverage.commit(state.full, value);
+            if (raw !== null) weightedAverage.commit(state.hull, raw);
+        }
+    },
+
+    dema: chainedAverage(2, ([first, second]) => 2 * first - second),
+
+    tema: chainedAverage(3, ([first, second, third]) => 3 * first - 3 * second + third),
+
+    // Kaufman adaptive: an EMA whose alpha moves between those of `fastPeriod`
+    // and `slowPeriod` with the efficiency ratio (net change over the sum of
+    // absolute changes) of the last `period` values. Starts from the value
+    // before the first full window.
+    kama: {
+        create: (period, { fastPeriod = 2, slowPeriod = 30 } = {}) => ({
+            fast: 2 / (fastPeriod + 1),
+            slow: 2 / (slowPeriod + 1),
+            past: lagged.create(period),
+            changes: windowAverage.create(period),
+            previousValue: null,
+            value: null
+        }),
+        peek(state, value) {
+            if (state.previousValue === null) return null;
+
+            const past = lagged.peek(state.past);
+            const change = windowAverage.peek(state.changes, Math.abs(value - state.previousValue));
+            if (past === null || change === null) return null;
+
+            const volatility = change * state.changes.period;
+            const efficiency = volatility === 0 ? 0 : Math.abs(value - past) / volatility;
+            const alpha = (efficiency * (state.fast - state.slow) + state.slow) ** 2;
+            const prior = state.value === null ? state.previousValue : state.value;
+            return prior + alpha * (value - prior);
+        },
+        commit(state, value) {
+            const next = AVERAGES.kama.peek(state, value);
+            if (state.previousValue !== null) {
+                windowAverage.commit(state.changes, Math.abs(value - state.previousValue));
+            }
+            lagged.commit(state.past, value);
+            state.previousValue = value;
+            if (next !== null) state.value = next;
+        }
+    },
+
+    // Arnaud Legoux: Gaussian weights centred at `offset` of the window with
+    // width period / `sigma`. The weights don't slide, so this is O(period).
+    alma: {
+        create(period, { offset = 0.85, sigma = 6 } = {}) {
+            const centre = offset * (period - 1);
+            const width = period / sigma;
+            const weights = Array.from({ length: period }, (_, i) => Math.exp(-((i - centre) ** 2) / (2 * width * width)));
+            return { weights, total: weights.reduce((a, b) => a + b, 0), past: lagged.create(period - 1), count: 0 };
+        },
+        peek(state, value) {
+            const { weights, past } = state;
+            if (state.count + 1 < weights.length) return null;
+
+            // Ring buffer of the older values, oldest at `next`
+            let sum = weights[weights.length - 1] * value;
+            for (let i = 0; i < past.values.length; i++) {
+                sum += weights[i] * past.values[(past.next + i) % past.values.length];
+            }
+            return sum / state.total;
+        },
+        commit(state, value) {
+            if (state.past.period > 0) lagged.commit(state.past, value);
+            state.count++;
+        }
+    },
+
+    // Volume weighted; a window without volume falls back to the plain average
+    vwma: {
+        create: period => ({
+            prices: windowAverage.create(period),
+            weighted: windowAverage.create(period),
+            volumes: windowAverage.create(period)
+        }),
+        peek(state, value, weight = 1) {
+            const volume = windowAverage.peek(state.volumes, weight);
+            if (volume === null) return null;
+            return volume === 0 ?
+                windowAverage.peek(state.prices, value) :
+                windowAverage.peek(state.weighted, value * weight) / volume;
+        },
+        commit(state, value, weight = 1) {
+            windowAverage.commit(state.prices, value);
+            windowAverage.commit(state.weighted, value * weight);
+            windowAverage.commit(state.volumes, weight);
+        }
+    }
+};
+
+const movingAverage = {
+    // `options` holds the extra parameters of KAMA and ALMA
+    create(type, period, options = {}) {
+        const kind = type === 'wilder' ? 'rma' : type;
+        return { kind, average: AVERAGES[kind].create(period, options) };
+    },
+
+    peek(state, value, weight) {
+        return AVERAGES[state.kind].peek(state.average, value, weight === undefined ? 1 : weight);
+    },
+
+    commit(state, value, weight) {
+        AVERAGES[state.kind].commit(state.average, value, weight === undefined ? 1 : weight);
+    }
+};
+
+function trueRange(bar, previousClose) {
+    if (previousClose === null) return bar.high - bar.low;
+    return Math.max(bar.high, previousClose) - Math.min(bar.low, previousClose);
+}
+
+// RSI of a value series, with the gains and losses smoothed by `smoothing`
+const relativeStrength = {
+    create: ({ period, smoothing }) => ({
+        previous: null,
+        gains: movingAverage.create(smoothing, period),
+        losses: movingAverage.create(smoothing, period)
+    }),
+
+    peek(state, value) {
+        if (state.previous === null) return null;
+
+        const change = value - state.previous;
+        const gain = movingAverage.peek(state.gains, Math.max(change, 0));
+        const loss = movingAverage.peek(state.losses, Math.max(-change, 0));
+        if (gain === null) return null;
+        return loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+    },
+
+    commit(state, value) {
+        if (state.previous !== null) {
+            const change = value - state.previous;
+            movingAverage.commit(state.gains, Math.max(change, 0));
+            movingAverage.commit(state.losses, Math.max(-change, 0));
+        }
+        state.previous = value;
+    }
+};
+
+// Stochastic of a value against its own range: raw %K over `kPeriod`
+// values, %K smoothed over `kSmoothing` (1 leaves it raw) and %D over
+// `dPeriod`. Bars feed high, low and close; Stochastic RSI feeds the RSI as
+// all three.
+const stochasticOscillator = {
+    create: ({ kPeriod, kSmoothing, dPeriod, smoothing }) => ({
+        highest: windowExtreme.create(kPeriod, 1),
+        lowest: windowExtreme.create(kPeriod, -1),
+        k: movingAverage.create(smoothing, kSmoothing),
+        d: movingAverage.create(smoothing, dPeriod)
+    }),
+
+    // Raw and smoothed %K with the values appended
+    peekK(state, high, low, close) {
+        const highest = windowExtreme.peek(state.highest, high);
+        const lowest = windowExtreme.peek(state.lowest, low);
+        if (highest === null) return null;
+
+        const raw = highest === lowest ? 50 : 100 * (close - lowest) / (highest - lowest);
+        return { raw, k: movingAverage.peek(state.k, raw) };
+    },
+
+    peek(state, high, low, close) {
+        const values = stochasticOscillator.peekK(state, high, low, close);
+        if (values === null || values.k === null) return { k: null, d: null };
+        return { k: values.k, d: movingAverage.peek(state.d, values.k) };
+    },
+
+    commit(state, high, low, close) {
+        const values = stochasticOscillator.peekK(state, high, low, close);
+        windowExtreme.commit(state.highest, high);
+        windowExtreme.commit(state.lowest, low);
+        if (values === null) return;
+
+        movingAverage.commit(state.k, values.raw);
+        if (values.k !== null) {
+            movingAverage.commit(state.d, values.k);
+        }
+    }
+};
+
+// Fast and slow stochastics are the full one with %K smoothing fixed
+function stochasticDefinition(kSmoothing = null) {
+    const withSmoothing = params => (kSmoothing === null ? params : { ...params, kSmoothing });
+    return {
+        create: params => stochasticOscillator.create(withSmoothing(params)),
+        peek: (state, bar) => stochasticOscillator.peek(state, bar.high, bar.low, bar.close),
+        commit: (state, bar) => stochasticOscillator.commit(state, bar.high, bar.low, bar.close)
+    };
+}
+
+// Upper, middle and lower lines of a band indicator; null while warming up
+function bandLines(middle, width) {
+    if (middle === null || width === null) return { middle: null, upper: null, lower: null };
+    return { middle, upper: middle + width, lower: middle - width };
+}
+
+// Parabolic SAR, following Wilder's rules as most charting platforms
+// implement them: the first trend follows the first close-to-close move, the
+// SAR of a bar never enters the range of the two bars before it, and a
+// penetrated SAR reverses to the extreme point of the ended trend.
+const parabolicStep = (state, bar, { start, increment, maximum }) => {
+    const { previous, before } = state;
+    if (previous === null) return null;
+
+    let { sar, extreme, acceleration, rising } = state;
+    let newTrend = false;
+    if (sar === null) {
+        rising = bar.close > previous.close;
+        extreme = rising ? bar.high : bar.low;
+        sar = rising ? previous.low : previous.high;
+        acceleration = start;
+        newTrend = true;
+    }
+
+    sar += acceleration * (extreme - sar);
+
+    if (rising && sar > bar.low) {
+        newTrend = true;
+        rising = false;
+        sar = Math.max(bar.high, extreme);
+        extreme = bar.low;
+        acceleration = start;
+    } else if (!rising && sar < bar.high) {
+        newTrend = true;
+        rising = true;
+        sar = Math.min(bar.low, extreme);
+        extreme = bar.high;
+        acceleration = start;
+    }
+
+    if (!newTrend) {
+        if (rising && bar.high > extreme) {
+            extreme = bar.high;
+            acceleration = Math.min(acceleration + increment, maximum);
+        } else if (!rising && bar.low < extreme) {
+            extreme = bar.low;
+            acceleration = Math.min(acceleration + increment, maximum);
+        }
+    }
+
+    if (rising) {
+        sar = Math.min(sar, previous.low, before === null ? previous.low : before.low);
+    } else {
+        sar = Math.max(sar, previous.high, before === null ? previous.high : before.high);
+    }
+
+    return { sar, extreme, acceleration, rising };
+};
+
+// Moving average overlay of a fixed type, or of the `maType` parameter
+function averageDefinition(type = null) {
+    return {
+        create: params => ({ average: movingAverage.create(type || params.maType, params.period, params) }),
+        peek: (state, bar, { source }) => ({ value: movingAverage.peek(state.average, bar[source], bar.volume) }),
+        commit: (state, bar, { source }) => movingAverage.commit(state.average, bar[source], bar.volume)
+    };
+}
+
+// Wilder's directional movement: +DI and -DI from the smoothed directional
+// movement over the smoothed true range, ADX from the smoothed DX. Starts
+// on the second bar, the first has no movement.
+const directionalMovement = {
+    create: ({ period, adxPeriod, smoothing }) => ({
+        previous: null,
+        trueRange: movingAverage.create(smoothing, period),
+        plusMovement: movingAverage.create(smoothing, period),
+        minusMovement: movingAverage.create(smoothing, period),
+        dx: movingAverage.create(smoothing, adxPeriod)
+    }),
+
+    movement(state, bar) {
+        const { previous } = state;
+        if (previous === null) return null;
+
+        const up = bar.high - previous.high;
+        const down = previous.low - bar.low;
+        return {
+            range: trueRange(bar, previous.close),
+            plus: up > down && up > 0 ? up : 0,
+            minus: down > up && down > 0 ? down : 0
+        };
+    },
+
+    // +DI, -DI and DX with `bar` appended; null while warming up
+    lines(state, bar) {
+        const movement = directionalMovement.movement(state, bar);
+        if (movement === null) return null;
+
+        const range = movingAverage.peek(state.trueRange, movement.range);
+        if (range === null) return null;
+
+        const plus = movingAverage.peek(state.plusMovement, movement.plus);
+        const minus = movingAverage.peek(state.minusMovement, movement.minus);
+        const plusDI = range === 0 ? 0 : 100 * plus / range;
+        const minusDI = range === 0 ? 0 : 100 * minus / range;
+        const sum = plusDI + minusDI;
+        return { plusDI, minusDI, dx: sum === 0 ? 0 : 100 * Math.abs(plusDI - minusDI) / sum };
+    },
+
+    peek(state, bar) {
+        const lines = directionalMovement.lines(state, bar);
+        if (lines === null) return { plusDI: null, minusDI: null, adx: null };
+        return {
+            plusDI: lines.plusDI,
+            minusDI: lines.minusDI,
+            adx: movingAverage.peek(state.dx, lines.dx)
+        };
+    },
+
+    commit(state, bar) {
+        const movement = directionalMovement.movement(state, bar);
+        const lines = directionalMovement.lines(state, bar);
+        if (movement !== null) {
+            movingAverage.commit(state.trueRange, movement.range);
+            movingAverage.commit(state.plusMovement, movement.plus);
+            movingAverage.commit(state.minusMovement, movement.minus);
+        }
+        if (lines !== null) {
+            movingAverage.commit(state.dx, lines.dx);
+        }
+        state.previous = { high: bar.high, low: bar.low, close: bar.close };
+    }
+};
+
+// Calculations of the indicators in the registry, which declares their
+// parameters and outputs. `peek` returns a value per output, null while
+// warming up.
+const DEFINITIONS = {
+    sma: averageDefinition('sma'),
+    ema: averageDefinition('ema'),
+    wma: averageDefinition('wma'),
+    hma: averageDefinition('hma'),
+    dema: averageDefinition('dema'),
+    tema: averageDefinition('tema'),
+    kama: averageDefinition('kama'),
+    alma: averageDefinition('alma'),
+    vwma: averageDefinition('vwma'),
+    ma: averageDefinition(),
+
+    rsi: {
+        create: relativeStrength.create,
+        peek: (state, bar) => ({ value: relativeStrength.peek(state, bar.close) }),
+        commit: (state, bar) => relativeStrength.commit(state, bar.close)
+    },
+
+    // Fast and slow averages of `maType` (EMA in the classic MACD), the
+    // signal line an average of `signalMaType`
+    macd: {
+        create: ({ fastPeriod, slowPeriod, signalPeriod, maType, signalMaType }) => ({
+            fast: movingAverage.create(maType, fastPeriod),
+            slow: movingAverage.create(maType, slowPeriod),
+            signal: movingAverage.create(signalMaType, signalPeriod)
+        }),
+        peekMacd(state, bar) {
+            const fast = movingAverage.peek(state.fast, bar.close, bar.volume);
+            const slow = movingAverage.peek(state.slow, bar.close, bar.volume);
+            return fast === null || slow === null ? null : fast - slow;
+        },
+        peek(state, bar) {
+            const macd = DEFINITIONS.macd.peekMacd(state, bar);
+            if (macd === null) return { macdLine: null, signalLine: null, histogram: null };
+
+            const signal = movingAverage.peek(state.signal, macd);
+            return {
+                macdLine: macd,
+                signalLine: signal,
+                histogram: signal === null ? null : macd - signal
+            };
+        },
+        commit(state, bar) {
+            const macd = DEFINITIONS.macd.peekMacd(state, bar);
+            movingAverage.commit(state.fast, bar.close, bar.volume);
+            movingAverage.commit(state.slow, bar.close, bar.volume);
+            if (macd !== null) {
+                movingAverage.commit(state.signal, macd);
+            }
+        }
+    },
+
+    // Middle band an average of `maType`, the bands the standard deviation
+    // of the window around it
+    bollinger: {
+        create: ({ period, maType }) => ({
+            window: windowDeviation.create(period),
+            middle: movingAverage.create(maType, period)
+        }),
+        peek(state, bar, { stdDev, source }) {
+            const band = windowDeviation.peek(state.window, bar[source]);
+            const middle = movingAverage.peek(state.middle, bar[source], bar.volume);
+            return bandLines(middle, band === null ? null : band.deviation * stdDev);
+        },
+        commit(state, bar, { source }) {
+            windowDeviation.commit(state.window, bar[source]);
+            movingAverage.commit(state.middle, bar[source], bar.volume);
+        }
+    },
+
+    tr: {
+        create: () => ({ previousClose: null }),
+        peek: (state, bar) => ({ value: trueRange(bar, state.previousClose) }),
+        commit(state, bar) {
+            state.previousClose = bar.close;
+        }
+    },
+
+    atr: {
+        create: ({ period, smoothing }) => ({
+            previousClose: null,
+            average: movingAverage.create(smoothing, period)
+        }),
+        peek: (state, bar) => ({
+            value: movingAverage.peek(state.average, trueRange(bar, state.previousClose))
+        }),
+        commit(state, bar) {
+            movingAverage.commit(state.average, trueRange(bar, state.previousClose));
+            state.previousClose = bar.close;
+        }
+    },
+
+    dmi: {
+        create: directionalMovement.create,
+        peek: directionalMovement.peek,
+        commit: directionalMovement.commit
+    },
+
+    adx: {
+        create: directionalMovement.create,
+        peek: (state, bar) => ({ value: directionalMovement.peek(state, bar).adx }),
+        commit: directionalMovement.commit
+    },
+
+    stochastic: stochasticDefinition(),
+    stochasticFast: stochasticDefinition(1),
+    stochasticSlow: stochasticDefinition(3),
+
+    stochRsi: {
+        create: ({ rsiPeriod, kPeriod, kSmoothing, dPeriod, smoothing }) => ({
+            rsi: relativeStrength.create({ period: rsiPeriod, smoothing: 'wilder' }),
+            stochastic: stochasticOscillator.create({ kPeriod, kSmoothing, dPeriod, smoothing })
+        }),
+        peek(state, bar) {
+            const rsi = relativeStrength.peek(state.rsi, bar.close);
+            if (rsi === null) return { k: null, d: null };
+            return stochasticOscillator.peek(state.stochastic, rsi, rsi, rsi);
+        },
+        commit(state, bar) {
+            const rsi = relativeStrength.peek(state.rsi, bar.close);
+            relativeStrength.commit(state.rsi, bar.close);
+            if (rsi !== null) {
+                stochasticOscillator.commit(state.stochastic, rsi, rsi, rsi);
+            }
+        }
+    },
+
+    williamsR: {
+        create: ({ period }) => ({
+            highest: windowExtreme.create(period, 1),
+            lowest: windowExtreme.create(period, -1)
+        }),
+        peek(state, bar) {
+            const highest = windowExtreme.peek(state.highest, bar.high);
+            const lowest = windowExtreme.peek(state.lowest, bar.low);
+            if (highest === null) return { value: null };
+            return { value: highest === lowest ? -50 : -100 * (highest - bar.close) / (highest - lowest) };
+        },
+        commit(state, bar) {
+            windowExtreme.commit(state.highest, bar.high);
+            windowExtreme.commit(state.lowest, bar.low);
+        }
+    },
+
+    // The mean deviation needs the whole window, so this one is O(period)
+    cci: {
+        create: ({ period }) => ({ average: windowAverage.create(period) }),
+        peek(state, bar) {
+            const typical = (bar.high + bar.low + bar.close) / 3;
+            const mean = windowAverage.peek(state.average, typical);
+            if (mean === null) return { value: null };
+
+            const { values, next, period } = state.average;
+            let deviation = Math.abs(typical - mean);
+            values.forEach((value, index) => {
+                if (values.length < period || index !== next) deviation += Math.abs(value - mean);
+            });
+            deviation /= period;
+            return { value: deviation === 0 ? 0 : (typical - mean) / (0.015 * deviation) };
+        },
+        commit: (state, bar) => windowAverage.commit(state.average, (bar.high + bar.low + bar.close) / 3)
+    },
+
+    roc: {
+        create: ({ period }) => ({ past: lagged.create(period) }),
+        peek(state, bar, { source }) {
+            const past = lagged.peek(state.past);
+            return { value: past === null || past === 0 ? null : 100 * (bar[source] - past) / past };
+        },
+        commit: (state, bar, { source }) => lagged.commit(state.past, bar[source])
+    },
+
+    momentum: {
+        create: ({ period }) => ({ past: lagged.create(period) }),
+        peek(state, bar, { source }) {
+            const past = lagged.peek(state.past);
+            return { value: past === null ? null : bar[source] - past };
+        },
+        commit: (state, bar, { source }) => lagged.commit(state.past, bar[source])
+    },
+
+    // Buying pressure over true range, averaged over three periods weighted 4:2:1
+    ultimate: {
+        create: ({ fastPeriod, middlePeriod, slowPeriod }) => ({
+            previousClose: null,
+            windows: [fastPeriod, middlePeriod, slowPeriod].map(period => ({
+                pressure: windowAverage.create(period),
+                range: windowAverage.create(period)
+            }))
+        }),
+        pressure(state, bar) {
+            const low = state.previousClose === null ? bar.low : Math.min(bar.low, state.previousClose);
+            return { pressure: bar.close - low, range: trueRange(bar, state.previousClose) };
+        },
+        peek(state, bar) {
+            const { pressure, range } = DEFINITIONS.ultimate.pressure(state, bar);
+            const ratios = state.windows.map(window => {
+                const averagePressure = windowAverage.peek(window.pressure, pressure);
+                const averageRange = windowAverage.peek(window.range, range);
+                if (averagePressure === null) return null;
+                return averageRange === 0 ? 0 : averagePressure / averageRange;
+            });
+            if (ratios.includes(null)) return { value: null };
+            return { value: 100 * (4 * ratios[0] + 2 * ratios[1] + ratios[2]) / 7 };
+        },
+        commit(state, bar) {
+            const { pressure, range } = DEFINITIONS.ultimate.pressure(state, bar);
+            state.windows.forEach(window => {
+                windowAverage.commit(window.pressure, pressure);
+                windowAverage.commit(window.range, range);
+            });
+            state.previousClose = bar.close;
+        }
+    },
+
+    // Simple averages of the median price, fast minus slow
+    awesome: {
+        create: ({ fastPeriod, slowPeriod }) => ({
+            fast: windowAverage.create(fastPeriod),
+            slow: windowAverage.create(slowPeriod)
+        }),
+        peek(state, bar) {
+            const median = (bar.high + bar.low) / 2;
+            const fast = windowAverage.peek(state.fast, median);
+            const slow = windowAverage.peek(state.slow, median);
+            return { value: fast === null || slow === null ? null : fast - slow };
+        },
+        commit(state, bar) {
+            const median = (bar.high + bar.low) / 2;
+            windowAverage.commit(state.fast, median);
+            windowAverage.commit(state.slow, median);
+        }
+    },
+
+    // Donchian midpoints of three lookbacks; the leading spans and the
+    // lagging close are shifted in time by the registry
+    ichimoku: {
+        create: ({ conversionPeriod, basePeriod, spanBPeriod }) => ({
+            windows: [conversionPeriod, basePeriod, spanBPeriod].map(period => ({
+                highest: windowExtreme.create(period, 1),
+                lowest: windowExtreme.create(period, -1)
+            }))
+        }),
+        peek(state, bar) {
+            const [conversion, base, spanB] = state.windows.map(window => {
+                const highest = windowExtreme.peek(window.highest, bar.high);
+                const lowest = windowExtreme.peek(window.lowest, bar.low);
+                return highest === null ? null : (highest + lowest) / 2;
+            });
+            return {
+                conversion,
+                base,
+                spanA: conversion === null || base === null ? null : (conversion + base) / 2,
+                spanB,
+                lagging: bar.close
+            };
+        },
+        commit(state, bar) {
+            state.windows.forEach(window => {
+                windowExtreme.commit(window.highest, bar.high);
+                windowExtreme.commit(window.lowest, bar.low);
+            });
+        }
+    },
+
+    psar: {
+        create: () => ({
+            previous: null,
+            before: null,
+            sar: null,
+            extreme: null,
+            acceleration: null,
+            rising: null
+        }),
+        peek(state, bar, params) {
+            const next = parabolicStep(state, bar, params);
+            return { value: next === null ? null : next.sar };
+        },
+        commit(state, bar, params) {
+            const next = parabolicStep(state, bar, params);
+            if (next !== null) Object.assign(state, next);
+            state.before = state.previous;
+            state.previous = { high: bar.high, low: bar.low, close: bar.close };
+        }
+    },
+
+    // ATR bands around the median price that only tighten while the trend
+    // holds; the line follows the lower band in an uptrend, the upper one in
+    // a downtrend
+    supertrend: {
+        create: ({ atrPeriod, smoothing }) => ({
+            previousClose: null,
+            atr: movingAverage.create(smoothing, atrPeriod),
+            upper: null,
+            lower: null,
+            rising: null
+        }),
+        step(state, bar, { multiplier }) {
+            const atr = movingAverage.peek(state.atr, trueRange(bar, state.previousClose));
+            if (atr === null) return null;
+
+            const median = (bar.high + bar.low) / 2;
+            let upper = median + multiplier * atr;
+            let lower = median - multiplier * atr;
+            const { previousClose } = state;
+            if (state.lower !== null && lower < state.lower && previousClose >= state.lower) {
+                lower = state.lower;
+            }
+            if (state.upper !== null && upper > state.upper && previousClose <= state.upper) {
+                upper = state.upper;
+            }
+
+            let rising;
+            if (state.rising === null) {
+                rising = false;
+            } else if (!state.rising) {
+                rising = bar.close > upper;
+            } else {
+                rising = bar.close >= lower;
+            }
+            return { upper, lower, rising };
+        },
+        peek(state, bar, params) {
+            const next = DEFINITIONS.supertrend.step(state, bar, params);
+            if (next === null) return { value: null };
+            return {
+                value: {
+                    value: next.rising ? next.lower : next.upper,
+                    color: next.rising ? params.upColor : params.downColor
+                }
+            };
+        },
+        commit(state, bar, params) {
+            const next = DEFINITIONS.supertrend.step(state, bar, params);
+            movingAverage.commit(state.atr, trueRange(bar, state.previousClose));
+            if (next !== null) Object.assign(state, next);
+            state.previousClose = bar.close;
+        }
+    },
+
+    keltner: {
+        create: ({ period, atrPeriod, smoothing, maType }) => ({
+            previousClose: null,
+            middle: movingAverage.create(maType, period),
+            atr: movingAverage.create(smoothing, atrPeriod)
+        }),
+        peek(state, bar, { multiplier, source }) {
+            const atr = movingAverage.peek(state.atr, trueRange(bar, state.previousClose));
+            return bandLines(
+                movingAverage.peek(state.middle, bar[source], bar.volume),
+                atr === null ? null : multiplier * atr
+            );
+        },
+        commit(state, bar, { source }) {
+            movingAverage.commit(state.middle, bar[source], bar.volume);
+            movingAverage.commit(state.atr, trueRange(bar, state.previousClose));
+            state.previousClose = bar.close;
+        }
+    },
+
+    donchian: {
+        create: ({ period }) => ({
+            highest: windowExtreme.create(period, 1),
+            lowest: windowExtreme.create(period, -1)
+        }),
+        peek(state, bar) {
+            const upper = windowExtreme.peek(state.highest, bar.high);
+            const lower = windowExtreme.peek(state.lowest, bar.low);
+            if (upper === null) return { middle: null, upper: null, lower: null };
+            return { middle: (upper + lower) / 2, upper, lower };
+        },
+        commit(state, bar) {
+            windowExtreme.commit(state.highest, bar.high);
+            windowExtreme.commit(state.lowest, bar.low);
+        }
+    },
+
+    envelope: {
+        create: ({ period, maType }) => ({ middle: movingAverage.create(maType, period) }),
+        peek(state, bar, { percent, source }) {
+            const middle = movingAverage.peek(state.middle, bar[source], bar.volume);
+            return bandLines(middle, middle === null ? null : middle * percent / 100);
+        },
+        commit: (state, bar, { source }) => movingAverage.commit(state.middle, bar[source], bar.volume)
+    },
+
+    // Endpoint of each window's regression line, with bands of `deviations`
+    // residual standard deviations
+    linearRegression: {
+        create: ({ period }) => ({ regression: windowRegression.create(period) }),
+        peek(state, bar, { deviations, source }) {
+            const line = windowRegression.peek(state.regression, bar[source]);
+            return line === null ?
+                bandLines(null, null) :
+                bandLines(line.value, deviations * line.deviation);
+        },
+        commit: (state, bar, { source }) => windowRegression.commit(state.regression, bar[source])
+    },
+
+    volume: {
+        create: () => ({}),
+        peek: (state, bar, { upColor, downColor }) => ({
+            value: { value: bar.volume, color: bar.close >= bar.open ? upColor : downColor }
+        }),
+        commit: () => {}
+    }
+};
+
+// Chart point of an output value: a number, or an object such as
+// { value, color }
+function toPoint(time, value) {
+    return typeof value === 'object' ? { time, ...value } : { time, value };
+}
+
+function isSameBar(a, b) {
+    return a.time === b.time && a.open === b.open && a.high === b.high &&
+        a.low === b.low && a.close === b.close && a.volume === b.volume;
+}
+
+export class StreamingIndicator {
+    // `state` (from getState) continues an indicator seeded elsewhere
+    constructor(type, params = {}, state = null) {
+        this.definition = DEFINITIONS[type];
+        if (!this.definition) {
+            throw new MarketAnalysisError(`Unknown indicator: ${type}`, 'UNKNOWN_INDICATOR', { type });
+        }
+        this.type = type;
+        this.params = indicatorRegistry.resolveParams(type, params);
+        this.outputs = indicatorRegistry.getOutputNames(type);
+        this.shifts = indicatorRegistry.getShifts(type, this.params);
+        this.lookBack = Math.max(0, ...Object.values(this.shifts).map(shift => -shift));
+
+        if (state) {
+            Object.assign(this, structuredClone(state));
+        } else {
+            this.reset();
+        }
+    }
+
+    static getTypes() {
+        return Object.keys(DEFINITIONS);
+    }
+
+    static isSupported(type) {
+        return Object.prototype.hasOwnProperty.call(DEFINITIONS, type);
+    }
+
+    reset() {
+        this.state = this.definition.create(this.params);
+        this.forming = null; // Last bar fed, still open to updates
+        this.closed = null; // Last closed bar
+        this.current = null; // Outputs of the forming bar
+        this.previous = null; // Outputs of the last closed bar
+        this.times = []; // Times of the latest bars, for outputs plotted behind
+    }
+
+    getState() {
+        const { state, forming, closed, current, previous, times } = this;
+        return { state, forming, closed, current, previous, times };
+    }
+
+    // Feed a bar: the forming bar again, or the next one. Returns its outputs.
+    update(bar) {
+        if (this.forming && bar.time < this.forming.time) {
+            return this.current;
+        }
+
+        if (this.forming && bar.time > this.forming.time) {
+            this.definition.commit(this.state, this.forming, this.params);
+            this.closed = this.forming;
+            this.previous = this.current;
+        }
+
+        if (!this.forming || bar.time > this.forming.time) {
+            this.times.push(bar.time);
+            if (this.times.length > this.lookBack + 1) this.times.shift();
+        }
+
+        this.forming = { ...bar };
+        this.current = this.definition.peek(this.state, bar, this.params);
+        return this.current;
+    }
+
+    // Outputs of the forming bar as chart points at their plotted times
+    // (null for outputs without a value)
+    getPoints() {
+        const points = {};
+        this.outputs.forEach(name => {
+            const value = this.current ? this.current[name] : null;
+            const time = this.forming ? this.getPlotTime(this.shifts[name]) : null;
+            points[name] = value === null || value === undefined || time === null ? null : toPoint(time, value);
+        });
+        return points;
+    }
+
+    // Time `shift` bars from the forming bar; bars ahead are extrapolated
+    // from the last bar interval
+    getPlotTime(shift) {
+        if (shift === 0) return this.forming.time;
+        if (shift < 0) {
+            const index = this.times.length - 1 + shift;
+            return index >= 0 ? this.times[index] : null;
+        }
+        return this.closed ? this.forming.time + shift * (this.forming.time - this.closed.time) : null;
+    }
+
+    seed(data) {
+        this.reset();
+        data.forEach(bar => this.update(bar));
+        return this;
+    }
+
+    // Seed from `data` and return every output as { time, value } points,
+    // leaving out the warm-up. Shifted outputs are placed on the bar times
+    // they are shifted to, extrapolated past the last bar.
+    calculate(data) {
+        this.reset();
+        const lines = {};
+        this.outputs.forEach(name => { lines[name] = []; });
+
+        const count = data.length;
+        const interval = count > 1 ? data[count - 1].time - data[count - 2].time : null;
+        const timeAt = index => {
+            if (index < 0) return null;
+            if (index < count) return data[index].time;
+            return interval === null ? null : data[count - 1].time + (index - count + 1) * interval;
+        };
+
+        data.forEach((bar, index) => {
+            const values = this.update(bar);
+            this.outputs.forEach(name => {
+                const value = values[name];
+                const time = timeAt(index + this.shifts[name]);
+                if (value === null || value === undefined || time === null) return;
+                lines[name].push(toPoint(time, value));
+            });
+        });
+
+        return this.outputs.length === 1 ? lines[this.outputs[0]] : lines;
+    }
+
+    // Whether `data` is the series this indicator follows, unchanged except
+    // for an updated forming bar or one new bar
+    canContinue(data) {
+        const count = data.length;
+        if (!this.forming || count === 0) return false;
+
+        const last = data[count - 1];
+        if (last.time === this.forming.time) {
+            return count === 1 ?
+                this.closed === null :
+                this.closed !== null && isSameBar(data[count - 2], this.closed);
+        }
+        return count >= 2 && isSameBar(data[count - 2], this.forming);
+    }
+
+    // Catch up with `data` (see canContinue); returns the latest outputs
+    advance(data) {
+        return this.update(data[data.length - 1]);
+    }
+
+    // Follow `data`, continuing where possible and reseeding otherwise
+    sync(data) {
+        if (this.canContinue(data)) {
+            this.advance(data);
+        } else {
+            this.seed(data);
+        }
+        return this;
+    }
+}
+
+// Every output of an indicator over `data`, as chart points
+export function calculateIndicator(type, data, params = {}) {
+    return new StreamingIndicator(type, params).calculate(data);
+}
+
+// Outputs of an indicator on the last bar of `data` (nulls while warming up)
+export function latestIndicatorValues(type, data, params = {}) {
+    return new StreamingIndicator(type, params).seed(data).current;
+}
@@ -1,4 +1,5 @@
-import { calculate } from '../../utils/helpers.js';
+import indicatorRegistry from './registry.js';
+import { calculateIndicator } from './streaming.js';
 
 class TechnicalIndicators {
     constructor() {
@@ -10,107 +11,88 @@ class TechnicalIndicators {
         return true;
     }
 
-    calculateSMA(data, period = 14) {
-        const prices = data.map(candle => candle.close);
-        const sma = calculate.movingAverage(prices, period);
-        
-        return data.slice(period - 1).map((candle, index) => ({
-            time: candle.time,
-            value: sma[index]
-        }));
+    // Calculations come from the indicator registry; parameters left out
+    // take the registry defaults
+
+    calculateSMA(data, period) {
+        return this.calculate('sma', data, { period });
     }
 
-    calculateEMA(data, period = 14) {
-        const prices = data.map(candle => candle.close);
-        const multiplier = 2 / (period + 1);
-        const ema = [];
-        
-        // First EMA is SMA
-        let prevEMA = prices.slice(0, period).reduce((a, b) => a + b, 0) / period;
-        ema.push(prevEMA);
-        
-        // Calculate EMA for remaining prices
-        for (let i = period; i < prices.length; i++) {
-            const currentEMA = (prices[i] - prevEMA) * multiplier + prevEMA;
-            ema.push(currentEMA);
-            prevEMA = currentEMA;
-        }
-        
-        return data.slice(period - 1).map((candle, index) => ({
-            time: candle.time,
-            value: ema[index]
-        }));
+    calculateEMA(data, period) {
+        return this.calculate('ema', data, { period });
     }
 
-    calculateRSI(data, period = 14) {
-        const changes = [];
-        for (let i = 1; i < data.length; i++) {
-            changes.push(data[i].close - data[i - 1].close);
-        }
-        
-        const gains = changes.map(change => change > 0 ? change : 0);
-        const losses = changes.map(change => change < 0 ? -change : 0);
-        
-        const avgGain = calculate.movingAverage(gains, period);
-        const avgLoss = calculate.movingAverage(losses, period);
-        
-        const rsi = avgGain.map((gain, index) => {
-            const loss = avgLoss[index];
-            if (loss === 0) return 100;
-            const rs = gain / loss;
-            return 100 - (100 / (1 + rs));
-        });
-        
-        return data.slice(period).map((candle, index) => ({
-            time: candle.time,
-            value: rsi[index]
-        }));
+    // `type`: 'sma' (default), 'ema', 'wma', 'hma', 'dema', 'tema', 'kama',
+    // 'alma', 'vwma' or 'rma'
+    calculateMovingAverage(data, period, type) {
+        return this.calculate('ma', data, { period, maType: type });
     }
 
-    calculateMACD(data, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
-        const prices = data.map(candle => candle.close);
-        
-        // Calculate fast and slow EMAs
-        const fastEMA = this.calculateEMA(data, fastPeriod);
-        const slowEMA = this.calculateEMA(data, slowPeriod);
-        
-        // Calculate MACD line
-        const macdLine = fastEMA.map((fast, index) => ({
-            time: fast.time,
-            value: fast.value - slowEMA[index].value
-        }));
-        
-        // Calculate signal line (EMA of MACD line)
-        const signalLine = calculate.movingAverage(
-            macdLine.map(item => item.value),
-            signalPeriod
-        );
-        
-        // Calculate histogram
-        return macdLine.slice(signalPeriod - 1).map((macd, index) => ({
-            time: macd.time,
-            macd: macd.value,
-            signal: signalLine[index],
-            histogram: macd.value - signalLine[index]
-        }));
+    // `smoothing`: 'wilder' (default), 'rma', 'ema' or 'sma'
+    calculateRSI(data, period, smoothing) {
+        return this.calculate('rsi', data, { period, smoothing });
+    }
+
+    calculateTrueRange(data) {
+        return this.calculate('tr', data);
+    }
+
+    calculateATR(data, period, smoothing) {
+        return this.calculate('atr', data, { period, smoothing });
+    }
+
+    // Rows of { time, plusDI, minusDI, adx }
+    calculateDMI(data, period, adxPeriod, smoothing) {
+        return this.calculate('dmi', data, { period, adxPeriod, smoothing });
     }
 
-    calculateBollingerBands(data, period = 20, stdDev = 2) {
-        const prices = data.map(candle => candle.close);
-        const sma = calculate.movingAverage(prices, period);
-        
-        const bands = sma.map((middle, index) => {
-            const slice = prices.slice(index, index + period);
-            const std = calculate.standardDeviation(slice);
-            return {
-                time: data[index + period - 1].time,
-                middle,
-                upper: middle + (stdDev * std),
-                lower: middle - (stdDev * std)
-            };
+    calculateADX(data, period, adxPeriod, smoothing) {
+        return this.calculate('adx', data, { period, adxPeriod, smoothing });
+    }
+
+    // `maType` averages the fast and slow lines, `signalMaType` the signal
+    // line (both 'ema' by default)
+    calculateMACD(data, fastPeriod, slowPeriod, signalPeriod, maType, signalMaType) {
+        return this.calculate('macd', data, { fastPeriod, slowPeriod, signalPeriod, maType, signalMaType })
+            .map(({ time, macdLine, signalLine, histogram }) => ({
+                time,
+                macd: macdLine,
+                signal: signalLine,
+                histogram
+            }));
+    }
+
+    calculateBollingerBands(data, period, stdDev, maType) {
+        return this.calculate('bollinger', data, { period, stdDev, maType });
+    }
+
+    // Calculate an indicator by type with the options it was added with.
+    // Indicators with several outputs return one row per bar on which all
+    // of them have a value.
+    calculate(type, data, options = {}) {
+        if (!indicatorRegistry.has(type)) return [];
+
+        const result = calculateIndicator(type, data, options);
+        if (Array.isArray(result)) return result;
+
+        const lines = Object.entries(result);
+        const shortest = lines.reduce((a, b) => (b[1].length < a[1].length ? b : a))[1];
+        const byTime = lines.map(([name, points]) => [name, new Map(points.map(point => [point.time, point.value]))]);
+
+        return shortest.map(({ time }) => {
+            const row = { time };
+            byTime.forEach(([name, values]) => { row[name] = values.get(time); });
+            return row;
         });
-        
-        return bands;
+    }
+
+    // Values of every added indicator over `data`
+    getActiveResults(data) {
+        return Array.from(this.indicators.entries()).map(([type, options]) => ({
+            id: type,
+            params: options,
+            result: this.calculate(type, data, options)
+        }));
     }
 
     addIndicator(type, options = {}) {
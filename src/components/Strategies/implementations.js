@@ -1,5 +1,7 @@
+import config from '../../config.js';
 import { calculate } from '../../utils/helpers.js';
-import technicalIndicators from '../Indicators/technical.js';
+import indicatorRegistry from '../Indicators/registry.js';
+import { StreamingIndicator } from '../Indicators/streaming.js';
 import patternDetection from './patterns.js';
 
 class StrategyImplementations {
@@ -7,6 +9,8 @@ class StrategyImplementations {
         this.strategies = new Map();
         this.activeStrategies = new Set();
         this.subscribers = new Set();
+        this.indicators = new Map(); // type and params -> StreamingIndicator
+        this.settings = new Map(); // strategy name -> settings overriding config.strategies
     }
 
     async initialize() {
@@ -32,6 +36,15 @@ class StrategyImplementations {
         this.activeStrategies.delete(name);
     }
 
+    // Settings of a strategy: config.strategies with configureStrategy changes
+    getSettings(name) {
+        return { ...(config.strategies[name] || {}), ...(this.settings.get(name) || {}) };
+    }
+
+    configureStrategy(name, settings) {
+        this.settings.set(name, { ...(this.settings.get(name) || {}), ...settings });
+    }
+
     async analyzeMarket(data) {
         const signals = [];
         
@@ -39,7 +52,7 @@ class StrategyImplementations {
             const strategy = this.strategies.get(strategyName);
             if (strategy) {
                 try {
-                    const signal = await strategy.call(this, data);
+                    const signal = await strategy.call(this, data, this.getSettings(strategyName));
                     if (signal) {
                         signals.push({
                             strategy: strategyName,
@@ -59,33 +72,50 @@ class StrategyImplementations {
         return signals;
     }
 
-    async trendFollowingStrategy(data) {
-        if (data.length < 50) return null;
+    // Streaming indicator advanced to the end of `data`. Strategies called
+    // bar after bar on the same series (live, backtests, replays) update it
+    // in O(1); other data reseeds it.
+    getIndicator(data, type, params = {}) {
+        const resolved = indicatorRegistry.resolveParams(type, params);
+        const key = `${type}:${JSON.stringify(resolved)}`;
+        if (!this.indicators.has(key)) {
+            this.indicators.set(key, new StreamingIndicator(type, resolved));
+        }
+        return this.indicators.get(key).sync(data);
+    }
+
+    // Crossover of a fast and a slow moving average of `maType`
+    async trendFollowingStrategy(data, settings = this.getSettings('trendFollowing')) {
+        const { fastPeriod, slowPeriod, maType } = settings;
+        if (data.length < slowPeriod) return null;
         
-        // Calculate EMAs
-        const ema20 = technicalIndicators.calculateEMA(data, 20);
-        const ema50 = technicalIndicators.calculateEMA(data, 50);
+        // Calculate moving averages
+        const fast = this.getIndicator(data, 'ma', { period: fastPeriod, maType });
+        const slow = this.getIndicator(data, 'ma', { period: slowPeriod, maType });
+        if (!fast.previous || fast.previous.value === null ||
+            !slow.previous || slow.previous.value === null) return null;
         
-        const lastEma20 = ema20[ema20.length - 1].value;
-        const lastEma50 = ema50[ema50.length - 1].value;
-        const prevEma20 = ema20[ema20.length - 2].value;
-        const prevEma50 = ema50[ema50.length - 2].value;
+        const lastFast = fast.current.value;
+        const lastSlow = slow.current.value;
+        const prevFast = fast.previous.value;
+        const prevSlow = slow.previous.value;
+        const label = maType.toUpperCase();
         
         // Check for crossovers
-        const crossedAbove = prevEma20 <= prevEma50 && lastEma20 > lastEma50;
-        const crossedBelow = prevEma20 >= prevEma50 && lastEma20 < lastEma50;
+        const crossedAbove = prevFast <= prevSlow && lastFast > lastSlow;
+        const crossedBelow = prevFast >= prevSlow && lastFast < lastSlow;
         
         if (crossedAbove) {
             return {
                 type: 'buy',
-                reason: 'EMA crossover (bullish)',
+                reason: `${label} crossover (bullish)`,
                 confidence: this.calculateConfidence(data, 'bullish'),
                 time: data[data.length - 1].time
             };
         } else if (crossedBelow) {
             return {
                 type: 'sell',
-                reason: 'EMA crossover (bearish)',
+                reason: `${label} crossover (bearish)`,
                 confidence: this.calculateConfidence(data, 'bearish'),
                 time: data[data.length - 1].time
             };
@@ -94,12 +124,12 @@ class StrategyImplementations {
         return null;
     }
 
-    async meanReversionStrategy(data) {
-        if (data.length < 20) return null;
+    async meanReversionStrategy(data, settings = this.getSettings('meanReversion')) {
+        const { period, stdDev, maType } = settings;
+        if (data.length < period) return null;
         
         // Calculate Bollinger Bands
-        const bands = technicalIndicators.calculateBollingerBands(data, 20, 2);
-        const lastBand = bands[bands.length - 1];
+        const lastBand = this.getIndicator(data, 'bollinger', { period, stdDev, maType }).current;
         const lastPrice = data[data.length - 1].close;
         
         // Check for price near bands
@@ -204,8 +234,7 @@ class StrategyImplementations {
         }
         
         // 3. RSI confirmation
-        const rsi = technicalIndicators.calculateRSI(data, 14);
-        const lastRSI = rsi[rsi.length - 1].value;
+        const lastRSI = this.getIndicator(data, 'rsi', { period: 14 }).current.value;
         if ((direction === 'bullish' && lastRSI < 30) || (direction === 'bearish' && lastRSI > 70)) {
             confidence += 0.3;
         }
@@ -0,0 +1,158 @@
+import { dom } from '../../utils/helpers.js';
+import symbolCatalog from '../../services/symbolCatalog.js';
+
+// Searchable symbol dropdown: favourites and recent symbols first, then the
+// catalog grouped by market and submarket. `onSelect(symbol)` is called when
+// a symbol is picked.
+class SymbolPicker {
+    constructor(container, { onSelect = () => {} } = {}) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.symbol = null;
+        this.isOpen = false;
+
+        this.button = dom.createElement('button', { className: 'symbol-picker-button', type: 'button' });
+        this.searchInput = dom.createElement('input', {
+            type: 'text',
+            className: 'symbol-picker-search',
+            placeholder: 'Search symbols'
+        });
+        this.list = dom.createElement('div', { className: 'symbol-picker-list' });
+        this.panel = dom.createElement('div', { className: 'symbol-picker-panel' }, [this.searchInput, this.list]);
+        this.panel.hidden = true;
+
+        this.container.appendChild(this.button);
+        this.container.appendChild(this.panel);
+
+        this.button.addEventListener('click', () => (this.isOpen ? this.close() : this.open()));
+        this.searchInput.addEventListener('input', () => this.renderList());
+        this.searchInput.addEventListener('keydown', event => this.handleKeyDown(event));
+
+        // Close on clicks outside the picker
+        this.handleDocumentClick = event => {
+            if (this.isOpen && !this.container.contains(event.target)) this.close();
+        };
+        document.addEventListener('mousedown', this.handleDocumentClick);
+
+        this.handleCatalogChange = () => {
+            this.renderButton();
+            if (this.isOpen) this.renderList();
+        };
+        symbolCatalog.addListener(this.handleCatalogChange);
+    }
+
+    setSymbol(symbol) {
+        this.symbol = symbol;
+        this.renderButton();
+    }
+
+    open() {
+        this.isOpen = true;
+        this.panel.hidden = false;
+        this.searchInput.value = '';
+        this.renderList();
+        this.searchInput.focus();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.panel.hidden = true;
+    }
+
+    select(symbol) {
+        this.close();
+        if (symbol === this.symbol) return;
+
+        this.setSymbol(symbol);
+        this.onSelect(symbol);
+    }
+
+    handleKeyDown(event) {
+        if (event.key === 'Escape') {
+            this.close();
+            this.button.focus();
+        } else if (event.key === 'Enter') {
+            const first = this.list.querySelector('.symbol-picker-item');
+            if (first) this.select(first.dataset.symbol);
+        }
+    }
+
+    renderButton() {
+        const entry = this.symbol && symbolCatalog.get(this.symbol);
+        this.button.textContent = entry ? entry.displayName : (this.symbol || 'Select symbol');
+        this.button.title = this.symbol || '';
+    }
+
+    renderList() {
+        const query = this.searchInput.value.trim();
+        const sections = [];
+
+        if (query) {
+            const matches = symbolCatalog.search(query);
+            sections.push(matches.length > 0 ?
+                this.renderSection('Results', matches) :
+                dom.createElement('div', { className: 'symbol-picker-empty' }, ['No matching symbols']));
+        } else {
+            const resolve = symbols => symbols.map(symbol => symbolCatalog.get(symbol)).filter(Boolean);
+            const favourites = resolve(symbolCatalog.getFavourites());
+            const recents = resolve(symbolCatalog.getRecents());
+
+            if (favourites.length > 0) sections.push(this.renderSection('Favourites', favourites));
+            if (recents.length > 0) sections.push(this.renderSection('Recent', recents));
+
+            symbolCatalog.getGroups().forEach(market => {
+                sections.push(dom.createElement('div', { className: 'symbol-picker-market' }, [market.name]));
+                market.submarkets.forEach(submarket => {
+                    sections.push(this.renderSection(submarket.name, submarket.symbols));
+                });
+            });
+        }
+
+        this.list.replaceChildren(...sections);
+    }
+
+    renderSection(title, entries) {
+        return dom.createElement('div', { className: 'symbol-picker-section' }, [
+            dom.createElement('div', { className: 'symbol-picker-heading' }, [title]),
+            ...entries.map(entry => this.renderItem(entry))
+        ]);
+    }
+
+    renderItem(entry) {
+        const isFavourite = symbolCatalog.isFavourite(entry.symbol);
+        const star = dom.createElement('span', {
+            className: `symbol-picker-star${isFavourite ? ' active' : ''}`,
+            title: isFavourite ? 'Remove from favourites' : 'Add to favourites'
+        }, [isFavourite ? '★' : '☆']);
+
+        star.addEventListener('click', event => {
+            event.stopPropagation();
+            symbolCatalog.toggleFavourite(entry.symbol);
+        });
+
+        const children = [
+            star,
+            dom.createElement('span', { className: 'symbol-picker-name' }, [entry.displayName]),
+            dom.createElement('span', { className: 'symbol-picker-code' }, [entry.symbol])
+        ];
+        if (!entry.isOpen || entry.isSuspended) {
+            children.push(dom.createElement('span', { className: 'symbol-picker-closed' }, [entry.isSuspended ? 'Suspended' : 'Closed']));
+        }
+
+        const item = dom.createElement('div', {
+            className: `symbol-picker-item${entry.symbol === this.symbol ? ' active' : ''}`
+        }, children);
+        item.dataset.symbol = entry.symbol;
+        item.addEventListener('click', () => this.select(entry.symbol));
+        return item;
+    }
+
+    destroy() {
+        symbolCatalog.removeListener(this.handleCatalogChange);
+        document.removeEventListener('mousedown', this.handleDocumentClick);
+        dom.removeElement(this.button);
+        dom.removeElement(this.panel);
+    }
+}
+
+export default SymbolPicker;
@@ -0,0 +1,248 @@
+import config from '../../config.js';
+import { dom } from '../../utils/helpers.js';
+import watchlistService from '../../services/watchlist.js';
+import symbolCatalog from '../../services/symbolCatalog.js';
+
+const SPARKLINE_WIDTH = 60;
+const SPARKLINE_HEIGHT = 20;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Watchlist sidebar: a row per symbol with last price, change since the
+// session open and a sparkline. Rows flash on price updates, can be dragged
+// to reorder them, and clicking one calls `onSelect(symbol)`. `getCurrentSymbol`
+// tells which symbol the "Add" button adds.
+class WatchlistPanel {
+    constructor(container, { onSelect = () => {}, onError = () => {}, getCurrentSymbol = () => null } = {}) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.onError = onError;
+        this.getCurrentSymbol = getCurrentSymbol;
+        this.rows = new Map(); // Symbol -> { row, price, change, sparkline, flashTimer }
+        this.activeSymbol = null;
+        this.dragSymbol = null;
+
+        this.header = dom.createElement('div', { className: 'watchlist-header' });
+        this.list = dom.createElement('div', { className: 'watchlist-rows' });
+        this.container.appendChild(this.header);
+        this.container.appendChild(this.list);
+
+        this.handleServiceEvent = event => {
+            if (event.type === 'lists') {
+                this.render();
+            } else if (event.type === 'quote') {
+                this.renderQuote(event.symbol, event.tick);
+            }
+        };
+        watchlistService.addListener(this.handleServiceEvent);
+
+        this.render();
+    }
+
+    setActiveSymbol(symbol) {
+        this.activeSymbol = symbol;
+        this.rows.forEach(({ row }, rowSymbol) => row.classList.toggle('active', rowSymbol === symbol));
+    }
+
+    // Run a list change, reporting validation errors instead of throwing
+    run(action) {
+        try {
+            action();
+            return true;
+        } catch (error) {
+            this.onError(error.message);
+            return false;
+        }
+    }
+
+    render() {
+        this.renderHeader();
+        this.renderRows();
+    }
+
+    renderHeader() {
+        const watchlists = watchlistService.getWatchlists();
+        const activeIndex = watchlistService.getActiveIndex();
+
+        const select = dom.createElement('select', { className: 'watchlist-select' },
+            watchlists.map((watchlist, index) => dom.createElement('option', { value: String(index) }, [watchlist.name]))
+        );
+        select.value = String(activeIndex);
+        select.addEventListener('change', () => watchlistService.setActiveWatchlist(Number(select.value)));
+
+        const addButton = this.createButton('+', 'Add the chart symbol', () => {
+            const symbol = this.getCurrentSymbol();
+            if (symbol) this.run(() => watchlistService.addSymbol(symbol));
+        });
+        const newButton = this.createButton('New', 'New watchlist', () => {
+            this.renderNameForm('', name => watchlistService.createWatchlist(name));
+        });
+        const renameButton = this.createButton('Rename', 'Rename watchlist', () => {
+            this.renderNameForm(watchlists[activeIndex].name, name => watchlistService.renameWatchlist(activeIndex, name));
+        });
+        const deleteButton = this.createButton('Delete', 'Delete watchlist', () => {
+            this.run(() => watchlistService.deleteWatchlist(activeIndex));
+        });
+        deleteButton.disabled = watchlists.length <= 1;
+
+        this.header.replaceChildren(
+            dom.createElement('div', { className: 'watchlist-toolbar' }, [select, addButton]),
+            dom.createElement('div', { className: 'watchlist-toolbar' }, [newButton, renameButton, deleteButton])
+        );
+    }
+
+    // Inline name input used to create and rename lists
+    renderNameForm(initial, submit) {
+        const input = dom.createElement('input', { type: 'text', className: 'watchlist-name', placeholder: 'Watchlist name' });
+        input.value = initial;
+
+        const save = () => {
+            if (this.run(() => submit(input.value))) this.renderHeader();
+        };
+        const saveButton = this.createButton('Save', '', save);
+        const cancelButton = this.createButton('Cancel', '', () => this.renderHeader());
+
+        input.addEventListener('keydown', event => {
+            if (event.key === 'Enter') save();
+            if (event.key === 'Escape') this.renderHeader();
+        });
+
+        this.header.replaceChildren(
+            dom.createElement('div', { className: 'watchlist-toolbar' }, [input]),
+            dom.createElement('div', { className: 'watchlist-toolbar' }, [saveButton, cancelButton])
+        );
+        input.focus();
+        input.select();
+    }
+
+    renderRows() {
+        const watchlist = watchlistService.getActiveWatchlist();
+        const symbols = watchlist ? watchlist.symbols : [];
+
+        this.rows.forEach(({ flashTimer }) => clearTimeout(flashTimer));
+        this.rows.clear();
+
+        if (symbols.length === 0) {
+            this.list.replaceChildren(dom.createElement('div', { className: 'watchlist-empty' }, ['Use + to add the chart symbol']));
+            return;
+        }
+
+        this.list.replaceChildren(...symbols.map((symbol, index) => this.renderRow(symbol, index)));
+        symbols.forEach(symbol => this.renderQuote(symbol, false));
+    }
+
+    renderRow(symbol, index) {
+        const price = dom.createElement('span', { className: 'watchlist-price' }, ['--']);
+        const change = dom.createElement('span', { className: 'watchlist-change' }, ['--']);
+        const sparkline = document.createElementNS(SVG_NS, 'svg');
+        sparkline.setAttribute('class', 'watchlist-sparkline');
+        sparkline.setAttribute('width', SPARKLINE_WIDTH);
+        sparkline.setAttribute('height', SPARKLINE_HEIGHT);
+
+        const removeButton = dom.createElement('span', { className: 'watchlist-remove', title: 'Remove' }, ['×']);
+        removeButton.addEventListener('click', event => {
+            event.stopPropagation();
+            watchlistService.removeSymbol(symbol);
+        });
+
+        const row = dom.createElement('div', {
+            className: `watchlist-row${symbol === this.activeSymbol ? ' active' : ''}`,
+            draggable: 'true',
+            title: symbol
+        }, [
+            dom.createElement('span', { className: 'watchlist-symbol' }, [symbolCatalog.getDisplayName(symbol)]),
+            price,
+            sparkline,
+            change,
+            removeButton
+        ]);
+
+        row.addEventListener('click', () => this.onSelect(symbol));
+
+        // Drag rows to reorder the list
+        row.addEventListener('dragstart', event => {
+            this.dragSymbol = symbol;
+            event.dataTransfer.effectAllowed = 'move';
+            row.classList.add('dragging');
+        });
+        row.addEventListener('dragend', () => {
+            this.dragSymbol = null;
+            row.classList.remove('dragging');
+        });
+        row.addEventListener('dragover', event => {
+            if (this.dragSymbol && this.dragSymbol !== symbol) event.preventDefault();
+        });
+        row.addEventListener('drop', event => {
+            event.preventDefault();
+            if (this.dragSymbol) watchlistService.moveSymbol(this.dragSymbol, index);
+        });
+
+        this.rows.set(symbol, { row, price, change, sparkline, flashTimer: null });
+        return row;
+    }
+
+    renderQuote(symbol, tick) {
+        const row = this.rows.get(symbol);
+        const quote = watchlistService.getQuote(symbol);
+        if (!row || !quote || quote.price === null) return;
+
+        row.price.textContent = symbolCatalog.formatPrice(symbol, quote.price);
+
+        const change = watchlistService.getChange(symbol);
+        if (change) {
+            const sign = change.change >= 0 ? '+' : '';
+            row.change.textContent = `${sign}${change.percent.toFixed(2)}%`;
+            row.change.style.color = change.change >= 0 ? config.chart.candlestick.upColor : config.chart.candlestick.downColor;
+        }
+
+        this.renderSparkline(row.sparkline, quote.closes);
+
+        if (tick && quote.previousPrice !== null && quote.price !== quote.previousPrice) {
+            this.flash(row, quote.price > quote.previousPrice ? 'flash-up' : 'flash-down');
+        }
+    }
+
+    renderSparkline(svg, closes) {
+        if (closes.length < 2) {
+            svg.replaceChildren();
+            return;
+        }
+
+        const values = closes.map(point => point.value);
+        const min = Math.min(...values);
+        const range = Math.max(...values) - min || 1;
+        const points = values.map((value, i) => {
+            const x = (i / (values.length - 1)) * SPARKLINE_WIDTH;
+            const y = SPARKLINE_HEIGHT - 1 - ((value - min) / range) * (SPARKLINE_HEIGHT - 2);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        });
+
+        const line = svg.firstChild || svg.appendChild(document.createElementNS(SVG_NS, 'polyline'));
+        line.setAttribute('points', points.join(' '));
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke', values[values.length - 1] >= values[0] ?
+            config.chart.candlestick.upColor :
+            config.chart.candlestick.downColor);
+        line.setAttribute('stroke-width', '1');
+    }
+
+    flash(row, className) {
+        clearTimeout(row.flashTimer);
+        row.row.classList.remove('flash-up', 'flash-down');
+        row.row.classList.add(className);
+        row.flashTimer = setTimeout(() => row.row.classList.remove(className), config.watchlist.flashDuration);
+    }
+
+    createButton(label, title, onClick) {
+        const button = dom.createElement('button', { type: 'button', title }, [label]);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    destroy() {
+        watchlistService.removeListener(this.handleServiceEvent);
+        this.rows.forEach(({ flashTimer }) => clearTimeout(flashTimer));
+        this.container.replaceChildren();
+    }
+}
+
+export default WatchlistPanel;
@@ -1,15 +1,127 @@
 const config = {
-    // WebSocket Configuration
+    // WebSocket Configuration ('ws://localhost:3001/websockets/v3' replays
+    // sessions recorded by server.js; add ?speed=10 for 10x)
     wsEndpoint: 'wss://ws.binaryws.com/websockets/v3',
     appId: '1089', // Binary.com app ID
     ws: {
-        maxReconnectAttempts: 5,
-        reconnectInterval: 5000, // 5 seconds
+        reconnectInterval: 1000, // First reconnect delay, doubled on every failed attempt
+        maxReconnectInterval: 30000, // Backoff cap; reconnection never gives up
+        reconnectJitter: 0.3, // Randomize each delay by +/- 30%
+        requestTimeout: 15000, // One-shot requests fail after 15 seconds
+        heartbeatInterval: 15000, // Ping the server every 15 seconds
+        heartbeatTimeout: 10000, // Unanswered ping after 10 seconds means a dead socket
+        maxBackfillCount: 5000, // Candles per gap backfill request (API maximum)
+        maxBackfillPages: 5
+    },
+
+    // Market Data Provider ('binary' for the live feed, 'replay' for candle files,
+    // 'synthetic' for generated volatility indices)
+    dataProvider: 'binary',
+    replay: {
+        basePath: 'data/replay', // Files are named <symbol>-<timeframe>.json
+        speed: 1, // Playback speed multiplier
+        historyCount: 500, // Candles served as history before playback starts
+        ticksPerCandle: 4, // Intrabar updates emitted per replayed candle
+        loop: false
+    },
+    // One tab holds the upstream connection of these providers and shares it
+    // with the other tabs of the app over a BroadcastChannel
+    sharedConnection: {
+        providers: ['binary'],
+        channel: 'market-data',
+        heartbeatInterval: 5000, // Followers report their subscriptions every 5 seconds
+        tabTimeout: 20000, // A tab not heard from for 20 seconds is dropped
+        connectTimeout: 5000 // Wait this long for a connected leader
+    },
+    // Seeded random-walk generator for working without a network
+    synthetic: {
+        seed: 1, // Identical seeds produce identical price paths
+        origin: Date.UTC(2024, 0, 1) / 1000, // First generated tick (epoch seconds)
+        blockSeconds: 3600, // Paths are generated and cached in blocks of this length
+        cacheBlocks: 64, // Blocks of ticks kept in memory
+        sliceDuration: 10, // ms of history generation between pauses for the page
+        // Fixed-volatility indices; volatility is annualized
+        symbols: {
+            R_10: { displayName: 'Volatility 10 Index', volatility: 0.10, startPrice: 6000, pip: 0.001, tickInterval: 2 },
+            R_25: { displayName: 'Volatility 25 Index', volatility: 0.25, startPrice: 3000, pip: 0.001, tickInterval: 2 },
+            R_50: { displayName: 'Volatility 50 Index', volatility: 0.50, startPrice: 200, pip: 0.0001, tickInterval: 2 },
+            R_75: { displayName: 'Volatility 75 Index', volatility: 0.75, startPrice: 50000, pip: 0.0001, tickInterval: 2 },
+            R_100: { displayName: 'Volatility 100 Index', volatility: 1.00, startPrice: 1000, pip: 0.01, tickInterval: 2 }
+        }
+    },
+
+    // Candle validation and repair
+    dataQuality: {
+        enabled: true,
+        policy: 'mark', // drop, forward-fill or mark
+        spikeWindow: 50, // Candles the average move is taken over
+        spikeThreshold: 10, // Moves this many times the average are spikes
+        maxFillBars: 1000, // Forward-filled bars per gap at most
+        maxIssues: 500 // Issues listed in a report (counts are always complete)
+    },
+
+    // Indicator, pattern and strategy computation
+    compute: {
+        useWorker: true, // Compute in a Web Worker; off computes on the main thread
+        cacheSize: 200 // Results kept per dataset version and job
+    },
+
+    // Backtesting
+    backtest: {
+        // Candles the strategy sees per bar (Infinity: the whole history, at
+        // the cost of copying it every bar). Streaming indicators continue
+        // from bar to bar, so they still cover the whole history.
+        lookback: 200
+    },
+
+    // Data export
+    export: {
+        signalLookback: 200 // Candles each strategy sees per bar when replaying signals (as backtest.lookback)
+    },
+
+    // Candle cache (IndexedDB)
+    cache: {
+        dbName: 'market-analysis',
+        storeName: 'candles',
+        maxCandlesPerSeries: 5000, // Older candles are trimmed on write
+        maxSeries: 50, // Least recently used series are evicted beyond this
+        writeDelay: 2000 // Live updates are batched into one write per interval (ms)
     },
 
     // Default Settings
     defaultSymbol: 'R_100', // Volatility 100 Index
 
+    // Symbol catalog (loaded from the provider's active symbols)
+    symbols: {
+        cacheKey: 'symbolCatalog',
+        cacheTTL: 24 * 60 * 60 * 1000, // Refetch the catalog once a day
+        maxRecents: 10,
+        // Used when neither the provider nor the cache has a catalog
+        fallback: [
+            { symbol: 'R_10', display_name: 'Volatility 10 Index', pip: 0.001 },
+            { symbol: 'R_25', display_name: 'Volatility 25 Index', pip: 0.001 },
+            { symbol: 'R_50', display_name: 'Volatility 50 Index', pip: 0.0001 },
+            { symbol: 'R_75', display_name: 'Volatility 75 Index', pip: 0.0001 },
+            { symbol: 'R_100', display_name: 'Volatility 100 Index', pip: 0.01 }
+        ].map(entry => ({
+            ...entry,
+            market: 'synthetic_index',
+            market_display_name: 'Derived',
+            submarket: 'random_index',
+            submarket_display_name: 'Continuous Indices',
+            exchange_is_open: 1,
+            is_trading_suspended: 0
+        }))
+    },
+
+    // Watchlist quotes
+    watchlist: {
+        timeframe: '1m', // Streamed per symbol; shared with the chart's stream
+        sparklinePoints: 60, // Closes shown in the sparkline
+        flashDuration: 600, // ms
+        defaultSymbols: ['R_10', 'R_25', 'R_50', 'R_75', 'R_100']
+    },
+
     // Chart Configuration
     chart: {
         background: '#1a1c24',
@@ -18,6 +130,11 @@ const config = {
         crosshairColor: '#758696',
         watermarkColor: 'rgba(119, 119, 119, 0.5)',
         defaultTimeframe: '1m',
+        baseTimeframe: '1m', // Live stream other timeframes are aggregated from
+        scrollBack: {
+            threshold: 10, // Load older history when fewer bars than this remain to the left
+            count: 500 // Candles fetched per page
+        },
         candlestick: {
             upColor: '#26a69a',
             downColor: '#ef5350',
@@ -39,6 +156,16 @@ const config = {
         }
     },
 
+    // Chart transformations; a null size is derived from the ATR of the series
+    // (atrSmoothing as the ATR indicator's smoothing parameter)
+    transforms: {
+        'heikin-ashi': {},
+        renko: { boxSize: null, atrPeriod: 14, atrSmoothing: 'wilder' },
+        range: { range: null, atrPeriod: 14, atrSmoothing: 'wilder' },
+        kagi: { reversal: null, atrPeriod: 14, atrSmoothing: 'wilder' },
+        'line-break': { lines: 3 }
+    },
+
     // Timeframe Mappings (in seconds)
     timeframes: {
         '1m': 60,
@@ -49,6 +176,11 @@ const config = {
         '1d': 86400
     },
 
+    // Tick Charts ('tick' is the raw tick line, '<N>t' are N-tick bars)
+    ticks: {
+        historyCount: 1000 // Ticks requested as history (the API allows up to 5000)
+    },
+
     // Technical Analysis Settings
     analysis: {
         sma: {
@@ -65,6 +197,12 @@ const config = {
             oversold: 30,
             color: '#2196f3'
         },
+        // Overbought/oversold bands of the other oscillators
+        stochastic: { overbought: 80, oversold: 20 },
+        stochRsi: { overbought: 80, oversold: 20 },
+        williamsR: { overbought: -20, oversold: -80 },
+        cci: { overbought: 100, oversold: -100 },
+        ultimate: { overbought: 70, oversold: 30 },
         macd: {
             fastPeriod: 12,
             slowPeriod: 26,
@@ -86,6 +224,22 @@ const config = {
         }
     },
 
+    // Strategy Settings (maType: any moving average type of the indicator
+    // registry, e.g. 'sma', 'ema', 'wma', 'hma', 'dema', 'tema', 'kama',
+    // 'alma' or 'vwma')
+    strategies: {
+        trendFollowing: {
+            fastPeriod: 20,
+            slowPeriod: 50,
+            maType: 'ema'
+        },
+        meanReversion: {
+            period: 20,
+            stdDev: 2,
+            maType: 'sma' // Middle band
+        }
+    },
+
     // Pattern Detection Settings
     patterns: {
         candlestick: {
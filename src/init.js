@@ -1,6 +1,8 @@
 import config from './config.js';
-import marketWebSocket from './services/websocket.js';
+import marketWebSocket from './services/providers/index.js';
 import marketDataService from './services/marketData.js';
+import candleCache from './services/candleCache.js';
+import connectionStatus from './services/connectionStatus.js';
 import technicalIndicators from './components/Indicators/technical.js';
 import patternDetection from './components/Strategies/patterns.js';
 import strategyImplementations from './components/Strategies/implementations.js';
@@ -47,9 +49,15 @@ class MarketAnalysisInitializer {
             // Initialize theme
             await this.initializeService('theme', themeManager);
 
+            // Initialize the candle cache before any history is loaded
+            await this.initializeService('candleCache', candleCache);
+
             // Initialize WebSocket connection
             await this.initializeService('websocket', marketWebSocket);
 
+            // Track connectivity; without it the app runs on cached data
+            await this.initializeService('connectionStatus', connectionStatus);
+
             // Initialize market data service
             await this.initializeService('marketData', marketDataService);
 
@@ -141,14 +149,20 @@ class MarketAnalysisInitializer {
     // Event handlers
     handleOnline() {
         console.log('Application is online');
-        marketWebSocket.reconnect();
+        connectionStatus.setNetworkOnline(true);
     }
 
     handleOffline() {
-        console.log('Application is offline');
+        console.log('Application is offline, serving cached market data');
+        connectionStatus.setNetworkOnline(false);
+
+        // Persist what was streamed so far in case the page is closed offline
+        candleCache.flush();
     }
 
     handleBeforeUnload(event) {
+        candleCache.flush();
+
         // Save any unsaved changes
         if (settingsManager.get('autoSave')) {
             settingsManager.saveSettings();
@@ -163,10 +177,16 @@ class MarketAnalysisInitializer {
         console.log('WebSocket reconnected');
     }
 
-    handleMarketUpdate(data) {
-        // Update UI with new market data
-        // Check for alerts
-        alertService.checkAlertConditions(data);
+    handleMarketUpdate(event) {
+        // Check alerts on every candle update; indicator alerts read the series
+        if (event.type !== 'update') return;
+        const { symbol, timeframe, candle } = event;
+        alertService.checkAlertConditions({
+            symbol,
+            timeframe,
+            price: candle.close,
+            candles: marketDataService.getData(symbol, timeframe)
+        });
     }
 
     handlePatternDetected(pattern) {
@@ -1,9 +1,15 @@
+import config from '../config.js';
 import { MarketAnalysisError } from '../utils/helpers.js';
+import indicatorRegistry from '../components/Indicators/registry.js';
+import { StreamingIndicator } from '../components/Indicators/streaming.js';
+
+const CROSSING_CONDITIONS = ['crosses_above', 'crosses_below'];
 
 class AlertService {
     constructor() {
         this.alerts = new Map();
         this.subscribers = new Set();
+        this.indicatorStreams = new Map(); // alert id -> StreamingIndicator
         this.nextAlertId = 1;
     }
 
@@ -32,10 +38,18 @@ class AlertService {
             type = 'price', // price, indicator, pattern
             duration = 'persistent', // persistent, oneTime
             sound = true,
-            notification = true
+            notification = true,
+            indicator = null, // Registry id, for indicator alerts
+            params = {},
+            output = 'value',
+            timeframe = config.chart.baseTimeframe // Candle series the alert watches
         } = options;
 
-        if (!symbol || !condition || !value) {
+        // Pattern alerts name a pattern; the others compare against a number (0 included)
+        const validValue = type === 'pattern'
+            ? Boolean(value)
+            : value !== null && value !== undefined && Number.isFinite(Number(value));
+        if (!symbol || !condition || !validValue) {
             throw new MarketAnalysisError(
                 'Invalid alert parameters',
                 'INVALID_ALERT_PARAMS',
@@ -43,6 +57,15 @@ class AlertService {
             );
         }
 
+        if (type === 'indicator' && (!indicatorRegistry.has(indicator) ||
+            !indicatorRegistry.getOutputNames(indicator).includes(output))) {
+            throw new MarketAnalysisError(
+                'Unknown indicator for alert',
+                'INVALID_ALERT_PARAMS',
+                { indicator, output }
+            );
+        }
+
         const alert = {
             id: this.nextAlertId++,
             symbol,
@@ -50,9 +73,15 @@ class AlertService {
             value,
             message: message || `Alert for ${symbol}: ${condition} ${value}`,
             type,
+            timeframe,
             duration,
             sound,
             notification,
+            ...(type === 'indicator' && {
+                indicator,
+                params: indicatorRegistry.resolveParams(indicator, params),
+                output
+            }),
             createdAt: Date.now(),
             triggered: false,
             lastTriggered: null
@@ -66,6 +95,7 @@ class AlertService {
 
     removeAlert(id) {
         const removed = this.alerts.delete(id);
+        this.indicatorStreams.delete(id);
         if (removed) {
             this.saveAlerts();
         }
@@ -85,12 +115,15 @@ class AlertService {
             .filter(alert => alert.symbol === symbol);
     }
 
+    // `marketData`: { symbol, timeframe, price, candles } of a live update
+    // (alerts saved before alerts had a timeframe watch the base timeframe)
     checkAlertConditions(marketData) {
-        const { symbol, price, indicators } = marketData;
+        const { symbol, timeframe, price, indicators } = marketData;
         const triggeredAlerts = [];
 
         this.alerts.forEach(alert => {
             if (alert.symbol !== symbol || alert.triggered) return;
+            if (timeframe && (alert.timeframe || config.chart.baseTimeframe) !== timeframe) return;
 
             let isTriggered = false;
             let currentValue;
@@ -102,7 +135,19 @@ class AlertService {
                     break;
 
                 case 'indicator':
-                    if (indicators && indicators[alert.indicator]) {
+                    if (marketData.candles && alert.params) {
+                        const { current, previous, time } = this.getIndicatorValues(alert, marketData.candles);
+                        currentValue = current;
+                        // The forming bar stays across the level for many
+                        // updates; a cross fires once per bar
+                        const isCross = CROSSING_CONDITIONS.includes(alert.condition);
+                        isTriggered = current !== null &&
+                            !(isCross && alert.crossedAt === time) &&
+                            this.evaluateCondition(current, alert.condition, alert.value, previous);
+                        if (isTriggered && isCross) {
+                            alert.crossedAt = time;
+                        }
+                    } else if (indicators && indicators[alert.indicator]) {
                         currentValue = indicators[alert.indicator].value;
                         isTriggered = this.evaluateCondition(currentValue, alert.condition, alert.value);
                     }
@@ -132,7 +177,29 @@ class AlertService {
         return triggeredAlerts;
     }
 
-    evaluateCondition(current, condition, target) {
+    // Value of an alert's indicator output on the last candle and the one
+    // before (and the last candle's time), computed with the registry
+    // definition the chart uses
+    getIndicatorValues(alert, candles) {
+        if (!this.indicatorStreams.has(alert.id)) {
+            this.indicatorStreams.set(alert.id, new StreamingIndicator(alert.indicator, alert.params));
+        }
+        const stream = this.indicatorStreams.get(alert.id).sync(candles);
+        const value = outputs => {
+            const output = outputs ? outputs[alert.output] : null;
+            // Colored outputs (e.g. Supertrend) are { value, color }
+            if (output !== null && typeof output === 'object') return output.value;
+            return output === undefined ? null : output;
+        };
+
+        return {
+            current: value(stream.current),
+            previous: value(stream.previous),
+            time: stream.forming ? stream.forming.time : null
+        };
+    }
+
+    evaluateCondition(current, condition, target, previous = this.previousValue) {
         switch (condition) {
             case 'above':
                 return current > target;
@@ -141,9 +208,9 @@ class AlertService {
             case 'equals':
                 return Math.abs(current - target) < 0.00001;
             case 'crosses_above':
-                return this.previousValue < target && current > target;
+                return previous < target && current > target;
             case 'crosses_below':
-                return this.previousValue > target && current < target;
+                return previous > target && current < target;
             default:
                 return false;
         }
@@ -222,6 +289,7 @@ class AlertService {
 
     clearAllAlerts() {
         this.alerts.clear();
+        this.indicatorStreams.clear();
         this.saveAlerts();
     }
 
@@ -231,6 +299,7 @@ class AlertService {
             if (alert.triggered) {
                 alert.triggered = false;
                 alert.lastTriggered = null;
+                alert.crossedAt = null;
                 updated = true;
             }
         });
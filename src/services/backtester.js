@@ -1,5 +1,11 @@
-import { MarketAnalysisError } from '../utils/helpers.js';
-import technicalIndicators from '../components/Indicators/technical.js';
+import config from '../config.js';
+import { MarketAnalysisError, timeframes } from '../utils/helpers.js';
+import marketDataService from './marketData.js';
+import dataQualityValidator from './dataQuality.js';
+import dataImporter from './importer.js';
+import chartTransforms from './chartTransforms.js';
+import indicatorRegistry from '../components/Indicators/registry.js';
+import { calculateIndicator } from '../components/Indicators/streaming.js';
 import patternDetection from '../components/Strategies/patterns.js';
 
 class Backtester {
@@ -21,7 +27,79 @@ class Backtester {
         this.strategies.set(name, strategy);
     }
 
-    // Run backtest for a specific strategy
+    // Resolve backtest input: a candle array, or a symbol (live or imported)
+    // whose candles are read for `options.timeframe`. `options.transform`
+    // ({ type, params }) runs the strategy on e.g. Heikin-Ashi or Renko bars.
+    resolveData(data, options = {}) {
+        const { transform } = options;
+        if (transform) {
+            return chartTransforms.apply(transform.type, this.resolveData(data, { ...options, transform: null }), transform.params);
+        }
+        if (Array.isArray(data)) return data;
+
+        const candles = dataImporter.isImportedSymbol(data) ?
+            dataImporter.getCandles(data, options.timeframe) :
+            marketDataService.getData(data, options.timeframe || config.chart.defaultTimeframe);
+
+        if (candles.length === 0) {
+            throw new MarketAnalysisError(
+                'No data available for backtest',
+                'NO_DATA',
+                { symbol: data, timeframe: options.timeframe }
+            );
+        }
+        return candles;
+    }
+
+    // Validate backtest input. `options.dataQuality` is 'warn' (default: run
+    // and attach the report), 'strict' (refuse data with errors), 'repair'
+    // (repair with `options.repairPolicy` first) or 'off'.
+    checkDataQuality(data, options = {}) {
+        const { dataQuality = 'warn', repairPolicy = config.dataQuality.policy, timeframe } = options;
+        if (dataQuality === 'off') return { data, report: null };
+
+        // Transformed bars aren't evenly spaced in time
+        const interval = timeframe && !timeframes.isTickBased(timeframe) && !options.transform ?
+            marketDataService.getTimeframeInSeconds(timeframe) :
+            null;
+
+        if (dataQuality === 'repair') {
+            const { candles, report } = dataQualityValidator.repair(data, repairPolicy, { interval });
+            return { data: candles, report };
+        }
+
+        const report = dataQualityValidator.validate(data, { interval });
+        if (dataQuality === 'strict' && !report.ok) {
+            throw new MarketAnalysisError(
+                `Data quality check failed: ${dataQualityValidator.summarize(report)}`,
+                'DATA_QUALITY',
+                { report }
+            );
+        }
+        if (!report.ok) {
+            console.warn(`Backtesting on data with issues: ${dataQualityValidator.summarize(report)}`);
+        }
+        return { data, report };
+    }
+
+    // Indicator series over the backtested data, computed from the registry
+    // like the chart's: `specs` is a list of { id, params }
+    calculateIndicators(data, specs = []) {
+        return specs.map(({ id, params = {} }) => {
+            const resolved = indicatorRegistry.resolveParams(id, params);
+            return {
+                id,
+                name: indicatorRegistry.get(id).name,
+                params: resolved,
+                result: calculateIndicator(id, data, resolved)
+            };
+        });
+    }
+
+    // Run backtest for a specific strategy. The strategy sees a trailing
+    // window of `options.lookback` candles per bar; `options.signal` cancels
+    // the run. `options.indicators` ({ id, params } list) adds indicator
+    // series to the results.
     async runBacktest(strategyName, data, options = {}) {
         const strategy = this.strategies.get(strategyName);
         if (!strategy) {
@@ -31,6 +109,8 @@ class Backtester {
                 { strategyName }
             );
         }
+        const quality = this.checkDataQuality(this.resolveData(data, options), options);
+        data = quality.data;
 
         const {
             initialCapital = 10000,
@@ -38,7 +118,10 @@ class Backtester {
             stopLoss = 0.02,
             takeProfit = 0.03,
             commission = 0.001,
-            slippage = 0.001
+            slippage = 0.001,
+            lookback = config.backtest.lookback,
+            signal: abortSignal = null,
+            indicators = []
         } = options;
 
         const results = {
@@ -46,7 +129,9 @@ class Backtester {
             metrics: {},
             equity: [initialCapital],
             positions: [],
-            signals: []
+            signals: [],
+            indicators: this.calculateIndicators(data, indicators),
+            dataQuality: quality.report
         };
 
         let capital = initialCapital;
@@ -54,9 +139,13 @@ class Backtester {
 
         // Process each candle
         for (let i = 50; i < data.length; i++) {
-            const candles = data.slice(0, i + 1);
-            const currentCandle = candles[i];
-            
+            if (abortSignal && abortSignal.aborted) {
+                throw new MarketAnalysisError('Backtest cancelled', 'REQUEST_CANCELLED', { strategyName });
+            }
+
+            const candles = data.slice(Math.max(0, i + 1 - lookback), i + 1);
+            const currentCandle = data[i];
+
             // Get strategy signals
             const signal = await strategy.analyze(candles, options);
             results.signals.push({
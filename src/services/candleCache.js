@@ -0,0 +1,151 @@
+import config from '../config.js';
+
+// Persistent candle store in IndexedDB, one record per symbol-timeframe
+// series. Series are trimmed to the newest `maxCandlesPerSeries` candles and
+// the least recently used series are evicted beyond `maxSeries`.
+// Every method degrades to a no-op when IndexedDB is unavailable.
+class CandleCache {
+    constructor() {
+        this.db = null;
+        this.opening = null;
+        this.pendingWrites = new Map(); // key -> { symbol, timeframe, getCandles }
+        this.writeTimer = null;
+    }
+
+    initialize() {
+        return this.open();
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.opening) return this.opening;
+
+        if (typeof indexedDB === 'undefined') {
+            return Promise.resolve(null);
+        }
+
+        this.opening = new Promise(resolve => {
+            const request = indexedDB.open(config.cache.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(config.cache.storeName, { keyPath: 'key' });
+                store.createIndex('lastAccess', 'lastAccess');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => {
+                console.error('Failed to open candle cache:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.opening;
+    }
+
+    getKey(symbol, timeframe) {
+        return `${symbol}-${timeframe}`;
+    }
+
+    async get(symbol, timeframe) {
+        const db = await this.open();
+        if (!db) return [];
+
+        try {
+            const key = this.getKey(symbol, timeframe);
+            const record = await this.runRequest('readonly', store => store.get(key));
+            if (!record) return [];
+
+            // Reads count as use for eviction
+            this.runRequest('readwrite', store => store.put({ ...record, lastAccess: Date.now() }))
+                .catch(error => console.warn('Failed to touch cached series:', error));
+            return record.candles;
+        } catch (error) {
+            console.error(`Failed to read cached candles for ${symbol} (${timeframe}):`, error);
+            return [];
+        }
+    }
+
+    async put(symbol, timeframe, candles) {
+        const db = await this.open();
+        if (!db || candles.length === 0) return;
+
+        const now = Date.now();
+        const record = {
+            key: this.getKey(symbol, timeframe),
+            symbol,
+            timeframe,
+            candles: candles.slice(-config.cache.maxCandlesPerSeries),
+            updatedAt: now,
+            lastAccess: now
+        };
+
+        try {
+            await this.runRequest('readwrite', store => store.put(record));
+            await this.evict();
+        } catch (error) {
+            console.error(`Failed to cache candles for ${symbol} (${timeframe}):`, error);
+        }
+    }
+
+    // Coalesce frequent live updates into one write per series; the getter
+    // is read at flush time so the latest candles are stored
+    scheduleWrite(symbol, timeframe, getCandles) {
+        this.pendingWrites.set(this.getKey(symbol, timeframe), { symbol, timeframe, getCandles });
+
+        if (!this.writeTimer) {
+            this.writeTimer = setTimeout(() => this.flush(), config.cache.writeDelay);
+        }
+    }
+
+    async flush() {
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this.writeTimer = null;
+        }
+
+        const writes = Array.from(this.pendingWrites.values());
+        this.pendingWrites.clear();
+
+        for (const { symbol, timeframe, getCandles } of writes) {
+            await this.put(symbol, timeframe, getCandles());
+        }
+    }
+
+    async remove(symbol, timeframe) {
+        const db = await this.open();
+        if (!db) return;
+        await this.runRequest('readwrite', store => store.delete(this.getKey(symbol, timeframe)));
+    }
+
+    async clear() {
+        const db = await this.open();
+        if (!db) return;
+        await this.runRequest('readwrite', store => store.clear());
+    }
+
+    // Drop the least recently used series above the configured limit
+    async evict() {
+        const keys = await this.runRequest('readonly', store => store.index('lastAccess').getAllKeys());
+        const excess = keys.length - config.cache.maxSeries;
+        if (excess <= 0) return;
+
+        await Promise.all(keys.slice(0, excess).map(key =>
+            this.runRequest('readwrite', store => store.delete(key))
+        ));
+    }
+
+    runRequest(mode, createRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(config.cache.storeName, mode);
+            const request = createRequest(transaction.objectStore(config.cache.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Create and export singleton instance
+const candleCache = new CandleCache();
+export default candleCache;
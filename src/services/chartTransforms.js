@@ -0,0 +1,441 @@
+import config from '../config.js';
+import { MarketAnalysisError } from '../utils/helpers.js';
+import marketDataService from './marketData.js';
+import { latestIndicatorValues } from '../components/Indicators/streaming.js';
+
+// Bars that aren't tied to one candle (bricks, lines) get the time of the
+// candle that formed them, pushed forward a second where several are formed
+// by the same candle, so the chart still gets strictly increasing times
+function nextTime(state, sourceTime) {
+    state.lastTime = Math.max(sourceTime, state.lastTime + 1);
+    return state.lastTime;
+}
+
+function createBar(state, sourceTime, open, close, extra = {}) {
+    return {
+        time: nextTime(state, sourceTime),
+        open,
+        high: Math.max(open, close),
+        low: Math.min(open, close),
+        close,
+        sourceTime,
+        ...extra
+    };
+}
+
+// Average true range at the end of the series, from the registry's ATR so
+// sizes match the ATR indicator; a series shorter than the period is
+// averaged over all of its bars
+function averageTrueRange(candles, period, smoothing) {
+    if (candles.length === 0) return 0;
+
+    const { value } = latestIndicatorValues('atr', candles, { period: Math.min(period, candles.length), smoothing });
+    return value || 0;
+}
+
+// A fixed size, or the ATR of the series when none is given
+function resolveSize(size, candles, { atrPeriod, atrSmoothing }) {
+    if (size > 0) return size;
+
+    const atr = averageTrueRange(candles, atrPeriod, atrSmoothing);
+    if (atr > 0) return atr;
+
+    // Flat series: fall back to a small fraction of the price
+    const last = candles[candles.length - 1];
+    return last ? Math.abs(last.close) * 0.001 || 1 : 1;
+}
+
+// Prices a candle most likely went through, in order
+function getPricePath(candle) {
+    return candle.close >= candle.open ?
+        [candle.open, candle.low, candle.high, candle.close] :
+        [candle.open, candle.high, candle.low, candle.close];
+}
+
+// Each transformation turns source candles into bars one candle at a time.
+// `create` sets up the state from the full series (for ATR sizes), `step`
+// feeds one candle: finished bars go to `state.bars`, a bar still forming
+// is kept in `state.current`. Apart from `bars`, state values must be
+// scalars or flat objects so the state can be snapshotted cheaply.
+const TRANSFORMS = {
+    'heikin-ashi': {
+        name: 'Heikin-Ashi',
+        create: () => ({ bars: [], current: null, lastTime: -Infinity }),
+        step(state, candle) {
+            const previous = state.bars[state.bars.length - 1];
+            const close = (candle.open + candle.high + candle.low + candle.close) / 4;
+            const open = previous ? (previous.open + previous.close) / 2 : (candle.open + candle.close) / 2;
+
+            state.bars.push({
+                time: candle.time,
+                open,
+                high: Math.max(candle.high, open, close),
+                low: Math.min(candle.low, open, close),
+                close,
+                sourceTime: candle.time,
+                ...(candle.volume !== undefined && { volume: candle.volume })
+            });
+        }
+    },
+
+    // Bricks of `boxSize` on closes; a reversal needs two boxes
+    renko: {
+        name: 'Renko',
+        create: (candles, params) => ({
+            bars: [],
+            current: null,
+            lastTime: -Infinity,
+            boxSize: resolveSize(params.boxSize, candles, params),
+            top: null,
+            bottom: null
+        }),
+        step(state, candle) {
+            const { boxSize } = state;
+            if (state.top === null) {
+                const base = Math.round(candle.close / boxSize) * boxSize;
+                state.top = base;
+                state.bottom = base;
+                return;
+            }
+
+            while (candle.close >= state.top + boxSize) {
+                state.bars.push(createBar(state, candle.time, state.top, state.top + boxSize));
+                state.bottom = state.top;
+                state.top += boxSize;
+            }
+            while (candle.close <= state.bottom - boxSize) {
+                state.bars.push(createBar(state, candle.time, state.bottom, state.bottom - boxSize));
+                state.top = state.bottom;
+                state.bottom -= boxSize;
+            }
+        }
+    },
+
+    // Bars spanning exactly `range` from high to low, each opening at the
+    // previous close
+    range: {
+        name: 'Range bars',
+        create: (candles, params) => ({
+            bars: [],
+            current: null,
+            lastTime: -Infinity,
+            range: resolveSize(params.range, candles, params)
+        }),
+        step(state, candle) {
+            const { range } = state;
+
+            getPricePath(candle).forEach(price => {
+                if (!state.current) {
+                    state.current = createBar(state, candle.time, price, price);
+                }
+
+                for (;;) {
+                    const bar = state.current;
+                    if (price > bar.low + range) {
+                        bar.high = bar.low + range;
+                        bar.close = bar.high;
+                    } else if (price < bar.high - range) {
+                        bar.low = bar.high - range;
+                        bar.close = bar.low;
+                    } else {
+                        bar.high = Math.max(bar.high, price);
+                        bar.low = Math.min(bar.low, price);
+                        bar.close = price;
+                        break;
+                    }
+
+                    state.bars.push(bar);
+                    state.current = createBar(state, candle.time, bar.close, bar.close);
+                }
+            });
+        }
+    },
+
+    // Lines that follow the close and turn on moves of `reversal`; a line is
+    // yang (thick) once it breaks the previous shoulder, yin below the
+    // previous waist
+    kagi: {
+        name: 'Kagi',
+        create: (candles, params) => ({
+            bars: [],
+            current: null,
+            lastTime: -Infinity,
+            reversal: resolveSize(params.reversal, candles, params),
+            start: null,
+            direction: 0,
+            yang: true,
+            shoulder: null,
+            waist: null
+        }),
+        step(state, candle) {
+            const price = candle.close;
+            if (state.start === null) {
+                state.start = price;
+                return;
+            }
+
+            const line = state.current;
+            if (!line) {
+                // Wait for the first move large enough to set a direction
+                if (Math.abs(price - state.start) < state.reversal) return;
+                state.direction = price > state.start ? 1 : -1;
+                state.yang = state.direction > 0;
+                state.current = createBar(state, candle.time, state.start, price, { yang: state.yang });
+                return;
+            }
+
+            const extending = state.direction > 0 ? price > line.close : price < line.close;
+            const reverses = state.direction > 0 ?
+                price <= line.close - state.reversal :
+                price >= line.close + state.reversal;
+
+            if (extending) {
+                line.close = price;
+            } else if (reverses) {
+                // The turning point becomes a shoulder (top) or waist (bottom)
+                if (state.direction > 0) {
+                    state.shoulder = line.close;
+                } else {
+                    state.waist = line.close;
+                }
+                state.bars.push(line);
+                state.direction = -state.direction;
+                state.current = createBar(state, candle.time, line.close, price, { yang: state.yang });
+            } else {
+                return;
+            }
+
+            const current = state.current;
+            if (state.shoulder !== null && current.close > state.shoulder) state.yang = true;
+            if (state.waist !== null && current.close < state.waist) state.yang = false;
+            current.yang = state.yang;
+            current.high = Math.max(current.open, current.close);
+            current.low = Math.min(current.open, current.close);
+        }
+    },
+
+    // A new line for every new closing high or low; reversing needs a break
+    // of the extremes of the last `lines` lines
+    'line-break': {
+        name: 'Line break',
+        create: () => ({ bars: [], current: null, lastTime: -Infinity, firstOpen: null }),
+        step(state, candle, params) {
+            const { bars } = state;
+            const price = candle.close;
+            const last = bars[bars.length - 1];
+
+            if (!last) {
+                if (state.firstOpen === null) state.firstOpen = candle.open;
+                if (price !== state.firstOpen) {
+                    bars.push(createBar(state, candle.time, state.firstOpen, price));
+                }
+                return;
+            }
+
+            const recent = bars.slice(-params.lines);
+            const rising = last.close > last.open;
+
+            if (rising ? price > last.close : price < last.close) {
+                bars.push(createBar(state, candle.time, last.close, price));
+            } else if (rising && price < Math.min(...recent.map(bar => bar.low))) {
+                bars.push(createBar(state, candle.time, last.open, price));
+            } else if (!rising && price > Math.max(...recent.map(bar => bar.high))) {
+                bars.push(createBar(state, candle.time, last.open, price));
+            }
+        }
+    }
+};
+
+// Copy of the state before the forming candle; `bars` only keeps its length
+// since finished bars are never changed
+function snapshot(state) {
+    const copy = {};
+    Object.entries(state).forEach(([key, value]) => {
+        if (key === 'bars') {
+            copy.barCount = value.length;
+        } else {
+            copy[key] = value && typeof value === 'object' ? { ...value } : value;
+        }
+    });
+    return copy;
+}
+
+function restore(state, saved) {
+    Object.entries(saved).forEach(([key, value]) => {
+        if (key === 'barCount') {
+            state.bars.length = value;
+        } else {
+            state[key] = value && typeof value === 'object' ? { ...value } : value;
+        }
+    });
+}
+
+function getOutput(state) {
+    return state.current ? [...state.bars, state.current] : state.bars.slice();
+}
+
+// Heikin-Ashi, Renko, range bar, Kagi and line break series computed from
+// market data series. Subscribed series follow their source incrementally:
+// the state is snapshotted before the forming candle, and every update of
+// that candle replays it from the snapshot.
+class ChartTransformService {
+    constructor() {
+        this.series = new Map(); // Key -> { symbol, timeframe, type, params, state, committed, pendingTime, refs }
+        this.listeners = new Set();
+
+        marketDataService.addListener(event => this.handleMarketDataEvent(event));
+    }
+
+    getTypes() {
+        return Object.entries(TRANSFORMS).map(([type, { name }]) => ({ type, name }));
+    }
+
+    isTransform(type) {
+        return Object.prototype.hasOwnProperty.call(TRANSFORMS, type);
+    }
+
+    getTransform(type) {
+        if (!this.isTransform(type)) {
+            throw new MarketAnalysisError(`Unknown chart transformation: ${type}`, 'UNKNOWN_TRANSFORM', {
+                type,
+                available: Object.keys(TRANSFORMS)
+            });
+        }
+        return TRANSFORMS[type];
+    }
+
+    resolveParams(type, params = {}) {
+        return { ...config.transforms[type], ...params };
+    }
+
+    // Transform a candle array in one go, e.g. as strategy or backtest input
+    apply(type, candles, params = {}) {
+        const transform = this.getTransform(type);
+        const resolved = this.resolveParams(type, params);
+        const state = transform.create(candles, resolved);
+        candles.forEach(candle => transform.step(state, candle, resolved));
+        return getOutput(state);
+    }
+
+    // Follow a market data series; returns the key to read and release it by
+    subscribe(symbol, timeframe, type, params = {}) {
+        this.getTransform(type);
+        const resolved = this.resolveParams(type, params);
+        const key = `${symbol}-${timeframe}-${type}-${JSON.stringify(resolved)}`;
+
+        if (this.series.has(key)) {
+            this.series.get(key).refs++;
+            return key;
+        }
+
+        const series = { key, symbol, timeframe, type, params: resolved, state: null, committed: null, pendingTime: null, refs: 1 };
+        this.series.set(key, series);
+        this.rebuild(series);
+        return key;
+    }
+
+    unsubscribe(key) {
+        const series = this.series.get(key);
+        if (series && --series.refs <= 0) {
+            this.series.delete(key);
+        }
+    }
+
+    getData(key) {
+        const series = this.series.get(key);
+        return series ? getOutput(series.state) : [];
+    }
+
+    getParams(key) {
+        const series = this.series.get(key);
+        return series ? { ...series.params, ...this.getDerivedParams(series.state) } : null;
+    }
+
+    // Sizes resolved from the ATR, for display
+    getDerivedParams(state) {
+        const derived = {};
+        ['boxSize', 'range', 'reversal'].forEach(name => {
+            if (state && state[name] !== undefined) derived[name] = state[name];
+        });
+        return derived;
+    }
+
+    rebuild(series) {
+        const candles = marketDataService.getData(series.symbol, series.timeframe);
+        const transform = TRANSFORMS[series.type];
+
+        series.state = transform.create(candles, series.params);
+        candles.slice(0, -1).forEach(candle => transform.step(series.state, candle, series.params));
+        series.committed = snapshot(series.state);
+        series.pendingTime = null;
+
+        const last = candles[candles.length - 1];
+        if (last) {
+            transform.step(series.state, last, series.params);
+            series.pendingTime = last.time;
+        }
+    }
+
+    // Apply a streamed candle. Returns the bars to update on the chart, or
+    // null when bars were removed and the whole series has to be redrawn.
+    update(series, candle) {
+        const transform = TRANSFORMS[series.type];
+        const { state } = series;
+        const previousLength = state.bars.length + (state.current ? 1 : 0);
+
+        if (series.pendingTime === null || candle.time > series.pendingTime) {
+            // The forming candle is complete
+            series.committed = snapshot(state);
+        } else if (candle.time === series.pendingTime) {
+            restore(state, series.committed);
+        } else {
+            this.rebuild(series);
+            return null;
+        }
+
+        transform.step(state, candle, series.params);
+        series.pendingTime = candle.time;
+
+        const output = getOutput(state);
+        if (output.length < previousLength) return null;
+        return output.slice(series.committed.barCount);
+    }
+
+    handleMarketDataEvent(event) {
+        if (event.type !== 'data' && event.type !== 'update') return;
+
+        this.series.forEach(series => {
+            if (series.symbol !== event.symbol || series.timeframe !== event.timeframe) return;
+
+            const bars = event.type === 'update' ? this.update(series, event.candle) : null;
+            if (bars === null) {
+                if (event.type === 'data') this.rebuild(series);
+                this.notifyListeners({ type: 'data', key: series.key, data: getOutput(series.state) });
+            } else {
+                this.notifyListeners({ type: 'update', key: series.key, bars });
+            }
+        });
+    }
+
+    addListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    removeListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    notifyListeners(event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Error in chart transform listener:', error);
+            }
+        });
+    }
+}
+
+// Create and export singleton instance
+const chartTransforms = new ChartTransformService();
+export default chartTransforms;
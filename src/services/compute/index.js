@@ -0,0 +1,251 @@
+import config from '../../config.js';
+import { MarketAnalysisError } from '../../utils/helpers.js';
+import strategyImplementations from '../../components/Strategies/implementations.js';
+import { runJob } from './jobs.js';
+
+// Runs indicator, pattern and strategy jobs in a Web Worker. Datasets are
+// mirrored into the worker under a key and kept in sync incrementally: a
+// series (named by `series`, e.g. symbol and timeframe) that only changed at
+// its end sends its last bars, anything else resends it whole. Results
+// are cached per dataset version, so unchanged data is never recomputed.
+// Without worker support jobs run on the main thread.
+class ComputeService {
+    constructor() {
+        this.worker = null;
+        this.workerFailed = false;
+        this.nextId = 1;
+        this.nextVersion = 1;
+        this.pending = new Map(); // job id -> job
+        this.tags = new Map(); // tag -> id of the latest job
+        this.datasets = new Map(); // key -> { version, series, length, firstTime, lastBar }
+        this.cache = new Map(); // In least recently used order
+    }
+
+    getWorker() {
+        if (this.worker || this.workerFailed) return this.worker;
+
+        if (!config.compute.useWorker || typeof Worker === 'undefined') {
+            this.workerFailed = true;
+            return null;
+        }
+
+        try {
+            this.worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', event => this.handleMessage(event.data));
+            this.worker.addEventListener('error', event => this.handleWorkerError(event));
+        } catch (error) {
+            console.warn('Compute worker unavailable, computing on the main thread:', error);
+            this.workerFailed = true;
+        }
+        return this.worker;
+    }
+
+    // Run a job on `data`. Jobs sharing a `tag` supersede each other: a new
+    // one cancels the previous one if it hasn't finished. Cancelled jobs
+    // (also through `signal`) reject with REQUEST_CANCELLED.
+    run(kind, name, data, params = {}, { key = 'default', series = null, tag = null, signal = null } = {}) {
+        if (signal && signal.aborted) {
+            return Promise.reject(this.cancelledError());
+        }
+
+        const version = this.syncData(key, data, series);
+        const cacheKey = `${key}@${version}:${kind}:${name}:${JSON.stringify(params)}`;
+        if (tag !== null && this.tags.has(tag)) {
+            this.cancel(this.tags.get(tag));
+        }
+
+        if (this.cache.has(cacheKey)) {
+            const result = this.cache.get(cacheKey);
+            this.cache.delete(cacheKey);
+            this.cache.set(cacheKey, result);
+            return Promise.resolve(result);
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const job = { id, key, kind, name, params, data, cacheKey, tag, resolve, reject };
+            this.pending.set(id, job);
+            if (tag !== null) {
+                this.tags.set(tag, id);
+            }
+            if (signal) {
+                signal.addEventListener('abort', () => this.cancel(id), { once: true });
+            }
+
+            const worker = this.getWorker();
+            if (worker) {
+                worker.postMessage({ type: 'job', id, key, kind, name, params });
+            } else {
+                this.runInline(job);
+            }
+        });
+    }
+
+    calculateIndicator(name, data, params = {}, options = {}) {
+        return this.run('indicator', name, data, params, options);
+    }
+
+    // Indicator values and the state of a StreamingIndicator at the end of `data`
+    seedIndicator(name, data, params = {}, options = {}) {
+        return this.run('seed', name, data, params, options);
+    }
+
+    detectPatterns(data, name = 'candlestick', options = {}) {
+        return this.run('patterns', name, data, {}, options);
+    }
+
+    // Off-thread StrategyImplementations.analyzeMarket: signals of the
+    // active strategies on the last bar
+    async analyzeMarket(data, options = {}) {
+        const names = Array.from(strategyImplementations.activeStrategies);
+        const results = await Promise.all(names.map(async name => {
+            try {
+                const settings = strategyImplementations.getSettings(name);
+                const signal = await this.run('strategy', name, data, settings, { ...options, tag: null });
+                return signal ? { strategy: name, ...signal } : null;
+            } catch (error) {
+                if (error.code === 'REQUEST_CANCELLED') throw error;
+                console.error(`Error in strategy ${name}:`, error);
+                return null;
+            }
+        }));
+
+        const signals = results.filter(Boolean);
+        if (signals.length > 0) {
+            strategyImplementations.notifySubscribers(signals);
+        }
+        return signals;
+    }
+
+    cancel(id) {
+        const job = this.pending.get(id);
+        if (!job) return;
+
+        this.finish(job);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'cancel', id });
+        }
+        job.reject(this.cancelledError());
+    }
+
+    // Forget a dataset (e.g. when its chart is closed)
+    dropData(key) {
+        this.datasets.delete(key);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'drop', key });
+        }
+    }
+
+    // Mirror `data` into the worker; returns its version
+    syncData(key, data, series = null) {
+        const state = this.datasets.get(key);
+        const lastBar = data.length > 0 ? data[data.length - 1] : null;
+        const appended = state && state.series === series &&
+            state.length > 0 && data.length >= state.length &&
+            data[0].time === state.firstTime &&
+            data[state.length - 1].time === state.lastBar.time;
+
+        if (appended) {
+            const from = state.length - 1;
+            if (data.length === state.length && this.isSameBar(lastBar, state.lastBar)) {
+                return state.version;
+            }
+            this.post({ type: 'append', key, from, bars: data.slice(from) });
+        } else {
+            if (state && state.series === series && state.length === 0 && data.length === 0) {
+                return state.version;
+            }
+            this.post({ type: 'data', key, data });
+        }
+
+        const version = this.nextVersion++; // Never reused, even for dropped keys
+        this.datasets.set(key, {
+            version,
+            series,
+            length: data.length,
+            firstTime: data.length > 0 ? data[0].time : null,
+            lastBar: lastBar ? { ...lastBar } : null
+        });
+        return version;
+    }
+
+    isSameBar(a, b) {
+        return a.time === b.time && a.open === b.open && a.high === b.high &&
+            a.low === b.low && a.close === b.close && a.volume === b.volume;
+    }
+
+    post(message) {
+        const worker = this.getWorker();
+        if (worker) {
+            worker.postMessage(message);
+        }
+    }
+
+    // Computes on a copy of the bars taken now, not on the caller's array as
+    // it changes before the job runs (the worker keeps its own snapshot)
+    runInline(job) {
+        const data = job.data.slice();
+        setTimeout(async () => {
+            if (!this.pending.has(job.id)) return;
+            try {
+                this.resolveJob(job, await runJob(job.kind, data, job.name, job.params));
+            } catch (error) {
+                this.rejectJob(job, error);
+            }
+        }, 0);
+    }
+
+    handleMessage({ type, id, result, error }) {
+        const job = this.pending.get(id);
+        if (!job) return; // Cancelled meanwhile
+
+        if (type === 'result') {
+            this.resolveJob(job, result);
+        } else if (error.code === 'UNKNOWN_STRATEGY') {
+            // Strategies added at runtime only exist on the main thread
+            this.runInline(job);
+        } else {
+            this.rejectJob(job, new MarketAnalysisError(error.message, error.code, error.details));
+        }
+    }
+
+    // The worker failed to load or crashed: compute on the main thread from now on
+    handleWorkerError(event) {
+        event.preventDefault();
+        console.warn('Compute worker failed, computing on the main thread:', event.message);
+
+        this.worker.terminate();
+        this.worker = null;
+        this.workerFailed = true;
+        this.pending.forEach(job => this.runInline(job));
+    }
+
+    resolveJob(job, result) {
+        this.finish(job);
+        this.cache.set(job.cacheKey, result);
+        if (this.cache.size > config.compute.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        job.resolve(result);
+    }
+
+    rejectJob(job, error) {
+        this.finish(job);
+        job.reject(error);
+    }
+
+    finish(job) {
+        this.pending.delete(job.id);
+        if (job.tag !== null && this.tags.get(job.tag) === job.id) {
+            this.tags.delete(job.tag);
+        }
+    }
+
+    cancelledError() {
+        return new MarketAnalysisError('Computation cancelled', 'REQUEST_CANCELLED');
+    }
+}
+
+// Create and export singleton instance
+const computeService = new ComputeService();
+export default computeService;
@@ -0,0 +1,51 @@
+import { MarketAnalysisError } from '../../utils/helpers.js';
+import { StreamingIndicator, calculateIndicator } from '../../components/Indicators/streaming.js';
+import patternDetection from '../../components/Strategies/patterns.js';
+import strategyImplementations from '../../components/Strategies/implementations.js';
+
+// Job handlers shared by the compute worker and the main-thread fallback.
+// Every handler is a pure function of the dataset and the job parameters,
+// which is what makes results cacheable per dataset version.
+
+strategyImplementations.initialize();
+
+const PATTERNS = {
+    candlestick: data => patternDetection.detectCandlestickPatterns(data)
+};
+
+const JOBS = {
+    indicator(data, name, params) {
+        return calculateIndicator(name, data, params);
+    },
+
+    // Indicator values plus the streaming state to continue them from
+    seed(data, name, params) {
+        const indicator = new StreamingIndicator(name, params);
+        return { result: indicator.calculate(data), state: indicator.getState() };
+    },
+
+    patterns(data, name) {
+        const detect = PATTERNS[name];
+        if (!detect) {
+            throw new MarketAnalysisError(`Unknown pattern set: ${name}`, 'UNKNOWN_PATTERN', { name });
+        }
+        return detect(data);
+    },
+
+    // Signal of one strategy on the last bar (`params`: its settings)
+    strategy(data, name, params) {
+        const strategy = strategyImplementations.strategies.get(name);
+        if (!strategy) {
+            throw new MarketAnalysisError(`Unknown strategy: ${name}`, 'UNKNOWN_STRATEGY', { name });
+        }
+        return strategy.call(strategyImplementations, data, { ...strategyImplementations.getSettings(name), ...params });
+    }
+};
+
+export async function runJob(kind, data, name, params = {}) {
+    const handler = JOBS[kind];
+    if (!handler) {
+        throw new MarketAnalysisError(`Unknown compute job: ${kind}`, 'UNKNOWN_JOB', { kind });
+    }
+    return handler(data, name, params);
+}
@@ -0,0 +1,72 @@
+import { runJob } from './jobs.js';
+
+// Compute worker. Messages from the compute service:
+//   { type: 'data', key, data }         replace a dataset
+//   { type: 'append', key, from, bars } replace a dataset from index `from` on
+//   { type: 'drop', key }               forget a dataset
+//   { type: 'job', id, key, kind, name, params }
+//   { type: 'cancel', id }
+// Replies are { type: 'result', id, result } or { type: 'error', id, error }.
+//
+// A job computes on the dataset as it was when the job arrived, the
+// version its result is cached under: an append arriving while the job is
+// queued copies the bars instead of changing them in place.
+
+const datasets = new Map(); // key -> { data, shared: whether a queued job holds data }
+const queue = [];
+let scheduled = false;
+
+// One job per task, so cancellations sent meanwhile are seen before the next job starts
+function schedule() {
+    if (scheduled || queue.length === 0) return;
+    scheduled = true;
+    setTimeout(runNext, 0);
+}
+
+async function runNext() {
+    scheduled = false;
+    const job = queue.shift();
+
+    try {
+        const result = await runJob(job.kind, job.data, job.name, job.params);
+        self.postMessage({ type: 'result', id: job.id, result });
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            id: job.id,
+            error: { message: error.message, code: error.code, details: error.details }
+        });
+    }
+
+    schedule();
+}
+
+self.addEventListener('message', ({ data: message }) => {
+    switch (message.type) {
+        case 'data':
+            datasets.set(message.key, { data: message.data, shared: false });
+            break;
+        case 'append': {
+            const dataset = datasets.get(message.key);
+            const data = !dataset ? [] : dataset.shared ? dataset.data.slice() : dataset.data;
+            data.splice(message.from, data.length - message.from, ...message.bars);
+            datasets.set(message.key, { data, shared: false });
+            break;
+        }
+        case 'drop':
+            datasets.delete(message.key);
+            break;
+        case 'job': {
+            const dataset = datasets.get(message.key);
+            if (dataset) dataset.shared = true;
+            queue.push({ ...message, data: dataset ? dataset.data : [] });
+            schedule();
+            break;
+        }
+        case 'cancel': {
+            const index = queue.findIndex(job => job.id === message.id);
+            if (index !== -1) queue.splice(index, 1);
+            break;
+        }
+    }
+});
@@ -0,0 +1,85 @@
+import marketProvider from './providers/index.js';
+
+// Tracks whether live data is available. The app is `online` when the
+// browser has network and the provider is connected, `offline` without
+// network, and `reconnecting` while the provider is trying to get back.
+// Anything but `online` means the chart runs on cached data.
+class ConnectionStatus {
+    constructor() {
+        this.networkOnline = typeof navigator === 'undefined' ? true : navigator.onLine;
+        this.providerConnected = false;
+        this.state = null;
+        this.listeners = new Set();
+        this.initialized = false;
+    }
+
+    initialize() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        this.providerConnected = marketProvider.isConnected;
+        marketProvider.addListener('connect', () => this.setProviderConnected(true));
+        marketProvider.addListener('disconnect', () => this.setProviderConnected(false));
+
+        window.addEventListener('online', () => this.setNetworkOnline(true));
+        window.addEventListener('offline', () => this.setNetworkOnline(false));
+
+        this.update();
+    }
+
+    setNetworkOnline(online) {
+        if (this.networkOnline === online) return;
+        this.networkOnline = online;
+
+        // Don't wait out the reconnect backoff once the network is back
+        if (online && !marketProvider.isConnected) {
+            marketProvider.reconnect();
+        }
+        this.update();
+    }
+
+    setProviderConnected(connected) {
+        this.providerConnected = connected;
+        this.update();
+    }
+
+    getState() {
+        if (!this.networkOnline) return 'offline';
+        return this.providerConnected ? 'online' : 'reconnecting';
+    }
+
+    isOffline() {
+        return this.getState() !== 'online';
+    }
+
+    update() {
+        const state = this.getState();
+        if (state === this.state) return;
+
+        const previous = this.state;
+        this.state = state;
+        this.notifyListeners({ state, previous });
+    }
+
+    addListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    removeListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    notifyListeners(event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Error in connection status listener:', error);
+            }
+        });
+    }
+}
+
+// Create and export singleton instance
+const connectionStatus = new ConnectionStatus();
+export default connectionStatus;
@@ -0,0 +1,254 @@
+import config from '../config.js';
+import { MarketAnalysisError } from '../utils/helpers.js';
+
+// Issue types; errors make a series unusable as is, warnings are suspicious
+const ISSUE_SEVERITY = {
+    nan: 'error',
+    invalid_ohlc: 'error',
+    duplicate: 'error',
+    out_of_order: 'error',
+    missing_bar: 'warning',
+    spike: 'warning'
+};
+
+const REPAIR_POLICIES = ['drop', 'forward-fill', 'mark'];
+
+// Report -> { time, types } of the streamed candle whose issues were last recorded
+const liveIssues = new WeakMap();
+
+// Validates candle series and repairs them by policy:
+//  - drop: remove bad candles, leave gaps as they are
+//  - forward-fill: replace bad candles and fill gaps with flat candles at
+//    the previous close (volume 0)
+//  - mark: keep values and tag candles with their issues (`candle.quality`)
+// Every policy sorts the series and keeps the last of duplicate timestamps,
+// and NaN candles are always removed since they can't be drawn or computed on.
+class DataQualityValidator {
+    // Check a series. `options.interval` (seconds) enables missing bar
+    // detection; leave it out for tick series.
+    validate(candles, options = {}) {
+        const report = this.createReport(candles.length);
+
+        // Order problems only show in the series as received
+        for (let i = 1; i < candles.length; i++) {
+            const previous = candles[i - 1].time;
+            if (candles[i].time === previous) {
+                this.addIssue(report, 'duplicate', candles[i].time, 'Duplicate timestamp');
+            } else if (candles[i].time < previous) {
+                this.addIssue(report, 'out_of_order', candles[i].time, `Timestamp before the previous one (${previous})`);
+            }
+        }
+
+        this.inspectSeries(this.sortUnique(candles), options).forEach(({ candle, issues }) => {
+            issues.forEach(({ type, message }) => this.addIssue(report, type, candle.time, message));
+        });
+
+        report.ok = report.errors === 0;
+        return report;
+    }
+
+    // Validate and repair; returns { candles, report } where the report
+    // describes the series before repair
+    repair(candles, policy = config.dataQuality.policy, options = {}) {
+        if (!REPAIR_POLICIES.includes(policy)) {
+            throw new MarketAnalysisError(`Unknown repair policy: ${policy}`, 'INVALID_REPAIR_POLICY', { policy });
+        }
+
+        const report = this.validate(candles, options);
+        report.policy = policy;
+        if (report.errors === 0 && report.warnings === 0) {
+            return { candles, report };
+        }
+
+        const repaired = [];
+        this.inspectSeries(this.sortUnique(candles), options).forEach(({ candle, issues, missingBefore }) => {
+            const types = issues.map(issue => issue.type);
+            const problems = types.filter(type => type !== 'missing_bar');
+
+            if (policy === 'forward-fill' && missingBefore > 0 && repaired.length > 0) {
+                const { close } = repaired[repaired.length - 1];
+                const fill = Math.min(missingBefore, config.dataQuality.maxFillBars);
+                for (let n = fill; n > 0; n--) {
+                    repaired.push(this.createFlatCandle(candle.time - n * options.interval, close, ['missing_bar']));
+                }
+            }
+
+            if (problems.length === 0) {
+                repaired.push(policy === 'mark' && types.length > 0 ? { ...candle, quality: types } : candle);
+            } else if (policy === 'mark' && !problems.includes('nan')) {
+                repaired.push({ ...candle, quality: types });
+            } else if (policy === 'forward-fill' && repaired.length > 0) {
+                repaired.push(this.createFlatCandle(candle.time, repaired[repaired.length - 1].close, problems));
+            }
+            // Anything else is dropped
+        });
+
+        report.repaired = repaired.length;
+        return { candles: repaired, report };
+    }
+
+    // Check a streamed candle by the rules of the batch check: `recent` holds
+    // the candles before it (the last `spikeWindow` + 1 are enough for the
+    // spike reference) and `options.interval` enables missing bar detection.
+    // Returns the candles to store: flat fills for missing bars before it
+    // (forward-fill), then the candle, possibly repaired or marked; none to
+    // drop it. Issues are recorded in `report` when given, once per candle
+    // however often its forming updates repeat them.
+    repairCandle(candle, recent = [], policy = config.dataQuality.policy, report = null, options = {}) {
+        const inspected = this.inspectSeries([...recent, candle], options);
+        const { issues, missingBefore } = inspected[inspected.length - 1];
+        if (issues.length === 0) return [candle];
+
+        const types = issues.map(issue => issue.type);
+        if (report) {
+            this.addLiveIssues(report, candle.time, issues);
+        }
+
+        const previous = recent[recent.length - 1];
+        const fills = [];
+        if (policy === 'forward-fill' && missingBefore > 0 && previous) {
+            const fill = Math.min(missingBefore, config.dataQuality.maxFillBars);
+            for (let n = fill; n > 0; n--) {
+                fills.push(this.createFlatCandle(candle.time - n * options.interval, previous.close, ['missing_bar']));
+            }
+        }
+
+        const problems = types.filter(type => type !== 'missing_bar');
+        if (problems.length === 0) {
+            return [...fills, policy === 'mark' ? { ...candle, quality: types } : candle];
+        }
+        if (policy === 'mark' && !problems.includes('nan')) {
+            return [{ ...candle, quality: types }];
+        }
+        if (policy === 'forward-fill' && previous) {
+            return [...fills, this.createFlatCandle(candle.time, previous.close, problems)];
+        }
+        return [];
+    }
+
+    addLiveIssues(report, time, issues) {
+        const reported = liveIssues.get(report);
+        const seen = reported && reported.time === time ? reported.types : new Set();
+        liveIssues.set(report, { time, types: seen });
+
+        issues.filter(({ type }) => !seen.has(type)).forEach(({ type, message }) => {
+            seen.add(type);
+            this.addIssue(report, type, time, message);
+        });
+        report.ok = report.errors === 0;
+    }
+
+    // Per-candle content checks over a sorted series
+    inspectSeries(candles, options = {}) {
+        const { interval = null } = options;
+        const window = config.dataQuality.spikeWindow;
+        const changes = []; // Recent absolute close-to-close changes
+        let changeSum = 0;
+        let previous = null; // Last sound candle, the reference for spikes
+        let previousTime = null;
+
+        return candles.map(candle => {
+            const issues = [];
+            let missingBefore = 0;
+
+            if (interval && previousTime !== null && candle.time - previousTime > interval) {
+                missingBefore = Math.round((candle.time - previousTime) / interval) - 1;
+                if (missingBefore > 0) {
+                    issues.push({ type: 'missing_bar', message: `${missingBefore} missing bar(s) before this candle` });
+                }
+            }
+            previousTime = candle.time;
+
+            const prices = [candle.open, candle.high, candle.low, candle.close];
+            if (prices.some(price => typeof price !== 'number' || !Number.isFinite(price))) {
+                issues.push({ type: 'nan', message: 'Price is NaN or missing' });
+                return { candle, issues, missingBefore };
+            }
+
+            if (candle.high < Math.max(candle.open, candle.close) ||
+                Math.min(candle.open, candle.close) < candle.low) {
+                issues.push({ type: 'invalid_ohlc', message: 'High/low do not contain open and close' });
+            }
+
+            if (previous) {
+                // A move far beyond the recent average move is a spike
+                const change = Math.abs(candle.close - previous.close);
+                if (changes.length >= Math.min(window, 10)) {
+                    const average = changeSum / changes.length;
+                    if (average > 0 && change > average * config.dataQuality.spikeThreshold) {
+                        issues.push({ type: 'spike', message: `Close moved ${(change / average).toFixed(1)}x the recent average` });
+                    }
+                }
+
+                changes.push(change);
+                changeSum += change;
+                if (changes.length > window) {
+                    changeSum -= changes.shift();
+                }
+            }
+
+            // Spikes and broken candles shouldn't become the reference for the next one
+            if (!issues.some(issue => issue.type === 'spike' || issue.type === 'invalid_ohlc')) {
+                previous = candle;
+            }
+
+            return { candle, issues, missingBefore };
+        });
+    }
+
+    sortUnique(candles) {
+        const byTime = new Map();
+        candles.forEach(candle => byTime.set(candle.time, candle));
+        return Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+    }
+
+    createFlatCandle(time, price, quality) {
+        return {
+            time,
+            open: price,
+            high: price,
+            low: price,
+            close: price,
+            volume: 0,
+            quality
+        };
+    }
+
+    createReport(total) {
+        return {
+            total,
+            ok: true,
+            errors: 0,
+            warnings: 0,
+            counts: Object.fromEntries(Object.keys(ISSUE_SEVERITY).map(type => [type, 0])),
+            issues: [], // First `config.dataQuality.maxIssues` issues
+            checkedAt: Date.now()
+        };
+    }
+
+    addIssue(report, type, time, message) {
+        const severity = ISSUE_SEVERITY[type];
+        report.counts[type]++;
+        report[severity === 'error' ? 'errors' : 'warnings']++;
+
+        if (report.issues.length < config.dataQuality.maxIssues) {
+            report.issues.push({ type, severity, time, message });
+        }
+    }
+
+    // One-line summary for the UI, e.g. '2 errors, 5 warnings (3 spike, ...)'
+    summarize(report) {
+        if (!report) return '--';
+        if (report.errors === 0 && report.warnings === 0) return 'OK';
+
+        const details = Object.entries(report.counts)
+            .filter(([, count]) => count > 0)
+            .map(([type, count]) => `${count} ${type.replace(/_/g, ' ')}`)
+            .join(', ');
+        return `${report.errors} errors, ${report.warnings} warnings (${details})`;
+    }
+}
+
+// Create and export singleton instance
+const dataQualityValidator = new DataQualityValidator();
+export default dataQualityValidator;
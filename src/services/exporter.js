@@ -0,0 +1,209 @@
+import config from '../config.js';
+import { MarketAnalysisError, timeZones } from '../utils/helpers.js';
+import strategyImplementations from '../components/Strategies/implementations.js';
+import patternDetection from '../components/Strategies/patterns.js';
+
+const CANDLE_COLUMNS = ['time', 'datetime', 'open', 'high', 'low', 'close', 'volume'];
+const PATTERN_WINDOW = 5; // Candles pattern detection needs to look at
+
+// Exports a candle series with indicator values, strategy signals and
+// detected patterns aligned by candle time, as CSV or JSON.
+class DataExporter {
+    // Build the export table. Indicators are calculated over the full series
+    // so their warm-up is right, then rows are limited to `range`
+    // ({ from, to } epoch seconds, inclusive).
+    async buildTable(candles, options = {}) {
+        const {
+            range = null,
+            timezone = 'UTC',
+            indicators = [],
+            includeSignals = true,
+            includePatterns = true
+        } = options;
+
+        const columns = [...CANDLE_COLUMNS];
+        const values = new Map(); // time -> { column: value }
+        const setValue = (time, column, value) => {
+            if (!values.has(time)) values.set(time, {});
+            values.get(time)[column] = value;
+        };
+        // Several signals or patterns on one candle share a cell
+        const appendValue = (time, column, value) => {
+            const existing = values.has(time) ? values.get(time)[column] : undefined;
+            setValue(time, column, existing ? `${existing}|${value}` : value);
+        };
+
+        indicators.forEach(indicator => {
+            this.flattenIndicator(indicator, columns).forEach(({ column, points }) => {
+                points.forEach(point => setValue(point.time, column, point.value));
+            });
+        });
+
+        const inRange = candle => !range || (candle.time >= range.from && candle.time <= range.to);
+
+        if (includeSignals) {
+            columns.push('signal', 'signal_strategy', 'signal_reason');
+            const signals = await this.collectSignals(candles, inRange);
+            signals.forEach(signal => {
+                appendValue(signal.time, 'signal', signal.type);
+                appendValue(signal.time, 'signal_strategy', signal.strategy);
+                appendValue(signal.time, 'signal_reason', signal.reason);
+            });
+        }
+
+        if (includePatterns) {
+            columns.push('pattern');
+            this.collectPatterns(candles, inRange).forEach(pattern => {
+                appendValue(pattern.time, 'pattern', pattern.type);
+            });
+        }
+
+        const rows = candles.filter(inRange).map(candle => ({
+            time: candle.time,
+            datetime: timeZones.format(candle.time, timezone),
+            open: candle.open,
+            high: candle.high,
+            low: candle.low,
+            close: candle.close,
+            volume: candle.volume ?? null,
+            ...values.get(candle.time)
+        }));
+
+        return { columns, rows };
+    }
+
+    // Indicator results come as arrays of { time, value }, arrays of
+    // { time, field... } (TechnicalIndicators) or objects of arrays
+    // (ChartIndicators). Each output becomes one column.
+    flattenIndicator(indicator, columns) {
+        const label = this.getIndicatorLabel(indicator, columns);
+        const { result } = indicator;
+        const outputs = [];
+
+        if (Array.isArray(result)) {
+            const fields = result.length > 0 ?
+                Object.keys(result[0]).filter(key => key !== 'time') :
+                [];
+
+            if (fields.length === 1 && fields[0] === 'value') {
+                outputs.push({ column: label, points: result });
+            } else {
+                fields.forEach(field => outputs.push({
+                    column: `${label}_${field}`,
+                    points: result.map(point => ({ time: point.time, value: point[field] }))
+                }));
+            }
+        } else if (result) {
+            Object.entries(result).forEach(([name, points]) => {
+                if (Array.isArray(points)) {
+                    outputs.push({ column: `${label}_${name}`, points });
+                }
+            });
+        }
+
+        outputs.forEach(({ column }) => columns.push(column));
+        return outputs;
+    }
+
+    // e.g. 'sma_20'; repeated labels get a counter
+    getIndicatorLabel(indicator, columns) {
+        const { period } = indicator.params || {};
+        const base = period ? `${indicator.id}_${period}` : indicator.id;
+
+        let label = base;
+        for (let n = 2; columns.some(column => column === label || column.startsWith(`${label}_`)); n++) {
+            label = `${base}_${n}`;
+        }
+        return label;
+    }
+
+    // Replay the active strategies bar by bar over a trailing window
+    async collectSignals(candles, inRange) {
+        const signals = [];
+        const lookback = config.export.signalLookback;
+
+        for (const name of strategyImplementations.activeStrategies) {
+            const strategy = strategyImplementations.strategies.get(name);
+            if (!strategy) continue;
+
+            for (let i = 0; i < candles.length; i++) {
+                if (!inRange(candles[i])) continue;
+
+                try {
+                    const window = candles.slice(Math.max(0, i - lookback + 1), i + 1);
+                    const signal = await strategy.call(strategyImplementations, window);
+                    if (signal) {
+                        signals.push({ ...signal, strategy: name, time: candles[i].time });
+                    }
+                } catch (error) {
+                    console.error(`Error replaying strategy ${name}:`, error);
+                    break;
+                }
+            }
+        }
+
+        return signals;
+    }
+
+    collectPatterns(candles, inRange) {
+        const patterns = [];
+
+        for (let i = PATTERN_WINDOW - 1; i < candles.length; i++) {
+            if (!inRange(candles[i])) continue;
+            patterns.push(...patternDetection.detectCandlestickPatterns(candles.slice(i - PATTERN_WINDOW + 1, i + 1)));
+        }
+
+        return patterns;
+    }
+
+    toCSV({ columns, rows }) {
+        const escape = value => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            columns.join(','),
+            ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+        ].join('\n');
+    }
+
+    toJSON(table, meta) {
+        return JSON.stringify({ ...meta, columns: table.columns, rows: table.rows }, null, 2);
+    }
+
+    // Build the export and return { content, filename, mimeType }
+    async exportSeries(candles, options = {}) {
+        const { symbol = 'data', timeframe = '', format = 'csv', range = null, timezone = 'UTC' } = options;
+
+        if (!['csv', 'json'].includes(format)) {
+            throw new MarketAnalysisError(`Unsupported export format: ${format}`, 'EXPORT_INVALID_FORMAT', { format });
+        }
+        if (candles.length === 0) {
+            throw new MarketAnalysisError('No data to export', 'EXPORT_NO_DATA', { symbol, timeframe });
+        }
+
+        const table = await this.buildTable(candles, options);
+        const filename = `${symbol.replace(/[^\w.-]+/g, '_')}_${timeframe}_${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        return format === 'csv' ?
+            { content: this.toCSV(table), filename, mimeType: 'text/csv' } :
+            { content: this.toJSON(table, { symbol, timeframe, timezone, range }), filename, mimeType: 'application/json' };
+    }
+
+    download({ content, filename, mimeType }) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Create and export singleton instance
+const dataExporter = new DataExporter();
+export default dataExporter;
@@ -0,0 +1,417 @@
+import config from '../config.js';
+import { MarketAnalysisError, timeframes, timeZones, validate } from '../utils/helpers.js';
+import marketDataService from './marketData.js';
+
+const SYMBOL_PREFIX = 'import:';
+
+// Column names recognised when mapping a file automatically
+const COLUMN_ALIASES = {
+    time: ['time', 'timestamp', 'date', 'datetime', 'date_time', 'epoch', 'ts', 't'],
+    open: ['open', 'o', 'open_price'],
+    high: ['high', 'h', 'high_price'],
+    low: ['low', 'l', 'low_price'],
+    close: ['close', 'c', 'close_price', 'price', 'quote', 'last'],
+    volume: ['volume', 'vol', 'v', 'tick_volume', 'ticks']
+};
+
+const FIELDS = ['time', 'open', 'high', 'low', 'close', 'volume'];
+const MAX_REPORTED_ERRORS = 100;
+
+// Imports OHLCV files (CSV or JSON) as pseudo-symbols (`import:<name>`).
+// Imported candles are stored in the market data service under the
+// pseudo-symbol, so the chart, indicators, pattern detection and the
+// backtester read them like any live symbol.
+class DataImporter {
+    constructor() {
+        this.datasets = new Map(); // Pseudo-symbol -> { symbol, name, timeframe, candles, aggregated, report }
+        this.listeners = new Set();
+    }
+
+    // Read a file and detect its format and column mapping. The result is
+    // handed back (possibly with an edited mapping) to `buildCandles`.
+    async parseFile(file) {
+        const text = await file.text();
+        const isJSON = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text);
+        const parsed = isJSON ? this.parseJSON(text) : this.parseCSV(text);
+
+        return {
+            ...parsed,
+            name: file.name.replace(/\.[^.]+$/, ''),
+            format: isJSON ? 'json' : 'csv',
+            mapping: this.detectColumnMapping(parsed.columns),
+            timestampFormat: null
+        };
+    }
+
+    parseCSV(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length === 0) {
+            throw new MarketAnalysisError('The file is empty', 'IMPORT_EMPTY_FILE');
+        }
+
+        const delimiter = this.detectDelimiter(lines[0]);
+        const records = lines.map(line => this.splitCSVLine(line, delimiter));
+
+        // A first row without any numbers is a header
+        const hasHeader = records[0].every(value => value === '' || isNaN(Number(value)));
+        const columns = hasHeader ?
+            records[0].map(column => column.trim()) :
+            records[0].map((_, index) => `column${index + 1}`);
+
+        return {
+            columns,
+            rows: hasHeader ? records.slice(1) : records,
+            hasHeader
+        };
+    }
+
+    detectDelimiter(line) {
+        const candidates = [',', ';', '\t', '|'];
+        return candidates.reduce((best, delimiter) =>
+            line.split(delimiter).length > line.split(best).length ? delimiter : best
+        );
+    }
+
+    splitCSVLine(line, delimiter) {
+        const values = [];
+        let value = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                values.push(value.trim());
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        values.push(value.trim());
+
+        return values;
+    }
+
+    // Accepts an array of objects or arrays, `{ candles: [...] }` / `{ data: [...] }`
+    // wrappers, and the API's `{ history: { times, prices } }` tick format
+    parseJSON(text) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            throw new MarketAnalysisError('Invalid JSON file', 'IMPORT_INVALID_JSON', { error: error.message });
+        }
+
+        if (json && json.history && Array.isArray(json.history.times)) {
+            return {
+                columns: ['time', 'close'],
+                rows: json.history.times.map((time, index) => [time, json.history.prices[index]]),
+                hasHeader: true
+            };
+        }
+
+        const records = Array.isArray(json) ? json : (json && (json.candles || json.data));
+        if (!Array.isArray(records) || records.length === 0) {
+            throw new MarketAnalysisError('No candles found in JSON file', 'IMPORT_EMPTY_FILE');
+        }
+
+        if (Array.isArray(records[0])) {
+            return {
+                columns: records[0].map((_, index) => `column${index + 1}`),
+                rows: records,
+                hasHeader: false
+            };
+        }
+
+        const columns = Array.from(new Set(records.slice(0, 100).flatMap(record => Object.keys(record))));
+        return {
+            columns,
+            rows: records.map(record => columns.map(column => record[column])),
+            hasHeader: true
+        };
+    }
+
+    // Map fields to column indexes by name, falling back to the usual
+    // time, open, high, low, close, volume order for files without a header
+    detectColumnMapping(columns) {
+        const normalized = columns.map(column => String(column).toLowerCase().replace(/[\s-]+/g, '_'));
+        const mapping = {};
+
+        FIELDS.forEach(field => {
+            const index = normalized.findIndex(column => COLUMN_ALIASES[field].includes(column));
+            if (index !== -1) {
+                mapping[field] = index;
+            }
+        });
+
+        if (mapping.time === undefined && mapping.close === undefined) {
+            FIELDS.slice(0, columns.length).forEach((field, index) => {
+                mapping[field] = index;
+            });
+        }
+
+        return mapping;
+    }
+
+    // 'epoch_s', 'epoch_ms' or 'iso', judged from the first values of the time column
+    detectTimestampFormat(values) {
+        const samples = values.filter(value => value !== undefined && value !== null && value !== '').slice(0, 20);
+        if (samples.length === 0) return null;
+
+        const numeric = samples.every(value => validate.isNumber(Number(value)));
+        if (!numeric) return 'iso';
+
+        // Epoch seconds stay below 1e11 until the year 5138
+        return samples.some(value => Math.abs(Number(value)) >= 1e11) ? 'epoch_ms' : 'epoch_s';
+    }
+
+    // Time strings carrying an offset ('Z', '+02:00') are absolute; others
+    // are read in `timezone` ('UTC', 'local' or an IANA name)
+    detectTimeZone(values) {
+        const samples = values.filter(value => typeof value === 'string').slice(0, 20);
+        return samples.length > 0 && samples.every(value => /(Z|[+-]\d{2}:?\d{2})$/i.test(value.trim())) ?
+            'embedded' :
+            null;
+    }
+
+    // Epoch seconds for a timestamp, or NaN when it can't be read
+    parseTimestamp(value, format, timezone = 'UTC') {
+        if (format === 'epoch_s') return Math.floor(Number(value));
+        if (format === 'epoch_ms') return Math.floor(Number(value) / 1000);
+
+        const text = String(value).trim();
+        if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+            return Math.floor(Date.parse(text.replace(' ', 'T')) / 1000);
+        }
+
+        const match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/);
+        if (!match) return NaN;
+
+        const [, year, month, day, hour, minute, second] = match.map(part => Number(part || 0));
+        if (timezone === 'local') {
+            return Math.floor(new Date(year, month - 1, day, hour, minute, second).getTime() / 1000);
+        }
+
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+        if (timezone === 'UTC') return Math.floor(wallClock / 1000);
+
+        // Shift by the zone's offset at that moment; the second pass settles
+        // times close to a DST change
+        let utc = wallClock - timeZones.getOffset(wallClock, timezone);
+        utc = wallClock - timeZones.getOffset(utc, timezone);
+        return Math.floor(utc / 1000);
+    }
+
+    // Turn parsed rows into sorted candles. Invalid rows are skipped and
+    // reported; for duplicate times the last row wins. Files with only a
+    // price column become flat candles (e.g. tick exports).
+    buildCandles(parsed, options = {}) {
+        const mapping = options.mapping || parsed.mapping;
+        const timezone = options.timezone || 'UTC';
+
+        if (mapping.time === undefined || mapping.close === undefined) {
+            throw new MarketAnalysisError(
+                'Time and close columns must be mapped',
+                'IMPORT_INVALID_MAPPING',
+                { mapping }
+            );
+        }
+
+        const timeValues = parsed.rows.map(row => row[mapping.time]);
+        const timestampFormat = options.timestampFormat || parsed.timestampFormat || this.detectTimestampFormat(timeValues);
+
+        const errors = [];
+        const byTime = new Map();
+        let invalidRows = 0;
+
+        parsed.rows.forEach((row, index) => {
+            // Report rows as numbered in the file
+            const line = index + (parsed.hasHeader ? 2 : 1);
+            const read = field => mapping[field] === undefined ? undefined : parseFloat(row[mapping[field]]);
+
+            const time = this.parseTimestamp(row[mapping.time], timestampFormat, timezone);
+            const close = read('close');
+            const candle = {
+                time,
+                open: read('open') ?? close,
+                high: read('high') ?? close,
+                low: read('low') ?? close,
+                close
+            };
+            const volume = read('volume');
+            if (volume !== undefined) {
+                candle.volume = volume;
+            }
+
+            const error = this.validateCandle(candle);
+            if (error) {
+                invalidRows++;
+                if (errors.length < MAX_REPORTED_ERRORS) {
+                    errors.push({ line, message: error });
+                }
+                return;
+            }
+
+            byTime.set(candle.time, candle);
+        });
+
+        const candles = Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+
+        return {
+            candles,
+            report: {
+                rows: parsed.rows.length,
+                imported: candles.length,
+                invalidRows,
+                duplicates: parsed.rows.length - invalidRows - candles.length,
+                timestampFormat,
+                timezone,
+                errors
+            }
+        };
+    }
+
+    validateCandle(candle) {
+        if (!validate.isValidTimestamp(candle.time)) return 'Invalid timestamp';
+
+        const prices = [candle.open, candle.high, candle.low, candle.close];
+        if (!prices.every(validate.isNumber)) return 'Missing or non-numeric price';
+        if (candle.volume !== undefined && !validate.isNumber(candle.volume)) return 'Non-numeric volume';
+
+        if (candle.high < Math.max(candle.open, candle.close, candle.low)) return 'High is below open, close or low';
+        if (candle.low > Math.min(candle.open, candle.close)) return 'Low is above open or close';
+        return null;
+    }
+
+    // Timeframe name from the typical spacing of the candles; sub-minute
+    // spacing is treated as ticks
+    detectTimeframe(candles) {
+        if (candles.length < 2) return config.chart.defaultTimeframe;
+
+        const gaps = candles.slice(1).map((candle, index) => candle.time - candles[index].time).sort((a, b) => a - b);
+        const spacing = gaps[Math.floor(gaps.length / 2)];
+
+        const configured = Object.entries(config.timeframes).find(([, seconds]) => seconds === spacing);
+        if (configured) return configured[0];
+
+        if (spacing < 60) return timeframes.TICK;
+        if (spacing % 86400 === 0) return `${spacing / 86400}d`;
+        if (spacing % 3600 === 0) return `${spacing / 3600}h`;
+        return `${Math.round(spacing / 60)}m`;
+    }
+
+    async importFile(file, options = {}) {
+        const parsed = await this.parseFile(file);
+        const { candles, report } = this.buildCandles(parsed, options);
+        return this.registerDataset(options.name || parsed.name, candles, { ...options, report });
+    }
+
+    registerDataset(name, candles, options = {}) {
+        if (candles.length === 0) {
+            throw new MarketAnalysisError('No valid candles to import', 'IMPORT_NO_DATA', { name, report: options.report });
+        }
+
+        const symbol = this.getSymbol(name);
+        const timeframe = options.timeframe || this.detectTimeframe(candles);
+        const dataset = {
+            symbol,
+            name,
+            timeframe,
+            candles,
+            aggregated: new Map(), // Timeframe -> candles aggregated from the import
+            report: options.report || null
+        };
+
+        this.datasets.set(symbol, dataset);
+        marketDataService.setData(symbol, timeframe, candles);
+        this.notifyListeners({ type: 'register', dataset });
+
+        return dataset;
+    }
+
+    removeDataset(symbol) {
+        const dataset = this.datasets.get(symbol);
+        if (!dataset) return false;
+
+        this.datasets.delete(symbol);
+        this.notifyListeners({ type: 'remove', dataset });
+        return true;
+    }
+
+    getSymbol(name) {
+        const slug = String(name).trim().toLowerCase().replace(/[^a-z0-9_.]+/g, '_');
+        return `${SYMBOL_PREFIX}${slug}`;
+    }
+
+    isImportedSymbol(symbol) {
+        return typeof symbol === 'string' && symbol.startsWith(SYMBOL_PREFIX);
+    }
+
+    getDataset(symbol) {
+        return this.datasets.get(symbol) || null;
+    }
+
+    getDatasets() {
+        return Array.from(this.datasets.values());
+    }
+
+    // Candles of an imported symbol in its own timeframe or any timeframe
+    // that can be aggregated from it
+    getCandles(symbol, timeframe = null) {
+        const dataset = this.datasets.get(symbol);
+        if (!dataset) {
+            throw new MarketAnalysisError(`Unknown imported symbol: ${symbol}`, 'UNKNOWN_SYMBOL', { symbol });
+        }
+
+        if (!timeframe || timeframe === dataset.timeframe) {
+            return dataset.candles;
+        }
+
+        if (!marketDataService.canDerive(timeframe, dataset.timeframe)) {
+            throw new MarketAnalysisError(
+                `${dataset.name} has ${dataset.timeframe} data and can't be shown as ${timeframe}`,
+                'INVALID_TIMEFRAME',
+                { symbol, timeframe, datasetTimeframe: dataset.timeframe }
+            );
+        }
+
+        if (!dataset.aggregated.has(timeframe)) {
+            const aggregated = marketDataService.aggregateCandles(dataset.candles, timeframe);
+            dataset.aggregated.set(timeframe, aggregated);
+            marketDataService.setData(symbol, timeframe, aggregated);
+        }
+        return dataset.aggregated.get(timeframe);
+    }
+
+    addListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    removeListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    notifyListeners(event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Error in importer listener:', error);
+            }
+        });
+    }
+}
+
+// Create and export singleton instance
+const dataImporter = new DataImporter();
+export default dataImporter;
@@ -1,6 +1,12 @@
+import config from '../config.js';
+import { MarketAnalysisError, timeframes } from '../utils/helpers.js';
+import dataQualityValidator from './dataQuality.js';
+
 class MarketDataService {
     constructor() {
         this.data = new Map();
+        this.derived = new Map(); // Base key -> Set of timeframes aggregated from it
+        this.qualityReports = new Map(); // Key -> data quality report of the stored series
         this.listeners = new Set();
         this.currentSymbol = null;
         this.currentTimeframe = '1m';
@@ -8,6 +14,7 @@ class MarketDataService {
 
     setData(symbol, timeframe, data) {
         const key = this.getKey(symbol, timeframe);
+        data = this.checkQuality(symbol, timeframe, data);
         this.data.set(key, data);
         this.notifyListeners({
             type: 'data',
@@ -47,6 +54,301 @@ class MarketDataService {
         }
     }
 
+    // Validate a series before it is stored and repair it by the configured
+    // policy; the report is kept for the UI and the backtester
+    checkQuality(symbol, timeframe, data) {
+        if (!config.dataQuality.enabled) return data;
+
+        const interval = timeframes.isTickBased(timeframe) ? null : this.getTimeframeInSeconds(timeframe);
+        const { candles, report } = dataQualityValidator.repair(data, config.dataQuality.policy, { interval });
+
+        this.qualityReports.set(this.getKey(symbol, timeframe), report);
+        this.notifyListeners({
+            type: 'quality',
+            symbol,
+            timeframe,
+            report
+        });
+        return candles;
+    }
+
+    getQualityReport(symbol, timeframe) {
+        return this.qualityReports.get(this.getKey(symbol, timeframe)) || null;
+    }
+
+    // Insert or replace a single streamed candle. The candle carries the full
+    // state of its period, so it replaces any candle with the same time.
+    upsertCandle(symbol, timeframe, candle) {
+        const key = this.getKey(symbol, timeframe);
+        const data = this.getData(symbol, timeframe);
+        const lastCandle = data[data.length - 1];
+
+        if (lastCandle && candle.time < lastCandle.time) {
+            // Late candle for an older period: merge it and resend the series
+            this.mergeCandles(symbol, timeframe, [candle]);
+            return;
+        }
+
+        const isUpdate = Boolean(lastCandle) && candle.time === lastCandle.time;
+        let fills = [];
+        if (config.dataQuality.enabled) {
+            // The candles before it, as the spike and missing bar reference
+            const end = isUpdate ? data.length - 1 : data.length;
+            const recent = data.slice(Math.max(0, end - config.dataQuality.spikeWindow - 1), end);
+            const interval = timeframes.isTickBased(timeframe) ? null : this.getTimeframeInSeconds(timeframe);
+            const repaired = dataQualityValidator.repairCandle(
+                candle, recent, config.dataQuality.policy, this.qualityReports.get(key), { interval }
+            );
+            if (repaired.length === 0) return;
+
+            fills = repaired.slice(0, -1);
+            candle = repaired[repaired.length - 1];
+        }
+
+        if (isUpdate) {
+            data[data.length - 1] = candle;
+        } else {
+            data.push(...fills, candle);
+        }
+
+        if (fills.length > 0) {
+            // Forward-filled bars appeared before the candle: redraw the series
+            this.notifyListeners({ type: 'data', symbol, timeframe, data });
+        }
+
+        this.data.set(key, data);
+        this.notifyListeners({
+            type: 'update',
+            symbol,
+            timeframe,
+            candle
+        });
+
+        this.updateDerivedCandles(symbol, timeframe, candle.time);
+    }
+
+    // Merge a batch of candles into a series, replacing candles with the same time
+    mergeCandles(symbol, timeframe, candles) {
+        const merged = new Map(this.getData(symbol, timeframe).map(candle => [candle.time, candle]));
+        candles.forEach(candle => merged.set(candle.time, candle));
+
+        const data = Array.from(merged.values()).sort((a, b) => a.time - b.time);
+        this.setData(symbol, timeframe, data);
+
+        // Merged candles may fill periods of the timeframes derived from this one
+        this.rebuildDerivedTimeframes(symbol, timeframe);
+    }
+
+    // Multi-timeframe aggregation
+
+    // Keep `timeframe` up to date from the candles streamed into `baseTimeframe`.
+    // Tick bars ('<N>t') derive from the tick stream; time-based timeframes
+    // derive from a smaller time-based timeframe or from ticks.
+    registerDerivedTimeframe(symbol, timeframe, baseTimeframe = config.chart.baseTimeframe) {
+        if (!this.canDerive(timeframe, baseTimeframe)) {
+            throw new MarketAnalysisError(
+                `Cannot derive ${timeframe} candles from ${baseTimeframe} candles`,
+                'INVALID_TIMEFRAME',
+                { symbol, timeframe, baseTimeframe }
+            );
+        }
+
+        const baseKey = this.getKey(symbol, baseTimeframe);
+        if (!this.derived.has(baseKey)) {
+            this.derived.set(baseKey, new Set());
+        }
+        this.derived.get(baseKey).add(timeframe);
+
+        this.rebuildDerivedTimeframe(symbol, timeframe, baseTimeframe);
+    }
+
+    canDerive(timeframe, baseTimeframe) {
+        if (timeframes.isTickBased(timeframe)) {
+            return timeframe !== timeframes.TICK && baseTimeframe === timeframes.TICK;
+        }
+        if (baseTimeframe === timeframes.TICK) {
+            return true;
+        }
+        if (timeframes.isTickBased(baseTimeframe)) {
+            return false;
+        }
+
+        const interval = this.getTimeframeInSeconds(timeframe);
+        const baseInterval = this.getTimeframeInSeconds(baseTimeframe);
+        return interval > baseInterval && interval % baseInterval === 0;
+    }
+
+    unregisterDerivedTimeframe(symbol, timeframe, baseTimeframe = config.chart.baseTimeframe) {
+        const baseKey = this.getKey(symbol, baseTimeframe);
+        const targets = this.derived.get(baseKey);
+        if (targets) {
+            targets.delete(timeframe);
+            if (targets.size === 0) {
+                this.derived.delete(baseKey);
+            }
+        }
+    }
+
+    // Aggregate a sorted candle series into a higher timeframe. Tick bars
+    // close every N ticks; their volume is the number of ticks they contain.
+    aggregateCandles(candles, timeframe) {
+        const ticksPerBar = timeframes.isTickBased(timeframe) ? timeframes.getTicksPerBar(timeframe) : 0;
+        const result = [];
+        let current = null;
+
+        candles.forEach((candle, index) => {
+            const bucket = ticksPerBar ? candle.time : this.getPeriodStart(candle.time, timeframe);
+            const startsBar = ticksPerBar ? index % ticksPerBar === 0 : !current || current.time !== bucket;
+
+            if (startsBar) {
+                current = {
+                    time: bucket,
+                    open: candle.open,
+                    high: candle.high,
+                    low: candle.low,
+                    close: candle.close,
+                    volume: candle.volume || 0
+                };
+                result.push(current);
+            } else {
+                current.high = Math.max(current.high, candle.high);
+                current.low = Math.min(current.low, candle.low);
+                current.close = candle.close;
+                current.volume += candle.volume || 0;
+            }
+        });
+
+        return result;
+    }
+
+    // Periods are aligned to the Unix epoch, so daily candles open at 00:00 UTC
+    // and 4h candles at 00:00, 04:00, 08:00 UTC and so on
+    getPeriodStart(time, timeframe) {
+        const interval = this.getTimeframeInSeconds(timeframe);
+        return Math.floor(time / interval) * interval;
+    }
+
+    rebuildDerivedTimeframe(symbol, timeframe, baseTimeframe) {
+        const baseData = this.getData(symbol, baseTimeframe);
+        if (baseData.length === 0) return;
+
+        const aggregated = this.aggregateCandles(baseData, timeframe);
+
+        // Tick bars only exist locally, so they are rebuilt from scratch
+        if (timeframes.isTickBased(timeframe)) {
+            this.setData(symbol, timeframe, aggregated);
+            return;
+        }
+
+        const merged = new Map(this.getData(symbol, timeframe).map(candle => [candle.time, candle]));
+
+        aggregated.forEach((candle, index) => {
+            // The first period is usually only partly covered by the base series
+            const partial = index === 0 && baseData[0].time > candle.time;
+            merged.set(candle.time, partial ?
+                this.mergePartialCandle(merged.get(candle.time), candle) :
+                candle);
+        });
+
+        const data = Array.from(merged.values()).sort((a, b) => a.time - b.time);
+        this.setData(symbol, timeframe, data);
+    }
+
+    // Rebuild every timeframe derived from `baseTimeframe`, e.g. after its
+    // series was replaced
+    rebuildDerivedTimeframes(symbol, baseTimeframe) {
+        const targets = this.derived.get(this.getKey(symbol, baseTimeframe));
+        if (targets) {
+            targets.forEach(target => this.rebuildDerivedTimeframe(symbol, target, baseTimeframe));
+        }
+    }
+
+    // Recompute the derived candles covering `time` after a base candle changed
+    updateDerivedCandles(symbol, baseTimeframe, time) {
+        const targets = this.derived.get(this.getKey(symbol, baseTimeframe));
+        if (!targets) return;
+
+        const baseData = this.getData(symbol, baseTimeframe);
+
+        targets.forEach(timeframe => {
+            if (timeframes.isTickBased(timeframe)) {
+                this.updateTickBars(symbol, timeframe, baseData);
+                return;
+            }
+
+            const bucket = this.getPeriodStart(time, timeframe);
+
+            // Walk back from the end to collect the base candles in this period
+            let start = baseData.length;
+            while (start > 0 && baseData[start - 1].time >= bucket) {
+                start--;
+            }
+            const periodCandles = baseData.slice(start).filter(candle =>
+                this.getPeriodStart(candle.time, timeframe) === bucket
+            );
+            if (periodCandles.length === 0) return;
+
+            const [candle] = this.aggregateCandles(periodCandles, timeframe);
+            const partial = start === 0 && periodCandles[0].time > bucket;
+
+            this.upsertCandle(symbol, timeframe, partial ?
+                this.mergePartialCandle(this.findCandle(symbol, timeframe, bucket), candle) :
+                candle);
+        });
+    }
+
+    // Re-aggregate the ticks from the forming tick bar onwards; once it holds
+    // N ticks the remaining ticks open the next bar
+    updateTickBars(symbol, timeframe, ticks) {
+        const bars = this.getData(symbol, timeframe);
+        const formingBar = bars[bars.length - 1];
+        const from = formingBar ? formingBar.time : -Infinity;
+
+        let start = ticks.length;
+        while (start > 0 && ticks[start - 1].time >= from) {
+            start--;
+        }
+
+        this.aggregateCandles(ticks.slice(start), timeframe)
+            .forEach(bar => this.upsertCandle(symbol, timeframe, bar));
+    }
+
+    findCandle(symbol, timeframe, time) {
+        const data = this.getData(symbol, timeframe);
+        for (let i = data.length - 1; i >= 0 && data[i].time >= time; i--) {
+            if (data[i].time === time) return data[i];
+        }
+        return null;
+    }
+
+    // Combine a candle aggregated from an incomplete base series with the
+    // candle already known for that period (e.g. from native history)
+    mergePartialCandle(existing, aggregated) {
+        if (!existing) return aggregated;
+
+        return {
+            ...existing,
+            high: Math.max(existing.high, aggregated.high),
+            low: Math.min(existing.low, aggregated.low),
+            close: aggregated.close,
+            volume: Math.max(existing.volume || 0, aggregated.volume || 0)
+        };
+    }
+
+    // Largest configured timeframe that evenly divides `timeframe`, used to
+    // fetch history for custom timeframes such as 3m or 2h
+    getHistoryTimeframe(timeframe) {
+        if (timeframes.isTickBased(timeframe)) return timeframes.TICK;
+        if (config.timeframes[timeframe]) return timeframe;
+
+        const interval = this.getTimeframeInSeconds(timeframe);
+        const candidates = Object.entries(config.timeframes)
+            .filter(([, seconds]) => seconds < interval && interval % seconds === 0)
+            .sort((a, b) => b[1] - a[1]);
+
+        return candidates.length > 0 ? candidates[0][0] : null;
+    }
+
     isSameTimeframe(time1, time2, timeframe) {
         const interval = this.getTimeframeInSeconds(timeframe);
         return Math.floor(time1 / interval) === Math.floor(time2 / interval);
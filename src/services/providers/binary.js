@@ -0,0 +1,553 @@
+import config from '../../config.js';
+import { MarketAnalysisError, timeframes } from '../../utils/helpers.js';
+import MarketDataProvider from './provider.js';
+
+// Binary.com / Deriv adapter speaking the `ticks_history` protocol
+class BinaryWebSocket extends MarketDataProvider {
+    constructor() {
+        super('binary');
+        this.ws = null;
+        this.reconnectAttempts = 0;
+        this.activeSubscriptions = new Map(); // Live streams by symbol-timeframe
+        this.candleBuffer = new Map(); // Store candles by symbol-timeframe
+        this.lastUpdate = new Map(); // Track last update time by symbol-timeframe
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map(); // One-shot requests awaiting a response, by req_id
+        this.streamRequests = new Map(); // Live streams by the req_id of their subscribe request
+        this.heartbeatTimer = null;
+        this.reconnectTimer = null;
+        this.manualDisconnect = false;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            try {
+                // The endpoint may carry its own query (e.g. a local replay speed)
+                const separator = config.wsEndpoint.includes('?') ? '&' : '?';
+                const wsUrl = `${config.wsEndpoint}${separator}app_id=${config.appId}`;
+                const ws = new WebSocket(wsUrl);
+                this.ws = ws;
+                this.manualDisconnect = false;
+
+                ws.onopen = () => {
+                    console.log('WebSocket connection established');
+                    this.isConnected = true;
+                    this.startHeartbeat();
+                    this.emit('connect');
+                    resolve();
+                };
+
+                ws.onmessage = (event) => {
+                    try {
+                        const data = JSON.parse(event.data);
+                        this.handleMessage(data);
+                    } catch (error) {
+                        console.error('Error parsing WebSocket message:', error);
+                    }
+                };
+
+                ws.onerror = (error) => {
+                    console.error('WebSocket error:', error);
+                    this.emit('error', error);
+                    reject(error);
+                };
+
+                ws.onclose = () => {
+                    console.log('WebSocket connection closed');
+                    // A socket we already replaced or closed on purpose
+                    if (ws !== this.ws || this.manualDisconnect) return;
+                    this.handleConnectionLost();
+                    reject(new MarketAnalysisError('WebSocket connection closed', 'CONNECTION_CLOSED'));
+                };
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    // Ping the server periodically. A ping left unanswered means the socket
+    // died silently (e.g. after a network change) and is torn down by hand,
+    // since the browser may take minutes to notice and fire `close`.
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            this.sendRequest({ ping: 1 }, { timeout: config.ws.heartbeatTimeout }).catch(error => {
+                if (error.code === 'REQUEST_TIMEOUT') {
+                    console.warn('Heartbeat timed out, connection considered dead');
+                    this.handleConnectionLost();
+                }
+            });
+        }, config.ws.heartbeatInterval);
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    handleConnectionLost() {
+        const wasConnected = this.isConnected;
+        this.isConnected = false;
+        this.stopHeartbeat();
+        this.cancelAllRequests(new MarketAnalysisError('WebSocket connection lost', 'CONNECTION_CLOSED'));
+
+        // Detach and drop the dead socket so its late events are ignored
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            ws.onopen = ws.onmessage = ws.onerror = ws.onclose = null;
+            try {
+                ws.close();
+            } catch (error) {
+                console.warn('Error closing dead WebSocket:', error);
+            }
+        }
+
+        if (wasConnected) {
+            this.emit('disconnect');
+        }
+        this.handleReconnect();
+    }
+
+    // Reconnect with exponential backoff and jitter. Attempts never stop; the
+    // delay is capped at `config.ws.maxReconnectInterval`.
+    handleReconnect() {
+        if (this.reconnectTimer || this.manualDisconnect) return;
+
+        const backoff = Math.min(
+            config.ws.reconnectInterval * Math.pow(2, this.reconnectAttempts),
+            config.ws.maxReconnectInterval
+        );
+        const jitter = backoff * config.ws.reconnectJitter * (Math.random() * 2 - 1);
+        const delay = Math.max(0, Math.round(backoff + jitter));
+
+        this.reconnectAttempts++;
+        console.log(`Attempting to reconnect in ${delay}ms (attempt ${this.reconnectAttempts})...`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.attemptReconnect();
+        }, delay);
+    }
+
+    // Reconnect right away, e.g. when the browser reports it is back online
+    reconnect() {
+        if (this.isConnected) return Promise.resolve();
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.manualDisconnect = false;
+        this.reconnectAttempts = 0;
+        return this.attemptReconnect();
+    }
+
+    attemptReconnect() {
+        return this.connect().then(() => {
+            console.log('WebSocket reconnected');
+            this.reconnectAttempts = 0;
+            this.emit('reconnect');
+            return this.restoreStreams();
+        }).catch(error => {
+            console.error('Reconnection failed:', error);
+            this.handleReconnect();
+        });
+    }
+
+    // Fill the gap each stream missed while offline, then resume it live
+    async restoreStreams() {
+        this.streamRequests.clear();
+        this.candleBuffer.clear();
+        this.lastUpdate.clear();
+
+        const streams = Array.from(this.activeSubscriptions.values());
+        await Promise.all(streams.map(async stream => {
+            try {
+                await this.backfillStream(stream);
+            } catch (error) {
+                console.error(`Backfill failed for ${stream.symbol} (${stream.timeframe}):`, error);
+            }
+
+            // Skip streams that were unsubscribed while backfilling
+            if (this.activeSubscriptions.get(this.getKey(stream.symbol, stream.timeframe)) === stream) {
+                this.subscribeToSymbol(stream.symbol, stream.timeframe);
+            }
+        }));
+    }
+
+    // Request the candles (or ticks) between the last one the stream delivered
+    // and now, paging backwards when the gap exceeds one request
+    async backfillStream(stream) {
+        if (!stream.lastTime) return;
+
+        const missing = [];
+        let end = 'latest';
+
+        for (let page = 0; page < config.ws.maxBackfillPages; page++) {
+            const request = this.buildHistoryRequest(stream.symbol, stream.timeframe, config.ws.maxBackfillCount);
+            request.start = stream.lastTime;
+            request.end = end;
+
+            const batch = this.parseHistory(await this.sendRequest(request));
+            missing.unshift(...batch);
+
+            if (batch.length < config.ws.maxBackfillCount || batch[0].time <= stream.lastTime) break;
+            end = batch[0].time - 1;
+        }
+
+        if (missing.length > 0) {
+            console.log(`Backfilled ${missing.length} ${stream.timeframe} candles for ${stream.symbol}`);
+            this.notifyStream(stream, 'backfill', missing);
+        }
+    }
+
+    // Every outbound request carries a `req_id` which the API echoes back, so
+    // responses are routed to the caller that sent them: one-shot requests to
+    // their pending promise, stream messages to their subscription.
+    handleMessage(data) {
+        const reqId = data.req_id;
+
+        if (reqId && this.pendingRequests.has(reqId)) {
+            this.settleRequest(reqId, data);
+            return;
+        }
+
+        const stream = reqId ? this.streamRequests.get(reqId) : null;
+        if (!stream) {
+            // Stream that was unsubscribed before its subscription id arrived
+            if (data.subscription && data.subscription.id) {
+                this.sendMessage({ forget: data.subscription.id });
+            } else if (data.error) {
+                console.error('Binary.com API error:', data.error);
+            }
+            return;
+        }
+
+        if (data.error) {
+            console.error(`Binary.com API error for ${stream.symbol} (${stream.timeframe}):`, data.error);
+            this.notifySubscribers(stream.symbol, stream.timeframe, 'error', data.error);
+            return;
+        }
+
+        if (data.subscription && data.subscription.id) {
+            stream.subscriptionId = data.subscription.id;
+        }
+
+        if (data.ohlc) {
+            this.handleCandleUpdate(stream, data.ohlc);
+        } else if (data.tick) {
+            // Raw tick stream
+            const { epoch, quote } = data.tick;
+            this.notifyStream(stream, 'tick', timeframes.toTickCandle(epoch, quote));
+        } else if (data.candles || data.history) {
+            // Handle historical data
+            this.notifyStream(stream, 'history', this.parseHistory(data));
+        }
+    }
+
+    // Notify a stream's subscribers and remember the latest time it delivered,
+    // which is where gap backfill starts after a reconnect
+    notifyStream(stream, type, data) {
+        const latest = Array.isArray(data) ? data[data.length - 1] : data;
+        if (latest && (!stream.lastTime || latest.time > stream.lastTime)) {
+            stream.lastTime = latest.time;
+        }
+        this.notifySubscribers(stream.symbol, stream.timeframe, type, data);
+    }
+
+    handleCandleUpdate(stream, ohlc) {
+        const { symbol, timeframe } = stream;
+        const { open, high, low, close, epoch } = ohlc;
+        const granularity = Number(ohlc.granularity);
+        const key = this.getKey(symbol, timeframe);
+        const candleTime = Math.floor(epoch / granularity) * granularity;
+        
+        if (!this.candleBuffer.has(key)) {
+            this.candleBuffer.set(key, new Map());
+        }
+        
+        const symbolBuffer = this.candleBuffer.get(key);
+        const lastUpdate = this.lastUpdate.get(key);
+        
+        // Check if we need to create a new candle
+        if (!symbolBuffer.has(candleTime)) {
+            // If there's a previous candle, finalize it
+            if (lastUpdate && lastUpdate !== candleTime) {
+                const lastCandle = symbolBuffer.get(lastUpdate);
+                if (lastCandle) {
+                    // Send the completed candle
+                    this.notifyStream(stream, 'candle', { ...lastCandle });
+                    
+                    // Create new candle using last candle's close as open
+                    const newCandle = {
+                        time: candleTime,
+                        open: lastCandle.close,
+                        high: parseFloat(high),
+                        low: parseFloat(low),
+                        close: parseFloat(close)
+                    };
+                    symbolBuffer.set(candleTime, newCandle);
+                    
+                    // Notify of new candle creation
+                    this.notifyStream(stream, 'candle', { ...newCandle });
+                }
+            } else {
+                // First candle or non-consecutive candle
+                const newCandle = {
+                    time: candleTime,
+                    open: parseFloat(open),
+                    high: parseFloat(high),
+                    low: parseFloat(low),
+                    close: parseFloat(close)
+                };
+                symbolBuffer.set(candleTime, newCandle);
+                this.notifyStream(stream, 'candle', { ...newCandle });
+            }
+            
+            // Clean up old candles (keep last 100)
+            const times = Array.from(symbolBuffer.keys()).sort((a, b) => a - b);
+            while (times.length > 100) {
+                symbolBuffer.delete(times.shift());
+            }
+        } else {
+            // Update existing candle
+            const currentCandle = symbolBuffer.get(candleTime);
+            currentCandle.high = Math.max(currentCandle.high, parseFloat(high));
+            currentCandle.low = Math.min(currentCandle.low, parseFloat(low));
+            currentCandle.close = parseFloat(close);
+            
+            // Send tick update
+            this.notifyStream(stream, 'tick', { ...currentCandle });
+        }
+        
+        this.lastUpdate.set(key, candleTime);
+    }
+
+    // Streams subscribed while offline are kept and sent by restoreStreams
+    // once the connection is back
+    subscribeToSymbol(symbol, timeframe) {
+        const request = this.buildHistoryRequest(symbol, timeframe, 1000);
+        if (!request) {
+            console.error(`Unsupported timeframe: ${timeframe}`);
+            return;
+        }
+
+        const stream = {
+            symbol,
+            timeframe,
+            reqId: null,
+            subscriptionId: null
+        };
+        this.activeSubscriptions.set(this.getKey(symbol, timeframe), stream);
+        if (!this.isConnected) return;
+
+        stream.reqId = this.nextRequestId++;
+        this.streamRequests.set(stream.reqId, stream);
+        this.sendMessage({ ...request, subscribe: 1, req_id: stream.reqId });
+    }
+
+    unsubscribeFromSymbol(symbol, timeframe) {
+        const key = this.getKey(symbol, timeframe);
+        const stream = this.activeSubscriptions.get(key);
+
+        this.activeSubscriptions.delete(key);
+        this.candleBuffer.delete(key);
+        this.lastUpdate.delete(key);
+        if (stream) {
+            this.streamRequests.delete(stream.reqId);
+        }
+
+        if (!this.isConnected) {
+            console.error('WebSocket is not connected');
+            return;
+        }
+
+        // Without an id yet, the stream is forgotten once its first message arrives
+        if (stream && stream.subscriptionId) {
+            this.sendMessage({ forget: stream.subscriptionId });
+        }
+    }
+
+    async requestActiveSymbols(options = {}) {
+        const data = await this.sendRequest({ active_symbols: 'brief', product_type: 'basic' }, options);
+        return data.active_symbols || [];
+    }
+
+    async requestHistory(symbol, timeframe = '1m', count = 1000, options = {}) {
+        const request = this.buildHistoryRequest(symbol, timeframe, count);
+        if (!request) {
+            throw new MarketAnalysisError(
+                `Unsupported timeframe: ${timeframe}`,
+                'INVALID_TIMEFRAME',
+                { symbol, timeframe }
+            );
+        }
+
+        // Page through older history or fetch only a recent range
+        if (options.end) request.end = options.end;
+        if (options.start) request.start = options.start;
+
+        const data = await this.sendRequest(request, options);
+        return this.parseHistory(data);
+    }
+
+    // Send a one-shot request and resolve with its response. Requests time out
+    // after `timeout` ms and can be cancelled through an AbortSignal.
+    sendRequest(payload, { timeout = config.ws.requestTimeout, signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.isConnected) {
+                reject(new MarketAnalysisError('WebSocket is not connected', 'NOT_CONNECTED'));
+                return;
+            }
+            if (signal && signal.aborted) {
+                reject(this.createCancelledError(payload));
+                return;
+            }
+
+            const reqId = this.nextRequestId++;
+            const onAbort = () => {
+                this.rejectRequest(reqId, this.createCancelledError(payload));
+            };
+            const timer = setTimeout(() => {
+                this.rejectRequest(reqId, new MarketAnalysisError(
+                    'Request timed out',
+                    'REQUEST_TIMEOUT',
+                    { reqId, timeout, request: payload }
+                ));
+            }, timeout);
+
+            this.pendingRequests.set(reqId, { resolve, reject, timer, signal, onAbort });
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            this.sendMessage({ ...payload, req_id: reqId });
+        });
+    }
+
+    settleRequest(reqId, data) {
+        if (data.error) {
+            this.rejectRequest(reqId, new MarketAnalysisError(
+                data.error.message,
+                data.error.code,
+                { reqId, request: data.echo_req }
+            ));
+            return;
+        }
+
+        const pending = this.takeRequest(reqId);
+        if (pending) {
+            pending.resolve(data);
+        }
+    }
+
+    rejectRequest(reqId, error) {
+        const pending = this.takeRequest(reqId);
+        if (pending) {
+            pending.reject(error);
+        }
+    }
+
+    // Remove a pending request and release its timer and abort listener
+    takeRequest(reqId) {
+        const pending = this.pendingRequests.get(reqId);
+        if (!pending) return null;
+
+        this.pendingRequests.delete(reqId);
+        clearTimeout(pending.timer);
+        if (pending.signal) {
+            pending.signal.removeEventListener('abort', pending.onAbort);
+        }
+        return pending;
+    }
+
+    cancelRequest(reqId) {
+        this.rejectRequest(reqId, this.createCancelledError({ reqId }));
+    }
+
+    cancelAllRequests(error = null) {
+        Array.from(this.pendingRequests.keys()).forEach(reqId => {
+            this.rejectRequest(reqId, error || this.createCancelledError({ reqId }));
+        });
+    }
+
+    createCancelledError(request) {
+        return new MarketAnalysisError('Request cancelled', 'REQUEST_CANCELLED', { request });
+    }
+
+    // Candle timeframes request `style: 'candles'`, the tick timeframe the raw
+    // `ticks` stream. Returns null for timeframes the API cannot serve.
+    buildHistoryRequest(symbol, timeframe, count) {
+        const request = {
+            ticks_history: symbol,
+            adjust_start_time: 1,
+            count: count,
+            end: 'latest',
+            start: 1
+        };
+
+        if (timeframe === timeframes.TICK) {
+            request.style = 'ticks';
+            return request;
+        }
+
+        const granularity = config.timeframes[timeframe];
+        if (!granularity) return null;
+
+        request.style = 'candles';
+        request.granularity = granularity;
+        return request;
+    }
+
+    parseHistory(data) {
+        if (data.history) {
+            const { prices, times } = data.history;
+            return times.map((epoch, index) => timeframes.toTickCandle(epoch, prices[index]));
+        }
+
+        return data.candles.map(candle => ({
+            time: candle.epoch,
+            open: parseFloat(candle.open),
+            high: parseFloat(candle.high),
+            low: parseFloat(candle.low),
+            close: parseFloat(candle.close)
+        }));
+    }
+
+    sendMessage(message) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        } else {
+            console.error('WebSocket is not connected');
+        }
+    }
+
+    disconnect() {
+        this.manualDisconnect = true;
+        this.stopHeartbeat();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.ws) {
+            this.ws.close();
+            this.ws = null;
+            this.isConnected = false;
+            this.cancelAllRequests();
+            this.activeSubscriptions.clear();
+            this.streamRequests.clear();
+            this.candleBuffer.clear();
+            this.lastUpdate.clear();
+            this.emit('disconnect');
+        }
+    }
+}
+
+export { BinaryWebSocket };
+
+// Create and export singleton instance
+const binaryWebSocket = new BinaryWebSocket();
+export default binaryWebSocket;
@@ -0,0 +1,52 @@
+import config from '../../config.js';
+import { MarketAnalysisError } from '../../utils/helpers.js';
+import binaryWebSocket from './binary.js';
+import replayProvider from './replay.js';
+import SharedProvider from './shared.js';
+import syntheticProvider from './synthetic.js';
+
+const providers = new Map([
+    ['binary', binaryWebSocket],
+    ['replay', replayProvider],
+    ['synthetic', syntheticProvider]
+]);
+
+export function registerProvider(name, provider) {
+    providers.set(name, provider);
+}
+
+export function getProvider(name = config.dataProvider) {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new MarketAnalysisError(
+            `Unknown market data provider: ${name}`,
+            'UNKNOWN_PROVIDER',
+            { name, available: Array.from(providers.keys()) }
+        );
+    }
+    return provider;
+}
+
+// The active provider comes from config, or `?provider=<name>` for demos
+function resolveProviderName() {
+    if (typeof window !== 'undefined' && window.location) {
+        const requested = new URLSearchParams(window.location.search).get('provider');
+        if (requested && providers.has(requested)) {
+            return requested;
+        }
+    }
+    return config.dataProvider;
+}
+
+// Providers listed in config.sharedConnection get one connection for all tabs
+function resolveProvider(name) {
+    const provider = getProvider(name);
+    if (config.sharedConnection.providers.includes(name) && SharedProvider.isSupported()) {
+        return new SharedProvider(provider);
+    }
+    return provider;
+}
+
+// Export the active provider as singleton
+const marketProvider = resolveProvider(resolveProviderName());
+export default marketProvider;
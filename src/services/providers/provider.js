@@ -0,0 +1,151 @@
+import config from '../../config.js';
+import { MarketAnalysisError } from '../../utils/helpers.js';
+
+// Base class for market data providers. Adapters implement the transport
+// specific methods; subscriber bookkeeping and update fan-out live here so
+// every provider emits the same `history`/`candle`/`tick` update events.
+// Subscriptions are keyed by symbol and timeframe, so several timeframes of
+// one symbol can stream at the same time.
+class MarketDataProvider {
+    constructor(name) {
+        this.name = name;
+        this.subscribers = new Map();
+        this.listeners = new Map(); // Connection events: connect, disconnect, reconnect, error
+        this.isConnected = false;
+    }
+
+    async initialize() {
+        try {
+            console.log(`Initializing ${this.name} market data provider...`);
+            await this.connect();
+            return true;
+        } catch (error) {
+            console.error(`Failed to initialize ${this.name} provider:`, error);
+            return false;
+        }
+    }
+
+    // Transport specific methods
+
+    connect() {
+        throw this.notImplemented('connect');
+    }
+
+    disconnect() {
+        throw this.notImplemented('disconnect');
+    }
+
+    reconnect() {
+        return this.isConnected ? Promise.resolve() : this.connect();
+    }
+
+    subscribeToSymbol(symbol, timeframe) {
+        throw this.notImplemented('subscribeToSymbol');
+    }
+
+    unsubscribeFromSymbol(symbol, timeframe) {
+        throw this.notImplemented('unsubscribeFromSymbol');
+    }
+
+    // `options.start`/`options.end` (epoch seconds) bound the range, the last
+    // `count` candles of it are returned. `options.signal` cancels the request,
+    // `options.timeout` bounds it (ms).
+    async requestHistory(symbol, timeframe = '1m', count = 1000, options = {}) {
+        throw this.notImplemented('requestHistory');
+    }
+
+    // Instruments the provider offers, as `active_symbols` entries
+    // ({ symbol, display_name, market, submarket, pip, exchange_is_open, ... })
+    async requestActiveSymbols(options = {}) {
+        throw this.notImplemented('requestActiveSymbols');
+    }
+
+    // Subscriber management
+
+    subscribe(symbol, callback, timeframe = config.chart.defaultTimeframe) {
+        const key = this.getKey(symbol, timeframe);
+        if (!this.subscribers.has(key)) {
+            this.subscribers.set(key, new Set());
+            this.subscribeToSymbol(symbol, timeframe);
+        }
+        this.subscribers.get(key).add(callback);
+    }
+
+    unsubscribe(symbol, callback, timeframe = config.chart.defaultTimeframe) {
+        const key = this.getKey(symbol, timeframe);
+        if (this.subscribers.has(key)) {
+            const callbacks = this.subscribers.get(key);
+            callbacks.delete(callback);
+            if (callbacks.size === 0) {
+                this.subscribers.delete(key);
+                this.unsubscribeFromSymbol(symbol, timeframe);
+            }
+        }
+    }
+
+    isSubscribed(symbol, timeframe) {
+        return this.subscribers.has(this.getKey(symbol, timeframe));
+    }
+
+    notifySubscribers(symbol, timeframe, type, data) {
+        const callbacks = this.subscribers.get(this.getKey(symbol, timeframe));
+        if (callbacks) {
+            callbacks.forEach(callback => {
+                try {
+                    callback({ type, symbol, timeframe, data });
+                } catch (error) {
+                    console.error(`Error in ${this.name} provider subscriber:`, error);
+                }
+            });
+        }
+    }
+
+    // Connection event listeners
+
+    addListener(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+    }
+
+    removeListener(event, callback) {
+        const callbacks = this.listeners.get(event);
+        if (callbacks) {
+            callbacks.delete(callback);
+        }
+    }
+
+    emit(event, payload) {
+        const callbacks = this.listeners.get(event);
+        if (callbacks) {
+            callbacks.forEach(callback => {
+                try {
+                    callback(payload);
+                } catch (error) {
+                    console.error(`Error in ${this.name} provider ${event} listener:`, error);
+                }
+            });
+        }
+    }
+
+    getKey(symbol, timeframe) {
+        return `${symbol}-${timeframe}`;
+    }
+
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new MarketAnalysisError('Request cancelled', 'REQUEST_CANCELLED', { provider: this.name });
+        }
+    }
+
+    notImplemented(method) {
+        return new MarketAnalysisError(
+            `${this.name} provider does not implement ${method}()`,
+            'NOT_IMPLEMENTED',
+            { provider: this.name, method }
+        );
+    }
+}
+
+export default MarketDataProvider;
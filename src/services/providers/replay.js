@@ -0,0 +1,222 @@
+import config from '../../config.js';
+import { MarketAnalysisError, timeframes } from '../../utils/helpers.js';
+import MarketDataProvider from './provider.js';
+
+// Replays recorded candle files through the same update events as the live
+// feed. Files are looked up as `<basePath>/<symbol>-<timeframe>.json` and hold
+// an array of candles ({ time | epoch, open, high, low, close, volume? }).
+class ReplayProvider extends MarketDataProvider {
+    constructor() {
+        super('replay');
+        this.datasets = new Map(); // Loaded candles by symbol-timeframe
+        this.sessions = new Map(); // Playback state by symbol-timeframe
+        this.speed = config.replay.speed;
+    }
+
+    connect() {
+        this.isConnected = true;
+        this.emit('connect');
+        return Promise.resolve();
+    }
+
+    disconnect() {
+        this.sessions.forEach(session => this.stopSession(session));
+        this.sessions.clear();
+        this.isConnected = false;
+        this.emit('disconnect');
+    }
+
+    // Register candles directly instead of fetching them from disk
+    setCandles(symbol, timeframe, candles) {
+        this.datasets.set(this.getKey(symbol, timeframe), this.normalizeCandles(candles));
+    }
+
+    async loadCandles(symbol, timeframe) {
+        const key = this.getKey(symbol, timeframe);
+        if (this.datasets.has(key)) {
+            return this.datasets.get(key);
+        }
+
+        const url = `${config.replay.basePath}/${key}.json`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new MarketAnalysisError(
+                `Replay file not found: ${url}`,
+                'REPLAY_FILE_NOT_FOUND',
+                { symbol, timeframe, url }
+            );
+        }
+
+        const candles = this.normalizeCandles(await response.json());
+        this.datasets.set(key, candles);
+        return candles;
+    }
+
+    normalizeCandles(candles) {
+        return candles
+            .map(candle => ({
+                time: Number(candle.time ?? candle.epoch),
+                open: parseFloat(candle.open),
+                high: parseFloat(candle.high),
+                low: parseFloat(candle.low),
+                close: parseFloat(candle.close),
+                ...(candle.volume !== undefined && { volume: parseFloat(candle.volume) })
+            }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    async requestHistory(symbol, timeframe = '1m', count = 1000, options = {}) {
+        this.throwIfAborted(options.signal);
+        const candles = await this.loadCandles(symbol, timeframe);
+        this.throwIfAborted(options.signal);
+
+        // History ends where playback currently is, so replay resumes seamlessly
+        const session = this.sessions.get(this.getKey(symbol, timeframe));
+        const cursor = session ? session.index : this.getStartIndex(candles);
+        const { start = -Infinity, end = Infinity } = options;
+
+        const inRange = candles
+            .slice(0, cursor)
+            .filter(candle => candle.time >= start && candle.time <= end);
+        return inRange.slice(Math.max(0, inRange.length - count));
+    }
+
+    // Replay files are recorded from the default instruments
+    async requestActiveSymbols(options = {}) {
+        this.throwIfAborted(options.signal);
+        return config.symbols.fallback;
+    }
+
+    getStartIndex(candles) {
+        return Math.min(config.replay.historyCount, Math.max(candles.length - 1, 0));
+    }
+
+    subscribeToSymbol(symbol, timeframe) {
+        this.loadCandles(symbol, timeframe).then(candles => {
+            // Bail out if the symbol was unsubscribed while the file was loading
+            if (!this.isSubscribed(symbol, timeframe)) return;
+
+            const session = {
+                symbol,
+                timeframe,
+                candles,
+                index: this.getStartIndex(candles),
+                step: 0,
+                timer: null
+            };
+            this.sessions.set(this.getKey(symbol, timeframe), session);
+
+            this.notifySubscribers(symbol, timeframe, 'history', candles.slice(0, session.index));
+            this.scheduleStep(session);
+        }).catch(error => {
+            console.error(`Failed to start replay for ${symbol} (${timeframe}):`, error);
+        });
+    }
+
+    unsubscribeFromSymbol(symbol, timeframe) {
+        const key = this.getKey(symbol, timeframe);
+        const session = this.sessions.get(key);
+        if (session) {
+            this.stopSession(session);
+            this.sessions.delete(key);
+        }
+    }
+
+    scheduleStep(session) {
+        const interval = this.getCandleDuration(session) / this.speed / this.getStepsPerCandle(session);
+        session.timer = setTimeout(() => this.playStep(session), interval);
+    }
+
+    // Tick files are replayed at their recorded pace, one update per tick
+    getCandleDuration(session) {
+        if (timeframes.isTickBased(session.timeframe)) {
+            const previous = session.candles[session.index - 1];
+            const current = session.candles[session.index];
+            return previous && current ? Math.max(current.time - previous.time, 0) * 1000 : 1000;
+        }
+        return (config.timeframes[session.timeframe] || 60) * 1000;
+    }
+
+    getStepsPerCandle(session) {
+        return timeframes.isTickBased(session.timeframe) ? 1 : config.replay.ticksPerCandle;
+    }
+
+    // Emit one intrabar step of the current candle: the first step opens a new
+    // candle, the following ones walk the price path towards the final close.
+    playStep(session) {
+        session.timer = null;
+
+        if (session.index >= session.candles.length) {
+            if (config.replay.loop) {
+                session.index = this.getStartIndex(session.candles);
+            } else {
+                console.log(`Replay finished for ${session.symbol}`);
+                return;
+            }
+        }
+
+        const candle = session.candles[session.index];
+        const steps = this.getStepsPerCandle(session);
+        const partial = this.buildPartialCandle(candle, session.step, steps);
+        this.notifySubscribers(session.symbol, session.timeframe, session.step === 0 ? 'candle' : 'tick', partial);
+
+        session.step++;
+        if (session.step >= steps) {
+            session.step = 0;
+            session.index++;
+        }
+
+        this.scheduleStep(session);
+    }
+
+    buildPartialCandle(candle, step, steps) {
+        if (step >= steps - 1) {
+            return { ...candle };
+        }
+
+        // Bullish candles typically dip first, bearish candles rally first
+        const path = candle.close >= candle.open ?
+            [candle.open, candle.low, candle.high] :
+            [candle.open, candle.high, candle.low];
+        const price = path[Math.min(step, path.length - 1)];
+        const visited = path.slice(0, Math.min(step, path.length - 1) + 1);
+
+        return {
+            ...candle,
+            high: Math.max(...visited),
+            low: Math.min(...visited),
+            close: price
+        };
+    }
+
+    stopSession(session) {
+        if (session.timer) {
+            clearTimeout(session.timer);
+            session.timer = null;
+        }
+    }
+
+    setSpeed(speed) {
+        if (speed > 0) {
+            this.speed = speed;
+        }
+    }
+
+    pause() {
+        this.sessions.forEach(session => this.stopSession(session));
+    }
+
+    resume() {
+        this.sessions.forEach(session => {
+            if (!session.timer) {
+                this.scheduleStep(session);
+            }
+        });
+    }
+}
+
+export { ReplayProvider };
+
+// Create and export singleton instance
+const replayProvider = new ReplayProvider();
+export default replayProvider;
@@ -0,0 +1,448 @@
+import config from '../../config.js';
+import { MarketAnalysisError } from '../../utils/helpers.js';
+import MarketDataProvider from './provider.js';
+
+const LOCK_NAME = 'market-data-leader';
+
+// Shares one upstream connection between all open tabs. The tab holding the
+// `market-data-leader` Web Lock (the leader) connects the upstream provider
+// and relays its updates, connection status and request responses over a
+// BroadcastChannel; the other tabs (followers) send it their subscriptions
+// and requests. The lock is released when the leader tab closes, and the
+// next tab waiting for it takes over and resubscribes every tab's streams.
+//
+// Messages carry the sending tab's id in `tab`:
+//   follower -> leader: hello, sync { keys }, subscribe/unsubscribe { symbol, timeframe },
+//                       request { id, method, args }, cancel { id }, bye
+//   leader -> all:      leader, status { connected }, reconnect, update { symbol, timeframe, updateType, data },
+//                       response { to, id, result | error }
+class SharedProvider extends MarketDataProvider {
+    constructor(upstream) {
+        super(`${upstream.name} (shared)`);
+        this.upstream = upstream;
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        this.role = null; // 'leader' or 'follower' once elected
+        this.channel = null;
+        this.remoteSubscriptions = new Map(); // Leader: symbol-timeframe -> Set of tab ids
+        this.remoteTabs = new Map(); // Leader: tab id -> time last heard from
+        this.remoteRequests = new Map(); // Leader: tab:id -> AbortController
+        this.pendingRequests = new Map(); // Follower: id -> { method, args, resolve, reject, timer }
+        this.nextRequestId = 1;
+        this.statusWaiters = new Set();
+        this.heartbeatTimer = null;
+
+        this.handleUpstreamUpdate = this.handleUpstreamUpdate.bind(this);
+    }
+
+    static isSupported() {
+        return typeof BroadcastChannel !== 'undefined' &&
+            typeof navigator !== 'undefined' && Boolean(navigator.locks);
+    }
+
+    connect() {
+        if (!this.role) {
+            return this.start();
+        }
+        return this.role === 'leader' ? this.upstream.connect() : this.waitForStatus();
+    }
+
+    reconnect() {
+        if (this.role === 'leader') {
+            return this.upstream.reconnect();
+        }
+        return this.isConnected ? Promise.resolve() : this.waitForStatus();
+    }
+
+    disconnect() {
+        if (this.role === 'leader') {
+            this.upstream.disconnect();
+        }
+    }
+
+    // Join the channel and lead if no other tab does
+    async start() {
+        this.channel = new BroadcastChannel(config.sharedConnection.channel);
+        this.channel.onmessage = event => this.handleMessage(event.data);
+
+        ['connect', 'disconnect', 'reconnect', 'error'].forEach(event => {
+            this.upstream.addListener(event, payload => this.handleUpstreamEvent(event, payload));
+        });
+        window.addEventListener('pagehide', () => this.post({ type: 'bye' }));
+
+        const leading = await new Promise(resolve => {
+            navigator.locks.request(LOCK_NAME, { ifAvailable: true }, lock => {
+                resolve(Boolean(lock));
+                return lock ? this.holdLock() : null;
+            });
+        });
+
+        if (leading) {
+            return this.becomeLeader();
+        }
+
+        this.becomeFollower();
+        // Queue for the lock: granted when the leader tab goes away
+        navigator.locks.request(LOCK_NAME, () => {
+            this.becomeLeader().catch(error => {
+                console.error('Failed to take over the shared connection:', error);
+            });
+            return this.holdLock();
+        });
+        return this.waitForStatus();
+    }
+
+    // The lock is held for the lifetime of the tab
+    holdLock() {
+        return new Promise(() => {});
+    }
+
+    async becomeLeader() {
+        const wasFollower = this.role === 'follower';
+        this.role = 'leader';
+        this.stopHeartbeat();
+        console.log(`Leading the shared ${this.upstream.name} connection`);
+        // The status mirrored from a previous leader no longer applies
+        this.setConnected(this.upstream.isConnected);
+
+        // Requests a previous leader never answered
+        this.pendingRequests.forEach((request, id) => this.runPendingRequest(id));
+        this.post({ type: 'leader' });
+
+        try {
+            await this.upstream.connect();
+        } finally {
+            // Streams of this tab, then of the followers as they sync
+            this.subscribers.forEach((callbacks, key) => this.updateUpstream(key));
+            if (wasFollower) {
+                this.remoteTabs.clear();
+            }
+            this.startTabPruning();
+        }
+    }
+
+    becomeFollower() {
+        this.role = 'follower';
+        this.post({ type: 'hello' });
+        this.startHeartbeat();
+    }
+
+    // Followers resend their subscriptions, so a leader can drop those of
+    // tabs that vanished without saying goodbye
+    startHeartbeat() {
+        this.heartbeatTimer = setInterval(() => this.sendSync(), config.sharedConnection.heartbeatInterval);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    startTabPruning() {
+        this.heartbeatTimer = setInterval(() => {
+            const cutoff = Date.now() - config.sharedConnection.tabTimeout;
+            this.remoteTabs.forEach((lastSeen, tab) => {
+                if (lastSeen < cutoff) this.removeTab(tab);
+            });
+        }, config.sharedConnection.heartbeatInterval);
+    }
+
+    sendSync() {
+        const keys = Array.from(this.subscribers.keys()).map(key => this.parseKey(key));
+        this.post({ type: 'sync', keys });
+    }
+
+    // Resolves once the leader reports a live upstream connection
+    waitForStatus() {
+        if (this.isConnected) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const waiter = connected => {
+                if (!connected) return;
+                clearTimeout(timer);
+                this.statusWaiters.delete(waiter);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                this.statusWaiters.delete(waiter);
+                reject(new MarketAnalysisError('No connected tab to share a connection with', 'NOT_CONNECTED'));
+            }, config.sharedConnection.connectTimeout);
+            this.statusWaiters.add(waiter);
+        });
+    }
+
+    setConnected(connected) {
+        if (connected === this.isConnected) return;
+        this.isConnected = connected;
+        this.emit(connected ? 'connect' : 'disconnect');
+        this.statusWaiters.forEach(waiter => waiter(connected));
+    }
+
+    // Leader side
+
+    handleUpstreamEvent(event, payload) {
+        if (this.role !== 'leader') return;
+
+        if (event === 'connect' || event === 'disconnect') {
+            this.setConnected(event === 'connect');
+            this.post({ type: 'status', connected: this.isConnected });
+        } else if (event === 'reconnect') {
+            this.emit(event);
+            this.post({ type: 'reconnect' });
+        } else {
+            this.emit(event, payload);
+        }
+    }
+
+    handleUpstreamUpdate(update) {
+        const { type, symbol, timeframe, data } = update;
+        this.notifySubscribers(symbol, timeframe, type, data);
+        this.post({ type: 'update', symbol, timeframe, updateType: type, data });
+    }
+
+    // Stream a symbol-timeframe upstream while any tab wants it
+    updateUpstream(key) {
+        const { symbol, timeframe } = this.parseKey(key);
+        const remote = this.remoteSubscriptions.get(key);
+        const wanted = this.subscribers.has(key) || Boolean(remote && remote.size > 0);
+
+        if (wanted && !this.upstream.isSubscribed(symbol, timeframe)) {
+            this.upstream.subscribe(symbol, this.handleUpstreamUpdate, timeframe);
+        } else if (!wanted && this.upstream.isSubscribed(symbol, timeframe)) {
+            this.upstream.unsubscribe(symbol, this.handleUpstreamUpdate, timeframe);
+        }
+    }
+
+    setRemoteSubscription(tab, key, subscribed) {
+        if (!this.remoteSubscriptions.has(key)) {
+            this.remoteSubscriptions.set(key, new Set());
+        }
+        const tabs = this.remoteSubscriptions.get(key);
+        if (subscribed) {
+            tabs.add(tab);
+        } else {
+            tabs.delete(tab);
+            if (tabs.size === 0) this.remoteSubscriptions.delete(key);
+        }
+        this.updateUpstream(key);
+    }
+
+    removeTab(tab) {
+        this.remoteTabs.delete(tab);
+        Array.from(this.remoteSubscriptions.keys()).forEach(key => this.setRemoteSubscription(tab, key, false));
+        this.remoteRequests.forEach((controller, requestKey) => {
+            if (requestKey.startsWith(`${tab}:`)) controller.abort();
+        });
+    }
+
+    async runRemoteRequest(tab, id, method, args) {
+        const controller = new AbortController();
+        const requestKey = `${tab}:${id}`;
+        this.remoteRequests.set(requestKey, controller);
+
+        try {
+            const result = await this.callUpstream(method, args, controller.signal);
+            this.post({ type: 'response', to: tab, id, result });
+        } catch (error) {
+            this.post({
+                type: 'response',
+                to: tab,
+                id,
+                error: { message: error.message, code: error.code, details: error.details }
+            });
+        } finally {
+            this.remoteRequests.delete(requestKey);
+        }
+    }
+
+    callUpstream(method, args, signal) {
+        if (method === 'requestHistory') {
+            const [symbol, timeframe, count, options = {}] = args;
+            return this.upstream.requestHistory(symbol, timeframe, count, { ...options, signal });
+        }
+        if (method === 'requestActiveSymbols') {
+            const [options = {}] = args;
+            return this.upstream.requestActiveSymbols({ ...options, signal });
+        }
+        return Promise.reject(this.notImplemented(method));
+    }
+
+    // Follower side
+
+    handleMessage(message) {
+        if (this.role === 'leader') {
+            this.handleFollowerMessage(message);
+            return;
+        }
+
+        switch (message.type) {
+            case 'leader':
+                // A new leader: hand it our streams and unanswered requests
+                this.sendSync();
+                this.pendingRequests.forEach((request, id) => this.postRequest(id));
+                break;
+            case 'status':
+                this.setConnected(message.connected);
+                break;
+            case 'reconnect':
+                this.emit('reconnect');
+                break;
+            case 'update':
+                this.notifySubscribers(message.symbol, message.timeframe, message.updateType, message.data);
+                break;
+            case 'response':
+                if (message.to === this.tabId) this.settleRequest(message);
+                break;
+        }
+    }
+
+    handleFollowerMessage(message) {
+        const { tab } = message;
+        if (message.type === 'bye') {
+            this.removeTab(tab);
+            return;
+        }
+        this.remoteTabs.set(tab, Date.now());
+
+        switch (message.type) {
+            case 'hello':
+                this.post({ type: 'status', connected: this.isConnected });
+                break;
+            case 'sync': {
+                const keys = new Set(message.keys.map(({ symbol, timeframe }) => this.getKey(symbol, timeframe)));
+                this.remoteSubscriptions.forEach((tabs, key) => {
+                    if (tabs.has(tab) && !keys.has(key)) this.setRemoteSubscription(tab, key, false);
+                });
+                keys.forEach(key => this.setRemoteSubscription(tab, key, true));
+                this.post({ type: 'status', connected: this.isConnected });
+                break;
+            }
+            case 'subscribe':
+            case 'unsubscribe':
+                this.setRemoteSubscription(tab, this.getKey(message.symbol, message.timeframe), message.type === 'subscribe');
+                break;
+            case 'request':
+                this.runRemoteRequest(tab, message.id, message.method, message.args);
+                break;
+            case 'cancel': {
+                const controller = this.remoteRequests.get(`${tab}:${message.id}`);
+                if (controller) controller.abort();
+                break;
+            }
+        }
+    }
+
+    // Requests go upstream directly on the leader and through it elsewhere
+
+    request(method, args, { signal, timeout = config.ws.requestTimeout } = {}) {
+        if (this.role === 'leader') {
+            return this.callUpstream(method, args, signal);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.throwIfAborted(signal);
+
+            const id = this.nextRequestId++;
+            const timer = setTimeout(() => {
+                this.rejectRequest(id, new MarketAnalysisError('Request timed out', 'REQUEST_TIMEOUT', { method, timeout }));
+            }, timeout);
+            const onAbort = () => {
+                this.post({ type: 'cancel', id });
+                this.rejectRequest(id, new MarketAnalysisError('Request cancelled', 'REQUEST_CANCELLED', { provider: this.name }));
+            };
+
+            this.pendingRequests.set(id, { method, args, resolve, reject, timer, signal, onAbort });
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            this.postRequest(id);
+        });
+    }
+
+    postRequest(id) {
+        const { method, args } = this.pendingRequests.get(id);
+        this.post({ type: 'request', id, method, args });
+    }
+
+    // A follower that became leader runs its own unanswered requests
+    runPendingRequest(id) {
+        const { method, args, signal } = this.pendingRequests.get(id);
+        this.callUpstream(method, args, signal).then(
+            result => this.settleRequest({ id, result }),
+            error => this.settleRequest({ id, error })
+        );
+    }
+
+    settleRequest({ id, result, error }) {
+        if (error) {
+            this.rejectRequest(id, error instanceof MarketAnalysisError ?
+                error :
+                new MarketAnalysisError(error.message, error.code, error.details));
+            return;
+        }
+
+        const pending = this.takeRequest(id);
+        if (pending) {
+            pending.resolve(result);
+        }
+    }
+
+    rejectRequest(id, error) {
+        const pending = this.takeRequest(id);
+        if (pending) {
+            pending.reject(error);
+        }
+    }
+
+    takeRequest(id) {
+        const pending = this.pendingRequests.get(id);
+        if (!pending) return null;
+
+        this.pendingRequests.delete(id);
+        clearTimeout(pending.timer);
+        if (pending.signal) {
+            pending.signal.removeEventListener('abort', pending.onAbort);
+        }
+        return pending;
+    }
+
+    // MarketDataProvider
+
+    subscribeToSymbol(symbol, timeframe) {
+        if (this.role === 'leader') {
+            this.updateUpstream(this.getKey(symbol, timeframe));
+        } else {
+            this.post({ type: 'subscribe', symbol, timeframe });
+        }
+    }
+
+    unsubscribeFromSymbol(symbol, timeframe) {
+        if (this.role === 'leader') {
+            this.updateUpstream(this.getKey(symbol, timeframe));
+        } else {
+            this.post({ type: 'unsubscribe', symbol, timeframe });
+        }
+    }
+
+    requestHistory(symbol, timeframe = '1m', count = 1000, options = {}) {
+        const { signal, timeout, ...range } = options;
+        return this.request('requestHistory', [symbol, timeframe, count, range], { signal, timeout });
+    }
+
+    requestActiveSymbols(options = {}) {
+        const { signal, timeout, ...rest } = options;
+        return this.request('requestActiveSymbols', [rest], { signal, timeout });
+    }
+
+    post(message) {
+        if (this.channel) {
+            this.channel.postMessage({ ...message, tab: this.tabId });
+        }
+    }
+
+    parseKey(key) {
+        const index = key.lastIndexOf('-');
+        return { symbol: key.slice(0, index), timeframe: key.slice(index + 1) };
+    }
+}
+
+export default SharedProvider;
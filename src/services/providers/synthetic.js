@@ -0,0 +1,453 @@
+import config from '../../config.js';
+import { MarketAnalysisError, timeframes } from '../../utils/helpers.js';
+import MarketDataProvider from './provider.js';
+
+const SECONDS_PER_YEAR = 365 * 86400;
+const MAX_CATCH_UP_TICKS = 60; // Longer gaps are sent as one backfill
+
+// FNV-1a; turns the seed, symbol and block into a generator state
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32 uniform generator with Box-Muller standard normals
+function createRandom(state) {
+    let spare = null;
+
+    const uniform = () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const normal = () => {
+        if (spare !== null) {
+            const value = spare;
+            spare = null;
+            return value;
+        }
+        const radius = Math.sqrt(-2 * Math.log(1 - uniform()));
+        const angle = 2 * Math.PI * uniform();
+        spare = radius * Math.sin(angle);
+        return radius * Math.cos(angle);
+    };
+
+    return { uniform, normal };
+}
+
+// Generates Deriv-style volatility indices: prices follow a driftless
+// geometric random walk with a fixed annualized volatility, one tick every
+// `tickInterval` seconds from `config.synthetic.origin` on. The path is a pure
+// function of (seed, symbol, time), so identical seeds always give identical
+// ticks and candles, whichever range is requested first.
+//
+// The walk is built in blocks: each block's end level is drawn first, then
+// its ticks fill it in as a Brownian bridge. Any time can be generated
+// without walking every tick before it, and block summaries make long
+// timeframes cheap.
+class SyntheticProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super('synthetic');
+        this.seed = options.seed ?? config.synthetic.seed;
+        this.clock = options.clock || (() => Date.now() / 1000); // Epoch seconds
+        this.levels = new Map(); // Symbol -> log price at the start of each block
+        this.blockTicks = new Map(); // Symbol-block -> tick prices, least recently used first
+        this.blockSummaries = new Map(); // Symbol-block -> { open, high, low, close } of complete blocks
+        this.sessions = new Map(); // Streams by symbol-timeframe
+    }
+
+    connect() {
+        this.isConnected = true;
+        this.emit('connect');
+        this.sessions.forEach(session => this.scheduleStep(session));
+        return Promise.resolve();
+    }
+
+    // Streams are kept and catch up with a backfill on reconnect
+    disconnect() {
+        this.sessions.forEach(session => this.stopSession(session));
+        this.isConnected = false;
+        this.emit('disconnect');
+    }
+
+    // Switch to another path; cached blocks belong to the old seed
+    setSeed(seed) {
+        this.seed = seed;
+        this.levels.clear();
+        this.blockTicks.clear();
+        this.blockSummaries.clear();
+    }
+
+    getSpec(symbol) {
+        const spec = config.synthetic.symbols[symbol];
+        if (!spec) {
+            throw new MarketAnalysisError(
+                `Unknown synthetic symbol: ${symbol}`,
+                'UNKNOWN_SYMBOL',
+                { symbol, available: Object.keys(config.synthetic.symbols) }
+            );
+        }
+        return spec;
+    }
+
+    random(symbol, block, stream) {
+        return createRandom(hashString(`${this.seed}:${symbol}:${stream}:${block}`));
+    }
+
+    // Log return parameters of one tick
+    getStep(spec) {
+        const dt = spec.tickInterval / SECONDS_PER_YEAR;
+        return {
+            drift: -0.5 * spec.volatility * spec.volatility * dt, // Keeps the price a martingale
+            deviation: spec.volatility * Math.sqrt(dt)
+        };
+    }
+
+    getTicksPerBlock(spec) {
+        return config.synthetic.blockSeconds / spec.tickInterval;
+    }
+
+    // Log price at the start of `block`
+    getLevel(symbol, block) {
+        const spec = this.getSpec(symbol);
+        if (!this.levels.has(symbol)) {
+            this.levels.set(symbol, [Math.log(spec.startPrice)]);
+        }
+
+        const levels = this.levels.get(symbol);
+        const ticks = this.getTicksPerBlock(spec);
+        const { drift, deviation } = this.getStep(spec);
+
+        while (levels.length <= block) {
+            const previous = levels.length - 1;
+            const shock = this.random(symbol, previous, 'block').normal();
+            levels.push(levels[previous] + drift * ticks + deviation * Math.sqrt(ticks) * shock);
+        }
+        return levels[block];
+    }
+
+    // Tick prices of a block, rounded to the symbol's pip
+    getBlockTicks(symbol, block) {
+        const key = `${symbol}-${block}`;
+        if (this.blockTicks.has(key)) {
+            // Move to the most recently used end
+            const cached = this.blockTicks.get(key);
+            this.blockTicks.delete(key);
+            this.blockTicks.set(key, cached);
+            return cached;
+        }
+
+        const prices = this.generateBlock(symbol, block);
+        this.blockTicks.set(key, prices);
+        if (this.blockTicks.size > config.synthetic.cacheBlocks) {
+            this.blockTicks.delete(this.blockTicks.keys().next().value);
+        }
+        return prices;
+    }
+
+    generateBlock(symbol, block) {
+        const spec = this.getSpec(symbol);
+        const path = this.generatePath(symbol, block);
+        const prices = new Float64Array(path.length);
+        for (let i = 0; i < path.length; i++) {
+            prices[i] = this.toPrice(spec, path[i]);
+        }
+        return prices;
+    }
+
+    // Log prices of a block's ticks: a free walk pinned to the block's end level
+    generatePath(symbol, block) {
+        const spec = this.getSpec(symbol);
+        const count = this.getTicksPerBlock(spec);
+        const { drift, deviation } = this.getStep(spec);
+        const start = this.getLevel(symbol, block);
+        const end = this.getLevel(symbol, block + 1);
+        const random = this.random(symbol, block, 'ticks');
+
+        const walk = new Float64Array(count + 1);
+        for (let i = 1; i <= count; i++) {
+            walk[i] = walk[i - 1] + drift + deviation * random.normal();
+        }
+
+        const correction = walk[count] - (end - start);
+        const path = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            path[i] = start + walk[i] - (i / count) * correction;
+        }
+        return path;
+    }
+
+    // Rounded to the symbol's pip
+    toPrice(spec, level) {
+        const scale = Math.pow(10, Math.max(0, Math.round(-Math.log10(spec.pip))));
+        return Math.round(Math.exp(level) * scale) / scale;
+    }
+
+    // Rounding is monotonic, so the extremes can be taken on the log path
+    // without converting every tick
+    getBlockSummary(symbol, block) {
+        const key = `${symbol}-${block}`;
+        if (!this.blockSummaries.has(key)) {
+            const spec = this.getSpec(symbol);
+            const path = this.generatePath(symbol, block);
+            const { open, high, low, close } = this.summarizePrices(path, 0, path.length);
+            this.blockSummaries.set(key, {
+                open: this.toPrice(spec, open),
+                high: this.toPrice(spec, high),
+                low: this.toPrice(spec, low),
+                close: this.toPrice(spec, close)
+            });
+        }
+        return this.blockSummaries.get(key);
+    }
+
+    summarizePrices(prices, from, to) {
+        let high = -Infinity;
+        let low = Infinity;
+        for (let i = from; i < to; i++) {
+            if (prices[i] > high) high = prices[i];
+            if (prices[i] < low) low = prices[i];
+        }
+        return { open: prices[from], high, low, close: prices[to - 1] };
+    }
+
+    // Time of the latest tick at or before `time`
+    getLastTickTime(spec, time = this.clock()) {
+        const { origin } = config.synthetic;
+        return origin + Math.floor((time - origin) / spec.tickInterval) * spec.tickInterval;
+    }
+
+    getPrice(symbol, time) {
+        const spec = this.getSpec(symbol);
+        const offset = time - config.synthetic.origin;
+        const block = Math.floor(offset / config.synthetic.blockSeconds);
+        const index = (offset - block * config.synthetic.blockSeconds) / spec.tickInterval;
+        return this.getBlockTicks(symbol, block)[index];
+    }
+
+    // Ticks in [from, to] (epoch seconds) as tick candles
+    getTicks(symbol, from, to) {
+        const spec = this.getSpec(symbol);
+        const first = Math.max(config.synthetic.origin, this.getLastTickTime(spec, from - 1) + spec.tickInterval);
+        const ticks = [];
+        for (let time = first; time <= to; time += spec.tickInterval) {
+            ticks.push(timeframes.toTickCandle(time, this.getPrice(symbol, time)));
+        }
+        return ticks;
+    }
+
+    // OHLC of the ticks in [from, to); null when there are none
+    summarize(symbol, from, to) {
+        const spec = this.getSpec(symbol);
+        const { origin, blockSeconds } = config.synthetic;
+        from = Math.max(from, origin);
+        if (to <= from) return null;
+
+        let summary = null;
+        const lastBlock = Math.floor((to - 1 - origin) / blockSeconds);
+        for (let block = Math.floor((from - origin) / blockSeconds); block <= lastBlock; block++) {
+            const blockStart = origin + block * blockSeconds;
+            const start = Math.max(0, Math.ceil((from - blockStart) / spec.tickInterval));
+            const end = Math.min(this.getTicksPerBlock(spec), Math.ceil((to - blockStart) / spec.tickInterval));
+            if (end <= start) continue;
+
+            const part = start === 0 && end === this.getTicksPerBlock(spec) ?
+                this.getBlockSummary(symbol, block) :
+                this.summarizePrices(this.getBlockTicks(symbol, block), start, end);
+
+            summary = summary ? {
+                open: summary.open,
+                high: Math.max(summary.high, part.high),
+                low: Math.min(summary.low, part.low),
+                close: part.close
+            } : { ...part };
+        }
+        return summary;
+    }
+
+    // Candles whose start lies in [from, to]; the last one only includes
+    // ticks up to `to`
+    getCandles(symbol, timeframe, from, to) {
+        return Array.from(this.generateCandles(symbol, timeframe, from, to));
+    }
+
+    // As getCandles, but pausing for the event loop every
+    // `config.synthetic.sliceDuration` ms: the first request for a long
+    // daily history generates every tick of it and would freeze the page
+    async getCandlesInSlices(symbol, timeframe, from, to, signal) {
+        const candles = [];
+        let sliceStart = Date.now();
+        for (const candle of this.generateCandles(symbol, timeframe, from, to)) {
+            candles.push(candle);
+            if (Date.now() - sliceStart >= config.synthetic.sliceDuration) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                this.throwIfAborted(signal);
+                sliceStart = Date.now();
+            }
+        }
+        return candles;
+    }
+
+    *generateCandles(symbol, timeframe, from, to) {
+        const granularity = config.timeframes[timeframe];
+        if (!granularity) {
+            throw new MarketAnalysisError(
+                `Unsupported timeframe: ${timeframe}`,
+                'INVALID_TIMEFRAME',
+                { symbol, timeframe }
+            );
+        }
+
+        const first = Math.max(Math.floor(from / granularity), Math.floor(config.synthetic.origin / granularity)) * granularity;
+        for (let time = first; time <= to; time += granularity) {
+            const summary = this.summarize(symbol, time, Math.min(time + granularity, to + 1));
+            if (summary) yield { time, ...summary };
+        }
+    }
+
+    async requestHistory(symbol, timeframe = '1m', count = 1000, options = {}) {
+        this.throwIfAborted(options.signal);
+        const spec = this.getSpec(symbol);
+        const end = Math.min(options.end ?? Infinity, this.getLastTickTime(spec));
+
+        if (timeframe === timeframes.TICK) {
+            const start = Math.max(options.start ?? -Infinity, end - (count - 1) * spec.tickInterval);
+            return this.getTicks(symbol, start, end);
+        }
+
+        const granularity = config.timeframes[timeframe];
+        const lastCandle = granularity ? Math.floor(end / granularity) * granularity : end;
+        const start = Math.max(options.start ?? -Infinity, lastCandle - (count - 1) * (granularity || 0));
+        return this.getCandlesInSlices(symbol, timeframe, start, end, options.signal);
+    }
+
+    async requestActiveSymbols(options = {}) {
+        this.throwIfAborted(options.signal);
+        return Object.entries(config.synthetic.symbols).map(([symbol, spec]) => ({
+            symbol,
+            display_name: spec.displayName,
+            market: 'synthetic_index',
+            market_display_name: 'Derived',
+            submarket: 'random_index',
+            submarket_display_name: 'Continuous Indices',
+            pip: spec.pip,
+            exchange_is_open: 1,
+            is_trading_suspended: 0
+        }));
+    }
+
+    // Streaming: history first, then one update per tick like the live feed
+
+    subscribeToSymbol(symbol, timeframe) {
+        if (!config.synthetic.symbols[symbol]) {
+            console.error(`Unknown synthetic symbol: ${symbol}`);
+            return;
+        }
+        if (timeframe !== timeframes.TICK && !config.timeframes[timeframe]) {
+            console.error(`Unsupported timeframe: ${timeframe}`);
+            return;
+        }
+
+        const session = { symbol, timeframe, lastTime: null, candle: null, timer: null };
+        this.sessions.set(this.getKey(symbol, timeframe), session);
+
+        this.requestHistory(symbol, timeframe, 1000).then(history => {
+            if (this.sessions.get(this.getKey(symbol, timeframe)) !== session) return;
+
+            this.notifySubscribers(symbol, timeframe, 'history', history);
+            session.lastTime = this.getLastTickTime(this.getSpec(symbol));
+            session.candle = timeframe === timeframes.TICK || history.length === 0 ? null : { ...history[history.length - 1] };
+            if (this.isConnected) this.scheduleStep(session);
+        });
+    }
+
+    unsubscribeFromSymbol(symbol, timeframe) {
+        const key = this.getKey(symbol, timeframe);
+        const session = this.sessions.get(key);
+        if (session) {
+            this.stopSession(session);
+            this.sessions.delete(key);
+        }
+    }
+
+    scheduleStep(session) {
+        if (session.timer || session.lastTime === null) return;
+
+        const spec = this.getSpec(session.symbol);
+        const delay = Math.max(0, (this.getLastTickTime(spec) + spec.tickInterval - this.clock()) * 1000);
+        session.timer = setTimeout(() => this.playStep(session), delay);
+    }
+
+    // Emit the ticks since the last step; after long pauses (sleep, a
+    // disconnect) the gap is sent as a backfill instead
+    playStep(session) {
+        session.timer = null;
+        const { symbol, timeframe } = session;
+        const spec = this.getSpec(symbol);
+        const now = this.getLastTickTime(spec);
+
+        if ((now - session.lastTime) / spec.tickInterval > MAX_CATCH_UP_TICKS) {
+            if (timeframe === timeframes.TICK) {
+                this.notifySubscribers(symbol, timeframe, 'backfill', this.getTicks(symbol, session.lastTime + 1, now));
+            } else {
+                const candles = this.getCandles(symbol, timeframe, session.candle ? session.candle.time : session.lastTime, now);
+                this.notifySubscribers(symbol, timeframe, 'backfill', candles);
+                session.candle = { ...candles[candles.length - 1] };
+            }
+        } else {
+            for (let time = session.lastTime + spec.tickInterval; time <= now; time += spec.tickInterval) {
+                this.emitTick(session, time, this.getPrice(symbol, time));
+            }
+        }
+
+        session.lastTime = now;
+        this.scheduleStep(session);
+    }
+
+    // Same update sequence as the live feed: a finished candle and the new
+    // one as 'candle', updates of the current candle as 'tick'
+    emitTick(session, time, price) {
+        const { symbol, timeframe } = session;
+        if (timeframe === timeframes.TICK) {
+            this.notifySubscribers(symbol, timeframe, 'tick', timeframes.toTickCandle(time, price));
+            return;
+        }
+
+        const granularity = config.timeframes[timeframe];
+        const candleTime = Math.floor(time / granularity) * granularity;
+        const { candle } = session;
+
+        if (candle && candle.time === candleTime) {
+            candle.high = Math.max(candle.high, price);
+            candle.low = Math.min(candle.low, price);
+            candle.close = price;
+            this.notifySubscribers(symbol, timeframe, 'tick', { ...candle });
+            return;
+        }
+
+        if (candle) {
+            this.notifySubscribers(symbol, timeframe, 'candle', { ...candle });
+        }
+        session.candle = { time: candleTime, open: price, high: price, low: price, close: price };
+        this.notifySubscribers(symbol, timeframe, 'candle', { ...session.candle });
+    }
+
+    stopSession(session) {
+        if (session.timer) {
+            clearTimeout(session.timer);
+            session.timer = null;
+        }
+    }
+}
+
+export { SyntheticProvider };
+
+// Create and export singleton instance
+const syntheticProvider = new SyntheticProvider();
+export default syntheticProvider;
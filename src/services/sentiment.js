@@ -1,5 +1,6 @@
 import { MarketAnalysisError } from '../utils/helpers.js';
-import { config } from '../config.js';
+import config from '../config.js';
+import { latestIndicatorValues } from '../components/Indicators/streaming.js';
 
 class MarketSentiment {
     constructor() {
@@ -81,7 +82,8 @@ class MarketSentiment {
 
     // Analyze market momentum
     analyzeMomentum(candles, period = 14) {
-        if (candles.length < period) {
+        // RSI and momentum compare against the close `period` candles back
+        if (candles.length <= period) {
             throw new MarketAnalysisError('Insufficient data for momentum analysis', 'INSUFFICIENT_DATA');
         }
 
@@ -97,38 +99,9 @@ class MarketSentiment {
         };
     }
 
-    // Calculate Relative Strength Index (RSI)
+    // Relative Strength Index on the last candle, from the indicator registry
     calculateRSI(candles, period) {
-        let gains = 0;
-        let losses = 0;
-
-        // Calculate initial average gain/loss
-        for (let i = 1; i <= period; i++) {
-            const change = candles[i].close - candles[i - 1].close;
-            if (change >= 0) {
-                gains += change;
-            } else {
-                losses -= change;
-            }
-        }
-
-        let avgGain = gains / period;
-        let avgLoss = losses / period;
-
-        // Calculate RSI using smoothed averages
-        for (let i = period + 1; i < candles.length; i++) {
-            const change = candles[i].close - candles[i - 1].close;
-            if (change >= 0) {
-                avgGain = (avgGain * (period - 1) + change) / period;
-                avgLoss = (avgLoss * (period - 1)) / period;
-            } else {
-                avgGain = (avgGain * (period - 1)) / period;
-                avgLoss = (avgLoss * (period - 1) - change) / period;
-            }
-        }
-
-        const rs = avgGain / avgLoss;
-        return 100 - (100 / (1 + rs));
+        return latestIndicatorValues('rsi', candles, { period }).value;
     }
 
     // Calculate Price Momentum
@@ -138,35 +111,16 @@ class MarketSentiment {
         return ((currentPrice - previousPrice) / previousPrice) * 100;
     }
 
-    // Calculate MACD Signal
+    // MACD with its default periods on the last candle
     calculateMACDSignal(candles) {
-        const fastEMA = this.calculateEMA(candles, 12);
-        const slowEMA = this.calculateEMA(candles, 26);
-        const macd = fastEMA[fastEMA.length - 1] - slowEMA[slowEMA.length - 1];
-        const signal = this.calculateEMA(candles.slice(-9), 9);
-        
+        const { macdLine, signalLine, histogram } = latestIndicatorValues('macd', candles);
         return {
-            macd: macd,
-            signal: signal[signal.length - 1],
-            histogram: macd - signal[signal.length - 1]
+            macd: macdLine,
+            signal: signalLine,
+            histogram
         };
     }
 
-    // Calculate Exponential Moving Average (EMA)
-    calculateEMA(candles, period) {
-        const multiplier = 2 / (period + 1);
-        const ema = [candles[0].close];
-
-        for (let i = 1; i < candles.length; i++) {
-            const currentPrice = candles[i].close;
-            const previousEMA = ema[i - 1];
-            const currentEMA = (currentPrice - previousEMA) * multiplier + previousEMA;
-            ema.push(currentEMA);
-        }
-
-        return ema;
-    }
-
     // Normalize sentiment scores to range [-1, 1]
     normalizeSentiment(score) {
         return Math.max(-1, Math.min(1, score));
@@ -0,0 +1,209 @@
+import config from '../config.js';
+import { storage } from '../utils/helpers.js';
+import marketProvider from './providers/index.js';
+import settingsManager from './settings.js';
+
+// Instruments available from the provider, grouped by market and submarket.
+// The catalog is cached in local storage and refetched once it is older than
+// `config.symbols.cacheTTL`; a stale cache (or the built-in fallback list)
+// is used while the provider can't be reached. Favourites and recently used
+// symbols are kept in the settings.
+class SymbolCatalog {
+    constructor() {
+        this.symbols = new Map(); // Symbol -> entry
+        this.fetchedAt = null;
+        this.listeners = new Set();
+    }
+
+    async initialize() {
+        const cached = storage.get(config.symbols.cacheKey);
+        if (cached && Array.isArray(cached.symbols)) {
+            this.setSymbols(cached.symbols, cached.fetchedAt);
+        }
+
+        const isFresh = this.fetchedAt && Date.now() - this.fetchedAt < config.symbols.cacheTTL;
+        if (!isFresh) {
+            await this.refresh();
+        }
+
+        if (this.symbols.size === 0) {
+            this.setSymbols(config.symbols.fallback, null);
+        }
+        return true;
+    }
+
+    // Fetch the catalog from the provider; keeps the current one on failure
+    async refresh() {
+        try {
+            const symbols = await marketProvider.requestActiveSymbols();
+            if (symbols.length === 0) return false;
+
+            this.setSymbols(symbols, Date.now());
+            storage.set(config.symbols.cacheKey, { fetchedAt: this.fetchedAt, symbols });
+            return true;
+        } catch (error) {
+            console.warn('Failed to load active symbols, using cached catalog:', error);
+            return false;
+        }
+    }
+
+    setSymbols(symbols, fetchedAt) {
+        // Locally added symbols (e.g. imports) survive a refresh
+        const local = Array.from(this.symbols.values()).filter(entry => entry.local);
+
+        this.symbols = new Map(symbols.map(raw => {
+            const entry = this.normalize(raw);
+            return [entry.symbol, entry];
+        }));
+        local.forEach(entry => this.symbols.set(entry.symbol, entry));
+
+        this.fetchedAt = fetchedAt;
+        this.notifyListeners({ type: 'catalog' });
+    }
+
+    // Convert an `active_symbols` entry
+    normalize(raw) {
+        const pip = Number(raw.pip) || 0.00001;
+        return {
+            symbol: raw.symbol,
+            displayName: raw.display_name || raw.symbol,
+            market: raw.market || 'other',
+            marketDisplayName: raw.market_display_name || raw.market || 'Other',
+            submarket: raw.submarket || 'other',
+            submarketDisplayName: raw.submarket_display_name || raw.submarket || 'Other',
+            pip,
+            pipSize: Math.max(0, Math.round(-Math.log10(pip))), // Decimal places
+            isOpen: raw.exchange_is_open === undefined ? true : Boolean(raw.exchange_is_open),
+            isSuspended: Boolean(raw.is_trading_suspended),
+            local: Boolean(raw.local)
+        };
+    }
+
+    // Register a symbol that doesn't come from the provider
+    addSymbol(raw) {
+        const entry = this.normalize({ exchange_is_open: 1, ...raw, local: true });
+        this.symbols.set(entry.symbol, entry);
+        this.notifyListeners({ type: 'catalog' });
+        return entry;
+    }
+
+    get(symbol) {
+        return this.symbols.get(symbol) || null;
+    }
+
+    has(symbol) {
+        return this.symbols.has(symbol);
+    }
+
+    getDisplayName(symbol) {
+        const entry = this.get(symbol);
+        return entry ? entry.displayName : symbol;
+    }
+
+    getPipSize(symbol) {
+        const entry = this.get(symbol);
+        return entry ? entry.pipSize : 5;
+    }
+
+    formatPrice(symbol, price) {
+        return Number(price).toFixed(this.getPipSize(symbol));
+    }
+
+    // Markets with their submarkets, each sorted by display name
+    getGroups(entries = Array.from(this.symbols.values())) {
+        const markets = new Map();
+
+        entries.forEach(entry => {
+            if (!markets.has(entry.market)) {
+                markets.set(entry.market, { market: entry.market, name: entry.marketDisplayName, submarkets: new Map() });
+            }
+            const { submarkets } = markets.get(entry.market);
+            if (!submarkets.has(entry.submarket)) {
+                submarkets.set(entry.submarket, { submarket: entry.submarket, name: entry.submarketDisplayName, symbols: [] });
+            }
+            submarkets.get(entry.submarket).symbols.push(entry);
+        });
+
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        return Array.from(markets.values()).sort(byName).map(market => ({
+            ...market,
+            submarkets: Array.from(market.submarkets.values()).sort(byName).map(submarket => ({
+                ...submarket,
+                symbols: submarket.symbols.sort((a, b) => a.displayName.localeCompare(b.displayName, undefined, { numeric: true }))
+            }))
+        }));
+    }
+
+    // Every word of the query must match the symbol, its name or its market
+    search(query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const entries = Array.from(this.symbols.values());
+        if (words.length === 0) return entries;
+
+        return entries.filter(entry => {
+            const text = [
+                entry.symbol,
+                entry.displayName,
+                entry.marketDisplayName,
+                entry.submarketDisplayName
+            ].join(' ').toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    // Favourites
+
+    getFavourites() {
+        return settingsManager.get('favouriteSymbols', []);
+    }
+
+    isFavourite(symbol) {
+        return this.getFavourites().includes(symbol);
+    }
+
+    toggleFavourite(symbol) {
+        const favourites = this.getFavourites();
+        const updated = favourites.includes(symbol) ?
+            favourites.filter(item => item !== symbol) :
+            [...favourites, symbol];
+
+        settingsManager.set('favouriteSymbols', updated);
+        this.notifyListeners({ type: 'favourites' });
+        return updated.includes(symbol);
+    }
+
+    // Recently used, most recent first
+
+    getRecents() {
+        return settingsManager.get('recentSymbols', []);
+    }
+
+    addRecent(symbol) {
+        const recents = [symbol, ...this.getRecents().filter(item => item !== symbol)]
+            .slice(0, config.symbols.maxRecents);
+        settingsManager.set('recentSymbols', recents);
+        this.notifyListeners({ type: 'recents' });
+    }
+
+    addListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    removeListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    notifyListeners(event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Error in symbol catalog listener:', error);
+            }
+        });
+    }
+}
+
+// Create and export singleton instance
+const symbolCatalog = new SymbolCatalog();
+export default symbolCatalog;
@@ -0,0 +1,297 @@
+import config from '../config.js';
+import { MarketAnalysisError } from '../utils/helpers.js';
+import marketProvider from './providers/index.js';
+import connectionStatus from './connectionStatus.js';
+import marketDataService from './marketData.js';
+import settingsManager from './settings.js';
+import dataImporter from './importer.js';
+
+const SESSION_LENGTH = 86400; // Sessions start at 00:00 UTC
+
+// Named watchlists and live quotes for their symbols. The lists are kept in
+// the settings ('watchlists', 'activeWatchlist'); every symbol of the active
+// list is streamed at `config.watchlist.timeframe` so it has a last price,
+// change since the session open and a sparkline of recent closes.
+class WatchlistService {
+    constructor() {
+        this.quotes = new Map(); // Symbol -> { symbol, price, previousPrice, sessionOpen, sessionStart, closes, subscribed }
+        this.listeners = new Set();
+        this.initialized = false;
+
+        this.handleUpdate = this.handleUpdate.bind(this);
+    }
+
+    initialize() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        if (this.getWatchlists().length === 0) {
+            this.saveWatchlists([{ name: 'Default', symbols: [...config.watchlist.defaultSymbols] }]);
+        }
+
+        // Symbols added while offline get their stream once live data is back
+        connectionStatus.addListener(({ state }) => {
+            if (state === 'online') {
+                this.quotes.forEach(quote => {
+                    if (!quote.subscribed) this.subscribeQuote(quote);
+                });
+            }
+        });
+
+        this.syncSubscriptions();
+    }
+
+    // Lists
+
+    getWatchlists() {
+        return settingsManager.get('watchlists', []);
+    }
+
+    getActiveIndex() {
+        const index = settingsManager.get('activeWatchlist', 0);
+        return Math.min(index, Math.max(0, this.getWatchlists().length - 1));
+    }
+
+    getActiveWatchlist() {
+        return this.getWatchlists()[this.getActiveIndex()] || null;
+    }
+
+    setActiveWatchlist(index) {
+        this.getWatchlistAt(index);
+        settingsManager.set('activeWatchlist', index);
+        this.syncSubscriptions();
+        this.notifyListeners({ type: 'lists' });
+    }
+
+    createWatchlist(name, symbols = []) {
+        const trimmed = this.validateName(name);
+        const watchlists = [...this.getWatchlists(), { name: trimmed, symbols: [...symbols] }];
+        this.saveWatchlists(watchlists);
+        this.setActiveWatchlist(watchlists.length - 1);
+    }
+
+    renameWatchlist(index, name) {
+        const trimmed = this.validateName(name, index);
+        this.updateWatchlist(index, watchlist => ({ ...watchlist, name: trimmed }));
+    }
+
+    deleteWatchlist(index) {
+        const watchlists = this.getWatchlists();
+        this.getWatchlistAt(index);
+        if (watchlists.length === 1) {
+            throw new MarketAnalysisError('The last watchlist cannot be deleted', 'WATCHLIST_LAST');
+        }
+
+        this.saveWatchlists(watchlists.filter((_, i) => i !== index));
+        this.setActiveWatchlist(Math.max(0, Math.min(this.getActiveIndex(), watchlists.length - 2)));
+    }
+
+    addSymbol(symbol, index = this.getActiveIndex()) {
+        this.updateWatchlist(index, watchlist => (
+            watchlist.symbols.includes(symbol) ?
+                watchlist :
+                { ...watchlist, symbols: [...watchlist.symbols, symbol] }
+        ));
+    }
+
+    removeSymbol(symbol, index = this.getActiveIndex()) {
+        this.updateWatchlist(index, watchlist => ({
+            ...watchlist,
+            symbols: watchlist.symbols.filter(item => item !== symbol)
+        }));
+    }
+
+    // Move a symbol to position `to` within its list
+    moveSymbol(symbol, to, index = this.getActiveIndex()) {
+        this.updateWatchlist(index, watchlist => {
+            const symbols = watchlist.symbols.filter(item => item !== symbol);
+            if (symbols.length === watchlist.symbols.length) return watchlist;
+
+            symbols.splice(Math.max(0, Math.min(to, symbols.length)), 0, symbol);
+            return { ...watchlist, symbols };
+        });
+    }
+
+    updateWatchlist(index, update) {
+        const watchlists = this.getWatchlists();
+        const watchlist = this.getWatchlistAt(index);
+        const updated = update(watchlist);
+        if (updated === watchlist) return;
+
+        this.saveWatchlists(watchlists.map((item, i) => (i === index ? updated : item)));
+        if (index === this.getActiveIndex()) {
+            this.syncSubscriptions();
+        }
+        this.notifyListeners({ type: 'lists' });
+    }
+
+    getWatchlistAt(index) {
+        const watchlist = this.getWatchlists()[index];
+        if (!watchlist) {
+            throw new MarketAnalysisError(`Watchlist not found: ${index}`, 'WATCHLIST_NOT_FOUND', { index });
+        }
+        return watchlist;
+    }
+
+    validateName(name, ignoreIndex = -1) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new MarketAnalysisError('Watchlist name is required', 'WATCHLIST_INVALID_NAME');
+        }
+        if (this.getWatchlists().some((watchlist, i) => i !== ignoreIndex && watchlist.name === trimmed)) {
+            throw new MarketAnalysisError(`A watchlist named "${trimmed}" already exists`, 'WATCHLIST_DUPLICATE_NAME', { name: trimmed });
+        }
+        return trimmed;
+    }
+
+    saveWatchlists(watchlists) {
+        settingsManager.set('watchlists', watchlists);
+    }
+
+    // Quotes
+
+    getQuote(symbol) {
+        return this.quotes.get(symbol) || null;
+    }
+
+    // Change since the session open as { change, percent }, or null
+    getChange(symbol) {
+        const quote = this.getQuote(symbol);
+        if (!quote || quote.price === null || !quote.sessionOpen) return null;
+
+        const change = quote.price - quote.sessionOpen;
+        return { change, percent: (change / quote.sessionOpen) * 100 };
+    }
+
+    // Stream exactly the symbols of the active list
+    syncSubscriptions() {
+        const watchlist = this.getActiveWatchlist();
+        const symbols = new Set(watchlist ? watchlist.symbols : []);
+
+        this.quotes.forEach((quote, symbol) => {
+            if (!symbols.has(symbol)) {
+                this.unsubscribeQuote(quote);
+                this.quotes.delete(symbol);
+            }
+        });
+
+        symbols.forEach(symbol => {
+            if (this.quotes.has(symbol)) return;
+
+            const quote = {
+                symbol,
+                price: null,
+                previousPrice: null,
+                sessionOpen: null,
+                sessionStart: null,
+                closes: [],
+                subscribed: false
+            };
+            this.quotes.set(symbol, quote);
+            this.subscribeQuote(quote);
+        });
+    }
+
+    subscribeQuote(quote) {
+        // Imported datasets have no live stream; show their last candles
+        if (dataImporter.isImportedSymbol(quote.symbol)) {
+            const dataset = dataImporter.getDataset(quote.symbol);
+            if (dataset) this.applyCandles(quote, dataImporter.getCandles(dataset.symbol, dataset.timeframe));
+            return;
+        }
+        if (connectionStatus.isOffline()) return;
+
+        // A stream that is already open (e.g. the chart's) won't resend its
+        // history, so start from the candles the chart has
+        const { timeframe } = config.watchlist;
+        if (marketProvider.isSubscribed(quote.symbol, timeframe)) {
+            this.applyCandles(quote, marketDataService.getData(quote.symbol, timeframe));
+        }
+
+        quote.subscribed = true;
+        marketProvider.subscribe(quote.symbol, this.handleUpdate, timeframe);
+        this.loadSessionOpen(quote);
+    }
+
+    unsubscribeQuote(quote) {
+        if (!quote.subscribed) return;
+        quote.subscribed = false;
+        marketProvider.unsubscribe(quote.symbol, this.handleUpdate, config.watchlist.timeframe);
+    }
+
+    // The open of today's daily candle
+    async loadSessionOpen(quote) {
+        try {
+            const [daily] = await marketProvider.requestHistory(quote.symbol, '1d', 1);
+            if (daily && this.quotes.get(quote.symbol) === quote) {
+                quote.sessionStart = daily.time;
+                quote.sessionOpen = daily.open;
+                this.notifyListeners({ type: 'quote', symbol: quote.symbol, quote });
+            }
+        } catch (error) {
+            console.warn(`Failed to load the session open for ${quote.symbol}:`, error);
+        }
+    }
+
+    handleUpdate(update) {
+        const quote = this.quotes.get(update.symbol);
+        if (!quote) return;
+
+        if (update.type === 'history' || update.type === 'backfill') {
+            this.applyCandles(quote, update.data);
+        } else if (update.type === 'candle' || update.type === 'tick') {
+            this.applyCandle(quote, update.data);
+            this.notifyListeners({ type: 'quote', symbol: quote.symbol, quote, tick: true });
+        }
+    }
+
+    applyCandles(quote, candles) {
+        candles.forEach(candle => this.applyCandle(quote, candle));
+        this.notifyListeners({ type: 'quote', symbol: quote.symbol, quote });
+    }
+
+    applyCandle(quote, candle) {
+        const { closes } = quote;
+        const last = closes[closes.length - 1];
+
+        if (last && candle.time < last.time) return;
+        if (last && candle.time === last.time) {
+            last.value = candle.close;
+        } else {
+            closes.push({ time: candle.time, value: candle.close });
+            if (closes.length > config.watchlist.sparklinePoints) closes.shift();
+        }
+
+        // A candle past the session end opens the next session
+        const sessionStart = Math.floor(candle.time / SESSION_LENGTH) * SESSION_LENGTH;
+        if (quote.sessionStart === null || sessionStart > quote.sessionStart) {
+            quote.sessionStart = sessionStart;
+            quote.sessionOpen = candle.open;
+        }
+
+        quote.previousPrice = quote.price;
+        quote.price = candle.close;
+    }
+
+    addListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    removeListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    notifyListeners(event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Error in watchlist listener:', error);
+            }
+        });
+    }
+}
+
+// Create and export singleton instance
+const watchlistService = new WatchlistService();
+export default watchlistService;
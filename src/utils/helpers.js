@@ -24,6 +24,68 @@ export const formatTime = {
     }
 };
 
+// Time zone utilities ('UTC', 'local' or an IANA name such as 'Europe/London')
+export const timeZones = {
+    // Offset of the zone from UTC at `timestamp` (ms), in ms
+    getOffset: (timestamp, timezone) => {
+        if (timezone === 'UTC') return 0;
+        if (timezone === 'local') return -new Date(timestamp).getTimezoneOffset() * 60000;
+
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(new Date(timestamp));
+
+        const value = type => Number(parts.find(part => part.type === type).value);
+        const wallClock = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+        return wallClock - Math.floor(timestamp / 1000) * 1000;
+    },
+
+    // ISO 8601 time with the zone's offset, e.g. '2024-03-10T01:00:00-05:00'
+    format: (timestamp, timezone = 'UTC') => {
+        const offset = timeZones.getOffset(timestamp * 1000, timezone);
+        const wallClock = new Date(timestamp * 1000 + offset).toISOString().slice(0, 19);
+        if (offset === 0) return `${wallClock}Z`;
+
+        const minutes = Math.abs(offset) / 60000;
+        const sign = offset > 0 ? '+' : '-';
+        const pad = value => String(Math.floor(value)).padStart(2, '0');
+        return `${wallClock}${sign}${pad(minutes / 60)}:${pad(minutes % 60)}`;
+    }
+};
+
+// Timeframe utilities ('tick' is the raw tick stream, '<N>t' are N-tick bars)
+export const timeframes = {
+    TICK: 'tick',
+
+    isTickBased: (timeframe) => {
+        return timeframe === timeframes.TICK || /^\d+t$/.test(timeframe);
+    },
+
+    getTicksPerBar: (timeframe) => {
+        return timeframe === timeframes.TICK ? 1 : parseInt(timeframe);
+    },
+
+    // Ticks are stored as one-tick candles so indicators can consume them unchanged
+    toTickCandle: (epoch, quote) => {
+        const price = parseFloat(quote);
+        return {
+            time: Number(epoch),
+            open: price,
+            high: price,
+            low: price,
+            close: price,
+            volume: 1
+        };
+    }
+};
+
 // Price formatting utilities
 export const formatPrice = {
     standard: (price) => {
@@ -42,6 +104,18 @@ export const formatPrice = {
     }
 };
 
+// Color utilities
+export const colors = {
+    // '#rrggbb' with an alpha channel; other colors are returned as they are
+    withAlpha: (color, alpha) => {
+        const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+        if (!match) return color;
+
+        const [r, g, b] = match.slice(1).map(hex => parseInt(hex, 16));
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+};
+
 // Calculation utilities
 export const calculate = {
     percentageChange: (oldValue, newValue) => {